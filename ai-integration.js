@@ -388,6 +388,53 @@ function createGroqCallback(apiKey, model = 'moonshotai/kimi-k2-instruct') {
   return callback;
 }
 
+/**
+ * Rate limiter for AI requests shared by concurrent form fills (batch workers).
+ * At most `concurrency` requests run at once, and when `requestsPerMinute` is
+ * set, request starts are spaced evenly to stay under it.
+ *
+ * @param {Object} options
+ * @param {number} options.concurrency - Requests in flight at once (default: 1)
+ * @param {number} options.requestsPerMinute - Provider limit (default: none)
+ * @returns {Function} schedule(fn) - Runs fn when allowed; resolves with its result
+ */
+function createRateLimiter(options = {}) {
+  const concurrency = options.concurrency || 1;
+  const interval = options.requestsPerMinute ? 60000 / options.requestsPerMinute : 0;
+  const queue = [];
+  let active = 0;
+  let nextStart = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    const wait = Math.max(0, nextStart - Date.now());
+    if (wait > 0) {
+      setTimeout(next, wait);
+      return;
+    }
+
+    const { fn, resolve, reject } = queue.shift();
+    active++;
+    nextStart = Date.now() + interval;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+    next();
+  };
+
+  return function schedule(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
+
 /**
  * Example usage with form filler
  */
@@ -431,6 +478,7 @@ module.exports = {
   MockProvider,
   createAICallback,
   createGroqCallback,
+  createRateLimiter,
 };
 
 // Run example if executed directly
@@ -4,79 +4,330 @@
  * Generate multiple filled forms at once with unique run IDs.
  *
  * Usage:
- *   node batch-fill.js <count> [prefix] [--ai]
+ *   node batch-fill.js <count> [prefix] [--ai] [--form <id>] [--scenario <names>]
+ *   node batch-fill.js --coverage [each|pairwise] [prefix]
+ *   node batch-fill.js --data-source <file.csv|file.json> [--columns <map.json>] [prefix]
+ *   node batch-fill.js --ids-file <file> [prefix]
  *
  * Examples:
  *   node batch-fill.js 5                  # Creates claim-001 through claim-005
  *   node batch-fill.js 10 employee        # Creates employee-001 through employee-010
  *   node batch-fill.js 5 claim --ai       # Creates 5 forms with AI-generated descriptions
+ *   node batch-fill.js 5 claim --form db-450
+ *   node batch-fill.js 5 claim --strict   # Fail claims with consistency violations
+ *   node batch-fill.js 5 preg --scenario pregnancy
+ *   node batch-fill.js --coverage         # Plan claims covering every checkbox branch pairwise
+ *   node batch-fill.js 50 load --concurrency 4          # Fill on 4 worker threads
+ *   node batch-fill.js 20 claim --ai --concurrency 4 --ai-rpm 30
+ *   node batch-fill.js 25 intake --merge --zip   # Also write output/intake-batch.pdf and .zip
+ *   node batch-fill.js --data-source personas.csv --columns columns.json
+ *   node batch-fill.js 1000 load --resume         # Continue an interrupted batch
+ *   node batch-fill.js 1000 load --start 641 --end 700 --force
+ *   node batch-fill.js --ids-file rerun.txt       # Fill exactly the listed run IDs
+ *
+ * Every batch also writes output/<prefix>-ground-truth.csv and .jsonl with the
+ * values written to each form (see ground-truth.js).
  */
 
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
 const { fillForm } = require('./fill-form');
-const { createGroqCallback } = require('./ai-integration');
+const { createGroqCallback, createRateLimiter } = require('./ai-integration');
+const { getForm } = require('./form-registry');
+const { planCoverage, createCoverageMatrix, recordCoverage, getCoverageGaps } = require('./coverage-planner');
+const { loadDataSource, formatRecordErrors } = require('./data-source');
+const { mergeBatchPdfs, writeBatchZip, defaultPackagePath } = require('./batch-package');
+const { writeGroundTruth } = require('./ground-truth');
+
+// Where fillForm and DataGenerator write by default
+const OUTPUT_DIR = './output';
+const DATA_DIR = './generated-data';
 
 async function batchFill(count, prefix = 'claim', options = {}) {
   console.log(`\n=== Batch Form Filler ===`);
-  console.log(`Generating ${count} forms with prefix: ${prefix}`);
+
+  if (options.resume && options.force) {
+    throw new Error('--resume cannot be combined with --force');
+  }
+
+  // Coverage mode - the planner decides how many claims and their checkbox states
+  let plan = null;
+  let matrix = null;
+  if (options.coverage) {
+    if (options.scenario) {
+      throw new Error('--coverage cannot be combined with --scenario');
+    }
+    plan = planCoverage(getForm(options.form), { strength: options.coverage });
+    matrix = createCoverageMatrix(plan.dimensions);
+    count = plan.scenarios.length;
+    console.log(`Coverage Mode: ${plan.strength} (${plan.dimensions.length} checkbox dimensions, ${plan.totalTargets} combinations)`);
+  }
+
+  // Data source mode - one claim per supplied record
+  let records = null;
+  if (options.dataSource) {
+    if (options.coverage) {
+      throw new Error('--data-source cannot be combined with --coverage');
+    }
+    records = loadDataSource(options.dataSource, { columns: options.columns, prefix: prefix || undefined });
+    count = records.length;
+    console.log(`Data Source: ${options.dataSource} (${count} records)`);
+    const ignored = [...new Set(records.flatMap(r => r.ignored))];
+    if (ignored.length > 0) {
+      console.log(`  Ignored columns (not mapped to the data model): ${ignored.join(', ')}`);
+    }
+  }
+
+  // Explicit runIds - name the claims (plain mode) or pick them (coverage / data source)
+  let ids = null;
+  if (options.idsFile) {
+    ids = loadIdsFile(options.idsFile);
+    if (!plan && !records) {
+      count = ids.length;
+    }
+    console.log(`Run IDs: ${options.idsFile} (${ids.length} ids)`);
+  }
+
+  if (records) {
+    console.log(`Generating ${count} forms from supplied records`);
+  } else if (ids && !plan) {
+    console.log(`Generating ${count} forms from listed run IDs`);
+  } else {
+    console.log(`Generating ${count} forms with prefix: ${prefix}`);
+  }
+  if (options.form) {
+    console.log(`Form: ${options.form}`);
+  }
+  if (options.scenario) {
+    console.log(`Scenario: ${options.scenario}`);
+  }
+  if (options.strict) {
+    console.log(`Strict Mode: claims with consistency violations are marked failed`);
+  }
+  if (options.resume) {
+    console.log(`Resume: claims with a complete PDF and report are skipped`);
+  }
+  if (options.force) {
+    console.log(`Force: existing generated data is regenerated`);
+  }
   if (options.useAI) {
-    console.log(`AI Mode: Enabled (Groq)`);
+    console.log(`AI Mode: Enabled (Groq)${options.aiRequestsPerMinute ? `, ${options.aiRequestsPerMinute} requests/min` : ''}`);
   }
   console.log('');
 
-  const results = [];
   const startTime = Date.now();
 
-  // Create AI callback if enabled
+  // Create AI callback if enabled (a factory, so parallel claims get their own)
+  let createCallback = null;
   let aiCallback = null;
   if (options.useAI) {
-    const apiKey = process.env.GROQ_API_KEY;
-    if (!apiKey) {
-      console.error('Error: GROQ_API_KEY environment variable is required for AI mode');
-      process.exit(1);
+    if (options.createAICallback) {
+      createCallback = options.createAICallback;
+    } else {
+      const apiKey = process.env.GROQ_API_KEY;
+      if (!apiKey) {
+        console.error('Error: GROQ_API_KEY environment variable is required for AI mode');
+        process.exit(1);
+      }
+      createCallback = () => createGroqCallback(apiKey);
     }
-    aiCallback = createGroqCallback(apiKey);
+    aiCallback = createCallback();
   }
 
+  // Plan every claim up front; workers receive these as-is
+  const tasks = [];
   for (let i = 1; i <= count; i++) {
-    const runId = `${prefix}-${String(i).padStart(3, '0')}`;
-    console.log(`[${i}/${count}] Processing ${runId}...`);
+    const record = records ? records[i - 1] : null;
+    let runId;
+    if (record) {
+      runId = record.runId;
+    } else if (ids && !plan) {
+      runId = ids[i - 1];
+    } else if (plan) {
+      runId = `${prefix}-cov-${String(i).padStart(3, '0')}`;
+    } else {
+      runId = `${prefix}-${String(i).padStart(3, '0')}`;
+    }
+    tasks.push({
+      index: i,
+      runId,
+      record,
+      scenario: plan ? plan.scenarios[i - 1] : options.scenario,
+      // planned states must not be masked by persisted data; --force discards it too
+      regenerate: Boolean(plan) || Boolean(options.force),
+    });
+  }
 
-    // Reset AI cache for each new form
-    if (aiCallback && aiCallback.resetCache) {
-      aiCallback.resetCache();
+  const selected = selectTasks(tasks, options, ids && (plan || records) ? ids : null);
+  selected.forEach((task, slot) => {
+    task.slot = slot;
+    if (!fs.existsSync(path.join(DATA_DIR, `${task.runId}.json`))) {
+      task.status = 'created';
+    } else if (task.regenerate) {
+      task.status = 'regenerated';
+    } else {
+      task.status = options.resume ? 'resumed' : 'reused';
     }
+  });
+  if (selected.length < count) {
+    console.log(`Selected ${selected.length} of ${count} claims`);
+  }
 
-    try {
-      const result = await fillForm(runId, {
-        silent: true,
-        ai: options.useAI,
-        aiCallback: aiCallback,
-      });
-      results.push({
-        runId,
-        success: true,
-        outputPath: result.outputPath,
-        claimant: result.data.claimant.fullName,
-        employer: result.data.employer.name,
-      });
-    } catch (err) {
-      results.push({
-        runId,
+  const results = new Array(selected.length);
+
+  // Store a claim's result in its slot; options.onResult sees progress as claims finish
+  let settled = 0;
+  const settle = (task, result) => {
+    results[task.slot] = result;
+    settled++;
+    if (options.onResult) {
+      options.onResult(result, settled, selected.length);
+    }
+  };
+
+  // Merge one claim's outcome into the results (in claim order, whatever order they finish)
+  const recordOutcome = (task, outcome) => {
+    if (outcome.error) {
+      settle(task, { runId: task.runId, success: false, status: task.status, error: outcome.error });
+      console.error(`  Error: ${outcome.error}`);
+      return;
+    }
+
+    if (matrix) {
+      recordCoverage(matrix, outcome.filledFields);
+    }
+    const failed = options.strict && outcome.violations.length > 0;
+    const result = {
+      runId: task.runId,
+      success: !failed,
+      status: task.status,
+      outputPath: outcome.outputPath,
+      claimant: outcome.claimant,
+      employer: outcome.employer,
+      violations: outcome.violations,
+      overflows: outcome.overflows,
+      filledFields: outcome.filledFields,
+      error: failed ? `${outcome.violations.length} consistency violation(s): ${[...new Set(outcome.violations.map(v => v.rule))].join(', ')}` : undefined,
+    };
+    settle(task, result);
+    if (failed) {
+      console.error(`  Strict: ${outcome.violations.length} consistency violation(s)`);
+    }
+  };
+
+  // Records are validated against the data model before filling;
+  // with --resume, claims that already have a complete PDF and report are kept
+  const fillable = selected.filter(task => {
+    if (options.resume) {
+      const report = readCompletedClaim(task.runId, options.form);
+      if (report) {
+        task.status = 'skipped';
+        recordOutcome(task, {
+          runId: task.runId,
+          outputPath: report.outputPath,
+          claimant: report.claimant,
+          employer: report.employer,
+          violations: report.violations || [],
+          overflows: report.overflows || [],
+          filledFields: report.filledDetails,
+        });
+        return false;
+      }
+    }
+    if (task.record && task.record.errors.length > 0) {
+      settle(task, {
+        runId: task.runId,
         success: false,
-        error: err.message,
+        status: task.status,
+        error: `Invalid record (row ${task.record.row}): ${formatRecordErrors(task.record)}`,
       });
-      console.error(`  Error: ${err.message}`);
+      console.error(`[${task.index}/${count}] ${task.runId}: invalid record (${task.record.errors.length} error(s))`);
+      return false;
+    }
+    return true;
+  });
+
+  const concurrency = Math.min(options.concurrency || 1, fillable.length);
+  if (concurrency > 1) {
+    console.log(`Filling with ${concurrency} workers...`);
+    await fillInWorkers(fillable, options, concurrency, {
+      createCallback,
+      requestsPerMinute: options.aiRequestsPerMinute,
+      medicalDetails: Boolean(aiCallback && aiCallback.generateMedicalDetails),
+    }, (task, outcome) => {
+      console.log(`[${task.index}/${count}] ${task.runId}${outcome.error ? ' failed' : ''}`);
+      recordOutcome(task, outcome);
+    });
+  } else {
+    if (aiCallback && options.aiRequestsPerMinute) {
+      aiCallback = rateLimitCallback(aiCallback, createRateLimiter({ requestsPerMinute: options.aiRequestsPerMinute }));
+    }
+    for (const task of fillable) {
+      console.log(`[${task.index}/${count}] Processing ${task.runId}...`);
+
+      // Reset AI cache for each new form
+      if (aiCallback && aiCallback.resetCache) {
+        aiCallback.resetCache();
+      }
+
+      let outcome;
+      try {
+        outcome = await fillClaim(task, options, aiCallback);
+      } catch (err) {
+        outcome = { runId: task.runId, error: err.message };
+      }
+      recordOutcome(task, outcome);
     }
   }
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
 
+  const statusCount = status => results.filter(r => r.status === status).length;
+
   console.log(`\n=== Batch Complete ===`);
-  console.log(`  Total: ${count} forms`);
+  console.log(`  Total: ${results.length} forms`);
   console.log(`  Success: ${results.filter(r => r.success).length}`);
   console.log(`  Failed: ${results.filter(r => !r.success).length}`);
+  console.log(`  Skipped (already complete): ${statusCount('skipped')}`);
+  console.log(`  Regenerated: ${statusCount('regenerated')}`);
+  console.log(`  Newly created: ${statusCount('created')}`);
+  if (statusCount('resumed') > 0) {
+    console.log(`  Resumed (existing generated data): ${statusCount('resumed')}`);
+  }
+  if (statusCount('reused') > 0) {
+    console.log(`  ⚠️  Reused existing generated data: ${statusCount('reused')} (use --force to regenerate)`);
+  }
   console.log(`  Time: ${elapsed}s`);
 
+  // Consistency violations by rule
+  const violationCounts = {};
+  results.forEach(r => (r.violations || []).forEach(v => {
+    violationCounts[v.rule] = (violationCounts[v.rule] || 0) + 1;
+  }));
+  if (Object.keys(violationCounts).length > 0) {
+    console.log(`\n=== Consistency Violations ===\n`);
+    Object.entries(violationCounts).forEach(([rule, n]) => {
+      console.log(`  ${rule}: ${n}`);
+    });
+  }
+
+  // Overlay text that did not fit its box, by field
+  const overflowCounts = {};
+  results.forEach(r => (r.overflows || []).forEach(o => {
+    overflowCounts[o.name] = (overflowCounts[o.name] || 0) + 1;
+  }));
+  if (Object.keys(overflowCounts).length > 0) {
+    console.log(`\n=== Overflow Warnings ===\n`);
+    Object.entries(overflowCounts).forEach(([name, n]) => {
+      console.log(`  ${name}: ${n}`);
+    });
+  }
+
+  if (matrix) {
+    printCoverageMatrix(matrix, plan);
+  }
+
   console.log(`\n=== Generated Claims ===\n`);
   results.filter(r => r.success).forEach(r => {
     console.log(`  ${r.runId}: ${r.claimant} @ ${r.employer}`);
@@ -89,9 +340,314 @@ async function batchFill(count, prefix = 'claim', options = {}) {
     });
   }
 
+  let groundTruth = null;
+  if (options.groundTruth !== false && results.some(r => r.outputPath)) {
+    groundTruth = writeGroundTruth(results, {
+      output: typeof options.groundTruth === 'string'
+        ? options.groundTruth.replace(/\.(csv|jsonl)$/, '')
+        : path.join(OUTPUT_DIR, `${prefix || 'batch'}-ground-truth`),
+      form: options.form,
+    });
+    console.log(`\n=== Ground Truth ===\n`);
+    console.log(`  ${groundTruth.csv}`);
+    console.log(`  ${groundTruth.jsonl} (${groundTruth.rows} claims)`);
+  }
+
+  if (options.merge || options.zip) {
+    await packageBatch(results, prefix, { ...options, groundTruth });
+  }
+
   return results;
 }
 
+// ===========================================
+// CLAIM SELECTION AND RESUME
+// ===========================================
+
+/**
+ * Read run IDs from a file: a JSON array, or one per line (blank lines and
+ * # comments ignored).
+ */
+function loadIdsFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Run ID file not found: ${file}`);
+  }
+  const text = fs.readFileSync(file, 'utf-8');
+  const ids = text.trim().startsWith('[')
+    ? JSON.parse(text).map(String)
+    : text.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+
+  const duplicates = ids.filter((id, i) => ids.indexOf(id) !== i);
+  if (duplicates.length > 0) {
+    throw new Error(`Duplicate run IDs in ${file}: ${[...new Set(duplicates)].join(', ')}`);
+  }
+  if (ids.length === 0) {
+    throw new Error(`No run IDs in ${file}`);
+  }
+  return ids;
+}
+
+/**
+ * Narrow the planned claims to --start/--end (1-based claim numbers,
+ * inclusive) and, for coverage / data-source batches, the listed run IDs.
+ */
+function selectTasks(tasks, options, ids) {
+  let selected = tasks;
+
+  if (ids) {
+    const known = new Set(tasks.map(t => t.runId));
+    const unknown = ids.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      console.log(`  ⚠️  ${unknown.length} listed run ID(s) are not in this batch: ${unknown.slice(0, 5).join(', ')}${unknown.length > 5 ? ', ...' : ''}`);
+    }
+    const wanted = new Set(ids);
+    selected = selected.filter(t => wanted.has(t.runId));
+  }
+
+  const start = options.start || 1;
+  const end = options.end || tasks.length;
+  if (start < 1 || end < start) {
+    throw new Error(`Invalid claim range: --start ${start} --end ${end}`);
+  }
+  return selected.filter(t => t.index >= start && t.index <= end);
+}
+
+/**
+ * The report of a claim whose PDF and report are both complete, or null.
+ * A complete report is for this runId and form and lists the values written
+ * (filledDetails); the PDF must be whole (header and %%EOF trailer).
+ */
+function readCompletedClaim(runId, formId, outputDir = OUTPUT_DIR) {
+  const reportPath = path.join(outputDir, `${runId}-report.json`);
+  if (!fs.existsSync(reportPath)) return null;
+
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(reportPath, 'utf-8'));
+  } catch (err) {
+    return null;
+  }
+  if (report.runId !== runId || report.form !== getForm(formId).id || !Array.isArray(report.filledDetails)) {
+    return null;
+  }
+
+  const pdfPath = report.outputPath || path.join(outputDir, `${runId}.pdf`);
+  if (!fs.existsSync(pdfPath)) return null;
+  const size = fs.statSync(pdfPath).size;
+  if (size < 1024) return null;
+
+  const fd = fs.openSync(pdfPath, 'r');
+  try {
+    const head = Buffer.alloc(5);
+    const tail = Buffer.alloc(1024);
+    fs.readSync(fd, head, 0, head.length, 0);
+    fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+    if (head.toString('latin1') !== '%PDF-' || !tail.toString('latin1').includes('%%EOF')) {
+      return null;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return { ...report, outputPath: pdfPath };
+}
+
+/**
+ * Fill one planned claim. Runs in the main thread or in a batch worker, so the
+ * outcome carries only plain data.
+ */
+async function fillClaim(task, options, aiCallback) {
+  const result = await fillForm(task.runId, {
+    silent: true,
+    ai: options.useAI,
+    aiCallback: aiCallback,
+    form: options.form,
+    scenario: task.scenario,
+    regenerate: task.regenerate,
+    record: task.record,
+    dataSource: options.dataSource,
+  });
+
+  return {
+    runId: task.runId,
+    outputPath: result.outputPath,
+    claimant: result.data.claimant.fullName,
+    employer: result.data.employer.name,
+    violations: result.violations || [],
+    overflows: result.overflows || [],
+    filledFields: result.filledFields,
+  };
+}
+
+/**
+ * Route an AI callback's requests through a rate limiter's schedule().
+ */
+function rateLimitCallback(callback, schedule) {
+  const limited = (...args) => schedule(() => callback(...args));
+  if (callback.generateMedicalDetails) {
+    limited.generateMedicalDetails = (...args) => schedule(() => callback.generateMedicalDetails(...args));
+  }
+  if (callback.resetCache) {
+    limited.resetCache = () => callback.resetCache();
+  }
+  return limited;
+}
+
+/**
+ * Fill claims on a pool of worker threads (batch-worker.js). Each claim's data
+ * still comes from its runId seed, so outcomes match a serial run. AI requests
+ * from the workers are served here, one callback per claim, through a shared
+ * rate limiter.
+ *
+ * @param {Array} tasks - Planned claims
+ * @param {Object} options - batchFill options (plain data is passed to workers)
+ * @param {number} concurrency - Number of workers
+ * @param {Object} ai - { createCallback, requestsPerMinute, medicalDetails }
+ * @param {Function} onDone - Called with (task, outcome) as each claim finishes
+ */
+function fillInWorkers(tasks, options, concurrency, ai, onDone) {
+  const queue = [...tasks];
+  const schedule = createRateLimiter({ requestsPerMinute: ai.requestsPerMinute });
+  const callbacks = new Map(); // runId -> AI callback for the claim in progress
+
+  const workerOptions = {
+    useAI: options.useAI,
+    form: options.form,
+    dataSource: options.dataSource,
+    coverage: options.coverage,
+  };
+
+  const serveAI = (worker, message) => {
+    if (!callbacks.has(message.runId)) {
+      callbacks.set(message.runId, ai.createCallback());
+    }
+    const callback = rateLimitCallback(callbacks.get(message.runId), schedule);
+    const request = message.method === 'generateMedicalDetails'
+      ? callback.generateMedicalDetails(...message.args)
+      : callback(...message.args);
+
+    request.then(
+      value => worker.postMessage({ type: 'ai-result', id: message.id, value }),
+      err => worker.postMessage({ type: 'ai-result', id: message.id, error: err.message })
+    );
+  };
+
+  return new Promise(resolve => {
+    let live = concurrency;
+
+    const dispatch = (worker) => {
+      worker.current = queue.shift() || null;
+      if (worker.current) {
+        worker.postMessage({ type: 'claim', task: worker.current });
+      } else {
+        worker.terminate();
+      }
+    };
+
+    for (let i = 0; i < concurrency; i++) {
+      const worker = new Worker(path.join(__dirname, 'batch-worker.js'), {
+        workerData: { options: workerOptions, ai: { medicalDetails: ai.medicalDetails } },
+      });
+
+      worker.on('message', (message) => {
+        if (message.type === 'ai') {
+          serveAI(worker, message);
+        } else if (message.type === 'done') {
+          const task = worker.current;
+          callbacks.delete(task.runId);
+          onDone(task, message.outcome);
+          dispatch(worker);
+        }
+      });
+
+      worker.on('error', (err) => {
+        if (worker.current) {
+          onDone(worker.current, { runId: worker.current.runId, error: `Worker failed: ${err.message}` });
+          worker.current = null;
+        }
+      });
+
+      worker.on('exit', () => {
+        live--;
+        if (live === 0) {
+          queue.splice(0).forEach(task => onDone(task, { runId: task.runId, error: 'No batch workers left' }));
+          resolve();
+        }
+      });
+
+      dispatch(worker);
+    }
+  });
+}
+
+/**
+ * Bundle the batch into a merged PDF and/or ZIP (see batch-package.js).
+ * options.merge / options.zip are a file path, or true for the default.
+ */
+async function packageBatch(results, prefix, options) {
+  console.log(`\n=== Packaging ===\n`);
+  if (!results.some(r => r.success)) {
+    console.log(`  ⚠️  Nothing to package (no claims succeeded)`);
+    return;
+  }
+
+  if (options.merge) {
+    const merged = await mergeBatchPdfs(results, {
+      output: options.merge === true ? defaultPackagePath(prefix, 'pdf') : options.merge,
+    });
+    console.log(`  ✅ Merged PDF: ${merged.outputPath} (${merged.claims} claims, ${merged.pages} pages)`);
+  }
+
+  if (options.zip) {
+    const archive = writeBatchZip(results, {
+      output: options.zip === true ? defaultPackagePath(prefix, 'zip') : options.zip,
+      files: options.groundTruth ? [options.groundTruth.csv, options.groundTruth.jsonl] : [],
+      meta: {
+        form: options.form || getForm().id,
+        prefix,
+        scenario: options.scenario || null,
+        dataSource: options.dataSource || null,
+        coverage: options.coverage || null,
+      },
+    });
+    console.log(`  ✅ ZIP archive: ${archive.outputPath} (${archive.claims} claims, ${(archive.bytes / 1024).toFixed(0)} KB)`);
+  }
+}
+
+function printCoverageMatrix(matrix, plan) {
+  console.log(`\n=== Coverage Matrix (${matrix.claims} claims) ===\n`);
+
+  matrix.rows.forEach(row => {
+    const field = row.field.replace(/\s+/g, ' ');
+    const label = field.length > 48 ? `${field.substring(0, 45)}...` : field;
+    const counts = Object.entries(row.counts).map(([value, n]) => `${value}: ${n}`).join('  ');
+    console.log(`  ${label.padEnd(48)}  ${counts}`);
+  });
+
+  const gaps = getCoverageGaps(matrix);
+  if (gaps.length > 0) {
+    console.log(`\n  Gaps:`);
+    gaps.forEach(g => console.log(`    ${g.field}: ${g.missing.join(', ')}`));
+  } else {
+    console.log(`\n  Every checkbox branch covered`);
+  }
+  if (plan.unreachable.length > 0) {
+    console.log(`  ${plan.unreachable.length} of ${plan.totalTargets} combinations are infeasible (e.g. derived options)`);
+  }
+}
+
+// Flags that take a value (excluded from positional arguments)
+const VALUE_FLAGS = [
+  '--form', '--scenario', '--data-source', '--columns', '--concurrency', '--ai-rpm', '--ground-truth',
+  '--start', '--end', '--ids-file',
+];
+const COVERAGE_STRENGTHS = ['each', 'pairwise'];
+
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
 // CLI
 async function main() {
   const args = process.argv.slice(2);
@@ -101,25 +657,147 @@ async function main() {
 Batch Form Filler
 
 Usage:
-  node batch-fill.js <count> [prefix] [--ai]
+  node batch-fill.js <count> [prefix] [options]
+  node batch-fill.js --coverage [each|pairwise] [prefix] [options]
+  node batch-fill.js --data-source <file> [prefix] [options]
+  node batch-fill.js --ids-file <file> [prefix] [options]
 
 Arguments:
   count     Number of forms to generate
   prefix    Run ID prefix (default: "claim")
 
 Options:
-  --ai      Enable AI-generated disability descriptions (requires GROQ_API_KEY)
+  --ai                Enable AI-generated disability descriptions (requires GROQ_API_KEY)
+  --form <id>         Registered form to fill (default: db-450)
+  --scenario <names>  Scenario profile(s), comma-separated (see scenarios.js)
+  --strict            Mark claims with consistency violations as failed
+  --coverage [mode]   Plan the claims so every checkbox branch is exercised
+                      (each: every state once; pairwise (default): every pair of states)
+  --data-source <file>
+                      Fill one claim per CSV/JSON record; missing values use faker
+                      (rows without a runId column are named <prefix or file name>-NNN)
+  --columns <file>    Column mapping (JSON) for --data-source
+  --concurrency <n>   Fill claims on n worker threads (output is the same as a serial run)
+  --ai-rpm <n>        Limit AI requests to n per minute across all workers
+  --merge [file]      Also merge the filled forms into one PDF, bookmarked per runId
+                      (default: ./output/<prefix>-batch.pdf)
+  --zip [file]        Also write a ZIP of the PDFs, their generated data and a manifest
+                      (default: ./output/<prefix>-batch.zip)
+  --ground-truth <base>
+                      Ground-truth file path without extension
+                      (default: ./output/<prefix>-ground-truth.csv / .jsonl)
+  --no-ground-truth   Do not write the ground-truth files
+  --resume            Skip claims whose PDF and report already exist and are complete
+  --force             Regenerate claims' data even if generated-data exists
+  --start <n>         First claim number to fill (1-based)
+  --end <n>           Last claim number to fill (inclusive)
+  --ids-file <file>   Run IDs to fill, one per line or a JSON array (with --coverage
+                      or --data-source: only the listed claims of the batch)
 
 Examples:
   node batch-fill.js 5
   node batch-fill.js 10 employee
   node batch-fill.js 5 claim --ai
+  node batch-fill.js 5 claim --form db-450
+  node batch-fill.js 5 claim --strict
+  node batch-fill.js 5 preg --scenario pregnancy
+  node batch-fill.js --coverage
+  node batch-fill.js --coverage each smoke
+  node batch-fill.js --data-source personas.csv --columns columns.json
+  node batch-fill.js 50 load --concurrency 4
+  node batch-fill.js 25 intake --merge --zip
+  node batch-fill.js 1000 load --resume
+  node batch-fill.js 1000 load --start 641 --end 700 --force
+  node batch-fill.js --ids-file rerun.txt
     `);
     process.exit(0);
   }
 
   const useAI = args.includes('--ai');
-  const nonFlagArgs = args.filter(a => !a.startsWith('--'));
+  const form = getFlagValue(args, '--form');
+  const scenario = getFlagValue(args, '--scenario');
+  const strict = args.includes('--strict');
+  const dataSource = getFlagValue(args, '--data-source');
+  const columns = getFlagValue(args, '--columns');
+  const concurrency = parseInt(getFlagValue(args, '--concurrency'), 10) || 1;
+  const aiRequestsPerMinute = parseInt(getFlagValue(args, '--ai-rpm'), 10) || undefined;
+
+  // --merge / --zip take an optional file name
+  const getPackageFile = (flag, ext) => {
+    if (!args.includes(flag)) return undefined;
+    const value = getFlagValue(args, flag);
+    return value && value.endsWith(`.${ext}`) ? value : true;
+  };
+  const merge = getPackageFile('--merge', 'pdf');
+  const zip = getPackageFile('--zip', 'zip');
+
+  const groundTruth = args.includes('--no-ground-truth') ? false : getFlagValue(args, '--ground-truth');
+  const resume = args.includes('--resume');
+  const force = args.includes('--force');
+  const idsFile = getFlagValue(args, '--ids-file');
+
+  if (resume && force) {
+    console.error('Error: --resume cannot be combined with --force');
+    process.exit(1);
+  }
+
+  // --start/--end are 1-based claim numbers
+  const getClaimNumber = (flag) => {
+    if (!args.includes(flag)) return undefined;
+    const value = getFlagValue(args, flag);
+    if (!/^\d+$/.test(value || '') || Number(value) < 1) {
+      console.error(`Error: ${flag} takes a claim number of 1 or more (got: ${value === undefined ? 'nothing' : value})`);
+      process.exit(1);
+    }
+    return Number(value);
+  };
+  const start = getClaimNumber('--start');
+  const end = getClaimNumber('--end');
+  if (start && end && end < start) {
+    console.error(`Error: Invalid claim range: --start ${start} --end ${end}`);
+    process.exit(1);
+  }
+
+  // Options shared by every mode
+  const common = { concurrency, aiRequestsPerMinute, merge, zip, groundTruth, resume, force, start, end, idsFile };
+
+  // --coverage takes an optional strength
+  let coverage = null;
+  if (args.includes('--coverage')) {
+    const value = getFlagValue(args, '--coverage');
+    coverage = COVERAGE_STRENGTHS.includes(value) ? value : 'pairwise';
+  }
+
+  const nonFlagArgs = args.filter((a, i) => !a.startsWith('--') &&
+    !VALUE_FLAGS.includes(args[i - 1]) &&
+    !(args[i - 1] === '--coverage' && COVERAGE_STRENGTHS.includes(a)) &&
+    !(args[i - 1] === '--merge' && a.endsWith('.pdf')) &&
+    !(args[i - 1] === '--zip' && a.endsWith('.zip')));
+
+  if (coverage) {
+    if (scenario || dataSource) {
+      console.error(`Error: --coverage cannot be combined with ${scenario ? '--scenario' : '--data-source'}`);
+      process.exit(1);
+    }
+
+    // Count is decided by the planner; a leading number is ignored
+    const positional = isNaN(parseInt(nonFlagArgs[0], 10)) ? nonFlagArgs : nonFlagArgs.slice(1);
+    await batchFill(null, positional[0] || 'claim', { useAI, form, scenario, strict, coverage, dataSource, ...common });
+    return;
+  }
+
+  if (dataSource) {
+    // Count is the number of records; an optional prefix names rows without a runId
+    await batchFill(null, nonFlagArgs[0] || null, { useAI, form, scenario, strict, dataSource, columns, ...common });
+    return;
+  }
+
+  if (idsFile) {
+    // Count and names come from the file; the prefix only names batch artifacts
+    const positional = isNaN(parseInt(nonFlagArgs[0], 10)) ? nonFlagArgs : nonFlagArgs.slice(1);
+    await batchFill(null, positional[0] || 'claim', { useAI, form, scenario, strict, ...common });
+    return;
+  }
 
   const count = parseInt(nonFlagArgs[0], 10);
   const prefix = nonFlagArgs[1] || 'claim';
@@ -129,11 +807,14 @@ Examples:
     process.exit(1);
   }
 
-  await batchFill(count, prefix, { useAI });
+  await batchFill(count, prefix, { useAI, form, scenario, strict, ...common });
 }
 
-module.exports = { batchFill };
+module.exports = { batchFill, fillClaim };
 
 if (require.main === module) {
-  main().catch(console.error);
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
 }
@@ -0,0 +1,435 @@
+/**
+ * Batch Packaging
+ *
+ * Bundles the claims of a batch into a single artifact:
+ *   - a merged PDF with one bookmark per runId (forms are flattened, since
+ *     field names repeat across claims)
+ *   - a ZIP with each claim's PDF, its generated-data JSON and a manifest
+ *
+ * The ZIP is written in plain JavaScript (Node's zlib for deflate), so no zip
+ * tool is needed on the machine.
+ *
+ * ZIP layout:
+ *   manifest.json          Batch summary and one entry per claim
+ *   pdfs/<runId>.pdf       Filled forms
+ *   data/<runId>.json      Generated data each form was filled from
+ *   <file name>            Extra batch files (e.g. the ground-truth CSV/JSONL)
+ *
+ * Usage:
+ *   node batch-package.js <run-id...> [options]
+ *   node batch-package.js --prefix <prefix> [options]
+ *
+ * Options:
+ *   --prefix <prefix>      Package every output/<prefix>-*.pdf
+ *   --merge [file]         Write a merged PDF (default: ./output/<prefix>-batch.pdf)
+ *   --zip [file]           Write a ZIP archive (default: ./output/<prefix>-batch.zip)
+ *   --output-dir <dir>     Where the filled PDFs are (default: ./output)
+ *   --data-dir <dir>       Where the generated data is (default: ./generated-data)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { PDFDocument, PDFName, PDFHexString } = require('pdf-lib');
+
+const DEFAULT_OUTPUT_DIR = './output';
+const DEFAULT_DATA_DIR = './generated-data';
+
+// ===========================================
+// ZIP
+// ===========================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive in memory.
+ *
+ * @param {Array} entries - [{ name, data: Buffer|string }]
+ * @param {Object} options - { date } modification time for every entry (default: now)
+ * @returns {Buffer}
+ */
+function createZip(entries, options = {}) {
+  if (entries.length > 0xFFFF) {
+    throw new Error(`ZIP supports at most 65535 entries (got ${entries.length})`);
+  }
+
+  const stamp = dosDateTime(options.date || new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf-8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf-8');
+    const deflated = zlib.deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(20, 4);               // version needed
+    local.writeUInt16LE(0x0800, 6);           // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);   // store / deflate
+    local.writeUInt16LE(stamp.time, 10);
+    local.writeUInt16LE(stamp.date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4);             // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(stamp.time, 12);
+    central.writeUInt16LE(stamp.date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+    if (offset > 0xFFFFFFFF) {
+      throw new Error('ZIP archive exceeds 4 GB (ZIP64 is not supported)');
+    }
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// ===========================================
+// MANIFEST
+// ===========================================
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Describe a batch: totals plus one entry per claim (failed claims included,
+ * with their error).
+ *
+ * @param {Array} results - batchFill results
+ * @param {Object} meta - Extra top-level fields (e.g. form, prefix)
+ */
+function buildManifest(results, meta = {}) {
+  return {
+    generatedAt: new Date().toISOString(),
+    ...meta,
+    total: results.length,
+    succeeded: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    claims: results.map(r => ({
+      runId: r.runId,
+      success: r.success,
+      claimant: r.claimant,
+      employer: r.employer,
+      violations: (r.violations || []).length,
+      overflows: (r.overflows || []).length,
+      error: r.error,
+    })),
+  };
+}
+
+// ===========================================
+// PACKAGING
+// ===========================================
+
+// Claims with a filled PDF on disk, in batch order
+function packagedClaims(results) {
+  return results.filter(r => r.success && r.outputPath && fs.existsSync(r.outputPath));
+}
+
+/**
+ * Add a flat outline (bookmarks panel) to a document.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {Array} bookmarks - [{ title, pageIndex }]
+ */
+function addBookmarks(pdfDoc, bookmarks) {
+  if (bookmarks.length === 0) return;
+
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages();
+  const outlinesRef = context.nextRef();
+  const itemRefs = bookmarks.map(() => context.nextRef());
+
+  bookmarks.forEach((bookmark, i) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(bookmark.title),
+      Parent: outlinesRef,
+      Dest: [pages[bookmark.pageIndex].ref, 'Fit'],
+    });
+    if (i > 0) item.set(PDFName.of('Prev'), itemRefs[i - 1]);
+    if (i < itemRefs.length - 1) item.set(PDFName.of('Next'), itemRefs[i + 1]);
+    context.assign(itemRefs[i], item);
+  });
+
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: itemRefs.length,
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Merge the batch's filled forms into one PDF, bookmarked per runId.
+ *
+ * @param {Array} results - batchFill results
+ * @param {Object} options - { output }
+ * @returns {Promise<{ outputPath: string, claims: number, pages: number }>}
+ */
+async function mergeBatchPdfs(results, options = {}) {
+  const claims = packagedClaims(results);
+  if (claims.length === 0) {
+    throw new Error('No filled PDFs to merge');
+  }
+
+  const merged = await PDFDocument.create();
+  const bookmarks = [];
+
+  for (const claim of claims) {
+    const source = await PDFDocument.load(fs.readFileSync(claim.outputPath));
+    const form = source.getForm();
+    if (form.getFields().length > 0) {
+      form.flatten();
+    }
+
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    bookmarks.push({
+      title: claim.claimant ? `${claim.runId} - ${claim.claimant}` : claim.runId,
+      pageIndex: merged.getPageCount(),
+    });
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  addBookmarks(merged, bookmarks);
+
+  const outputPath = options.output;
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, await merged.save());
+
+  return { outputPath, claims: claims.length, pages: merged.getPageCount() };
+}
+
+/**
+ * Write the batch's PDFs, generated data and manifest to a ZIP archive.
+ *
+ * @param {Array} results - batchFill results
+ * @param {Object} options - { output, dataDir, meta, files } (files: extra paths added at the root)
+ * @returns {{ outputPath: string, claims: number, bytes: number }}
+ */
+function writeBatchZip(results, options = {}) {
+  const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+  const claims = packagedClaims(results);
+  const manifest = buildManifest(results, options.meta);
+  const entries = [];
+
+  claims.forEach(claim => {
+    const entry = manifest.claims.find(c => c.runId === claim.runId);
+    const pdf = fs.readFileSync(claim.outputPath);
+    entries.push({ name: `pdfs/${claim.runId}.pdf`, data: pdf });
+    entry.files = { pdf: `pdfs/${claim.runId}.pdf` };
+    entry.sha256 = { pdf: sha256(pdf) };
+
+    const dataFile = path.join(dataDir, `${claim.runId}.json`);
+    if (fs.existsSync(dataFile)) {
+      const data = fs.readFileSync(dataFile);
+      entries.push({ name: `data/${claim.runId}.json`, data });
+      entry.files.data = `data/${claim.runId}.json`;
+      entry.sha256.data = sha256(data);
+    }
+  });
+
+  (options.files || []).filter(file => fs.existsSync(file)).forEach(file => {
+    entries.push({ name: path.basename(file), data: fs.readFileSync(file) });
+  });
+  manifest.files = (options.files || []).filter(file => fs.existsSync(file)).map(file => path.basename(file));
+
+  entries.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+  const zip = createZip(entries);
+  const outputPath = options.output;
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, zip);
+
+  return { outputPath, claims: claims.length, bytes: zip.length };
+}
+
+/**
+ * Default artifact path for a batch: ./output/<prefix>-batch.<ext>
+ */
+function defaultPackagePath(prefix, ext, outputDir = DEFAULT_OUTPUT_DIR) {
+  return path.join(outputDir, `${prefix || 'batch'}-batch.${ext}`);
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Batch Packaging
+
+Bundles already-filled claims into a merged PDF (bookmarked per runId) and/or
+a ZIP with their PDFs, generated data and a manifest. batch-fill.js does the
+same with --merge / --zip right after filling.
+
+Usage:
+  node batch-package.js <run-id...> [options]
+  node batch-package.js --prefix <prefix> [options]
+
+Options:
+  --prefix <prefix>      Package every <output-dir>/<prefix>-*.pdf
+  --merge [file]         Write a merged PDF (default: ./output/<prefix>-batch.pdf)
+  --zip [file]           Write a ZIP archive (default: ./output/<prefix>-batch.zip)
+  --output-dir <dir>     Where the filled PDFs are (default: ./output)
+  --data-dir <dir>       Where the generated data is (default: ./generated-data)
+
+Examples:
+  node batch-package.js --prefix claim --zip
+  node batch-package.js claim-001 claim-002 --merge ./handoff.pdf
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  // --merge / --zip take an optional file name
+  const getOptionalFile = (flag, ext) => {
+    if (!args.includes(flag)) return undefined;
+    const value = getFlag(flag);
+    return value && value.endsWith(`.${ext}`) ? value : true;
+  };
+
+  const prefix = getFlag('--prefix');
+  const outputDir = getFlag('--output-dir') || DEFAULT_OUTPUT_DIR;
+  const dataDir = getFlag('--data-dir') || DEFAULT_DATA_DIR;
+  const merge = getOptionalFile('--merge', 'pdf');
+  const zip = getOptionalFile('--zip', 'zip');
+
+  if (!merge && !zip) {
+    console.error('Error: pass --merge and/or --zip');
+    process.exit(1);
+  }
+
+  const valueFlags = ['--prefix', '--output-dir', '--data-dir'];
+  let runIds = args.filter((a, i) => !a.startsWith('--') &&
+    !valueFlags.includes(args[i - 1]) &&
+    !(args[i - 1] === '--merge' && a.endsWith('.pdf')) &&
+    !(args[i - 1] === '--zip' && a.endsWith('.zip')));
+  if (prefix) {
+    const pattern = new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-.+\\.pdf$`);
+    runIds = fs.existsSync(outputDir)
+      ? fs.readdirSync(outputDir)
+        .filter(f => pattern.test(f) && !f.endsWith('-batch.pdf'))
+        .map(f => path.basename(f, '.pdf'))
+        .sort()
+      : [];
+  }
+  if (runIds.length === 0) {
+    console.error('Error: no claims to package');
+    process.exit(1);
+  }
+
+  // Rebuild batch results from what is on disk
+  const results = runIds.map(runId => {
+    const outputPath = path.join(outputDir, `${runId}.pdf`);
+    if (!fs.existsSync(outputPath)) {
+      return { runId, success: false, error: `PDF not found: ${outputPath}` };
+    }
+    const reportPath = path.join(outputDir, `${runId}-report.json`);
+    const report = fs.existsSync(reportPath) ? JSON.parse(fs.readFileSync(reportPath, 'utf-8')) : {};
+    return {
+      runId,
+      success: true,
+      outputPath,
+      claimant: report.claimant,
+      employer: report.employer,
+      violations: report.violations,
+      overflows: report.overflows,
+    };
+  });
+
+  try {
+    const name = prefix || 'batch';
+    if (merge) {
+      const merged = await mergeBatchPdfs(results, {
+        output: merge === true ? defaultPackagePath(name, 'pdf', outputDir) : merge,
+      });
+      console.log(`✅ Merged ${merged.claims} claims (${merged.pages} pages): ${merged.outputPath}`);
+    }
+    if (zip) {
+      const archive = writeBatchZip(results, {
+        output: zip === true ? defaultPackagePath(name, 'zip', outputDir) : zip,
+        dataDir,
+        meta: { prefix: prefix || null },
+      });
+      console.log(`✅ Archived ${archive.claims} claims (${(archive.bytes / 1024).toFixed(0)} KB): ${archive.outputPath}`);
+    }
+    results.filter(r => !r.success).forEach(r => console.log(`⚠️  ${r.runId}: ${r.error}`));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  createZip,
+  crc32,
+  buildManifest,
+  mergeBatchPdfs,
+  writeBatchZip,
+  defaultPackagePath,
+};
+
+if (require.main === module) {
+  main();
+}
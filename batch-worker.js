@@ -0,0 +1,63 @@
+/**
+ * Batch Worker
+ *
+ * Worker thread for `node batch-fill.js --concurrency N`. Receives claims from
+ * the main thread, fills each with fillClaim() and posts the outcome back.
+ *
+ * AI requests are proxied to the main thread, which owns the AI callbacks and
+ * their rate limit, so workers never call the provider directly.
+ *
+ * Messages:
+ *   main -> worker  { type: 'claim', task }
+ *                   { type: 'ai-result', id, value } | { type: 'ai-result', id, error }
+ *   worker -> main  { type: 'ai', id, runId, method, args }
+ *                   { type: 'done', index, outcome }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { fillClaim } = require('./batch-fill');
+
+const pendingAI = new Map();
+let nextRequestId = 0;
+
+function requestAI(runId, method, args) {
+  const id = ++nextRequestId;
+  return new Promise((resolve, reject) => {
+    pendingAI.set(id, { resolve, reject });
+    parentPort.postMessage({ type: 'ai', id, runId, method, args });
+  });
+}
+
+// Stands in for the main thread's AI callback for one claim
+function createProxyCallback(runId) {
+  const callback = (prompt, category, data) => requestAI(runId, 'generate', [prompt, category, data]);
+  if (workerData.ai.medicalDetails) {
+    callback.generateMedicalDetails = (ctx) => requestAI(runId, 'generateMedicalDetails', [ctx]);
+  }
+  return callback;
+}
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'ai-result') {
+    const request = pendingAI.get(message.id);
+    pendingAI.delete(message.id);
+    if (message.error !== undefined) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.value);
+    }
+    return;
+  }
+
+  if (message.type === 'claim') {
+    const { task } = message;
+    let outcome;
+    try {
+      const aiCallback = workerData.options.useAI ? createProxyCallback(task.runId) : null;
+      outcome = await fillClaim(task, workerData.options, aiCallback);
+    } catch (err) {
+      outcome = { runId: task.runId, error: err.message };
+    }
+    parentPort.postMessage({ type: 'done', index: task.index, outcome });
+  }
+});
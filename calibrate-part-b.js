@@ -0,0 +1,335 @@
+/**
+ * Part B Coordinate Calibration
+ *
+ * Renders the Part B page of the template with a labeled grid, a marker and
+ * key name at every coordinate in PartBCoordinates, the declared text boxes,
+ * and a sample value fitted as fillForm would draw it, so positions can be
+ * checked against the printed boxes. Also imports/exports the coordinate
+ * table as JSON; the calibrated file (part-b-coordinates.json) is merged over
+ * the built-in table on load.
+ *
+ * Usage:
+ *   node calibrate-part-b.js [options]
+ *
+ * Options:
+ *   --output, -o <path>    Output PDF path (default: ./output/calibrate-part-b.pdf)
+ *   --form <id>            Registered form to calibrate (default: db-450)
+ *   --coordinates <file>   Preview a coordinate JSON file without saving it
+ *   --import <file>        Merge a coordinate JSON file into part-b-coordinates.json
+ *   --export [file]        Write the current table as JSON (default: part-b-coordinates.json)
+ *   --grid <points>        Grid spacing in points (default: 10)
+ *   --no-grid              Omit the grid
+ *   --no-samples           Omit the sample values
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { DataGenerator } = require('./data-generator');
+const { getForm, resolvePageIndex } = require('./form-registry');
+const { resolveCoordinateValue } = require('./overlay-fields');
+const { MockProvider } = require('./ai-integration');
+const { DEFAULT_MIN_SIZE, drawFittedText, splitToFit } = require('./text-fit');
+const {
+  PartBCoordinates,
+  CALIBRATED_COORDINATES_PATH,
+  mergeCoordinates,
+} = require('./part-b-fields');
+
+const GRID_COLOR = rgb(0.6, 0.8, 1);
+const MARKER_COLOR = rgb(0.85, 0, 0);
+const BOX_COLOR = rgb(0, 0.6, 0.2);
+const LABEL_COLOR = rgb(0, 0.3, 0.8);
+const LABEL_SIZE = 4.5;
+const LABELED_GRID_EVERY = 50;
+
+// ===========================================
+// COORDINATE TABLE IMPORT / EXPORT
+// ===========================================
+
+/**
+ * Read a coordinate JSON file and merge it over a base table.
+ *
+ * @returns {{ coordinates: Object, moved: Array, added: Array }}
+ */
+function importCoordinates(file, base = PartBCoordinates) {
+  const table = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const coordinates = mergeCoordinates(base, table);
+
+  const moved = [];
+  const added = [];
+  Object.keys(table).forEach(key => {
+    if (!base[key]) {
+      added.push(key);
+    } else if (base[key].x !== coordinates[key].x || base[key].y !== coordinates[key].y) {
+      moved.push({
+        key,
+        dx: coordinates[key].x - base[key].x,
+        dy: coordinates[key].y - base[key].y,
+      });
+    }
+  });
+
+  return { coordinates, moved, added };
+}
+
+function exportCoordinates(coordinates, file = CALIBRATED_COORDINATES_PATH) {
+  fs.writeFileSync(file, JSON.stringify(coordinates, null, 2) + '\n');
+  return file;
+}
+
+// ===========================================
+// CALIBRATION SHEET
+// ===========================================
+
+/**
+ * Context for sample values: a throwaway generated run plus mock medical details.
+ */
+async function buildSampleContext() {
+  const { data } = new DataGenerator('calibration', { persist: false, silent: true });
+  const medical = await new MockProvider().generateMedicalDetails({ claimant: data.claimant });
+
+  return {
+    claimant: data.claimant,
+    medical: {
+      ...medical,
+      firstTreatment: data.dates.disabilityStart,
+      recentTreatment: data.dates.signatureDate,
+    },
+    dates: data.dates,
+    medicalProvider: data.medicalProvider,
+  };
+}
+
+/**
+ * Sample value for an entry. Every check is drawn, and text with a box is
+ * padded to fill the box at its minimum font size, the most text the filler
+ * writes before cutting it.
+ */
+function sampleValue(key, config, context, font, fontSize) {
+  if (config.type === 'check' || config.type === 'boolean-check') return 'X';
+
+  const value = resolveCoordinateValue(key, config, context) || key;
+  if (config.type !== 'text' || !config.box) return value;
+
+  const minSize = Math.min(config.box.minSize || DEFAULT_MIN_SIZE, fontSize);
+  const padded = `${value}${' - sample text'.repeat(40)}`;
+  return splitToFit(padded, font, config.box, minSize).head;
+}
+
+function drawGrid(page, font, step) {
+  const { width, height } = page.getSize();
+
+  for (let x = 0; x <= width; x += step) {
+    const labeled = x % LABELED_GRID_EVERY === 0;
+    page.drawLine({
+      start: { x, y: 0 },
+      end: { x, y: height },
+      thickness: labeled ? 0.5 : 0.2,
+      color: GRID_COLOR,
+    });
+    if (labeled) {
+      page.drawText(String(x), { x: x + 1, y: 2, size: LABEL_SIZE, font, color: LABEL_COLOR });
+      page.drawText(String(x), { x: x + 1, y: height - 6, size: LABEL_SIZE, font, color: LABEL_COLOR });
+    }
+  }
+
+  for (let y = 0; y <= height; y += step) {
+    const labeled = y % LABELED_GRID_EVERY === 0;
+    page.drawLine({
+      start: { x: 0, y },
+      end: { x: width, y },
+      thickness: labeled ? 0.5 : 0.2,
+      color: GRID_COLOR,
+    });
+    if (labeled) {
+      page.drawText(String(y), { x: 2, y: y + 1, size: LABEL_SIZE, font, color: LABEL_COLOR });
+      page.drawText(String(y), { x: width - 12, y: y + 1, size: LABEL_SIZE, font, color: LABEL_COLOR });
+    }
+  }
+}
+
+function drawMarker(page, font, key, config) {
+  const { x, y } = config;
+  page.drawLine({ start: { x: x - 3, y }, end: { x: x + 3, y }, thickness: 0.6, color: MARKER_COLOR });
+  page.drawLine({ start: { x, y: y - 3 }, end: { x, y: y + 3 }, thickness: 0.6, color: MARKER_COLOR });
+  page.drawText(`${key} (${x}, ${y})`, {
+    x: x + 2,
+    y: y - LABEL_SIZE - 1,
+    size: LABEL_SIZE,
+    font,
+    color: LABEL_COLOR,
+  });
+}
+
+// Outline of the area text is fitted into: x..x+width, from the first line's
+// cap height down to the last line's baseline
+function drawBox(page, config, fontSize) {
+  const { width, height } = config.box;
+  const depth = height ? height - fontSize : 0;
+  page.drawRectangle({
+    x: config.x,
+    y: config.y - depth - 2,
+    width,
+    height: fontSize + depth + 2,
+    borderColor: BOX_COLOR,
+    borderWidth: 0.4,
+  });
+}
+
+/**
+ * Render the calibration sheet: the overlay page only, with grid, markers and samples.
+ *
+ * @param {Object} options
+ * @param {string} options.form - Registered form ID (default: db-450)
+ * @param {Object} options.coordinates - Coordinate table (default: PartBCoordinates)
+ * @param {string} options.output - Output PDF path
+ * @param {number} options.grid - Grid spacing in points
+ * @param {boolean} options.showGrid - Draw the grid (default: true)
+ * @param {boolean} options.samples - Draw sample values (default: true)
+ * @returns {Promise<string>} Output path
+ */
+async function renderCalibrationSheet(options = {}) {
+  const formDef = getForm(options.form);
+  const overlay = formDef.overlays.find(o => o.name === 'Part B') || formDef.overlays[0];
+  if (!overlay) {
+    throw new Error(`Form ${formDef.id} has no coordinate overlays to calibrate`);
+  }
+
+  const coordinates = options.coordinates || overlay.coordinates;
+  const fontSize = overlay.fontSize || 10;
+  const pageIndex = resolvePageIndex(formDef, overlay.page);
+
+  const template = await PDFDocument.load(fs.readFileSync(formDef.template));
+  if (pageIndex >= template.getPageCount()) {
+    throw new Error(`Template has no page ${pageIndex + 1}`);
+  }
+
+  // Copy just the overlay page so the sheet is quick to open and print
+  const pdfDoc = await PDFDocument.create();
+  const [page] = await pdfDoc.copyPages(template, [pageIndex]);
+  pdfDoc.addPage(page);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  if (options.showGrid !== false) {
+    drawGrid(page, font, options.grid || 10);
+  }
+
+  const context = options.samples !== false ? await buildSampleContext() : null;
+
+  Object.entries(coordinates).forEach(([key, config]) => {
+    if (config.box) {
+      drawBox(page, config, fontSize);
+    }
+    if (context && config.type) {
+      drawFittedText(page, sampleValue(key, config, context, font, fontSize), config, { font, size: fontSize });
+    }
+    drawMarker(page, font, key, config);
+  });
+
+  const outputPath = options.output || './output/calibrate-part-b.pdf';
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, await pdfDoc.save());
+  return outputPath;
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Part B Coordinate Calibration
+
+Usage:
+  node calibrate-part-b.js [options]
+
+Options:
+  --output, -o <path>    Output PDF path (default: ./output/calibrate-part-b.pdf)
+  --form <id>            Registered form to calibrate (default: db-450)
+  --coordinates <file>   Preview a coordinate JSON file without saving it
+  --import <file>        Merge a coordinate JSON file into part-b-coordinates.json
+  --export [file]        Write the current table as JSON (default: part-b-coordinates.json)
+  --grid <points>        Grid spacing in points (default: 10)
+  --no-grid              Omit the grid
+  --no-samples           Omit the sample values
+
+Examples:
+  node calibrate-part-b.js                                      # Render the sheet
+  node calibrate-part-b.js --export                             # Start a calibrated file
+  node calibrate-part-b.js --coordinates ./adjusted.json        # Preview edits
+  node calibrate-part-b.js --import ./adjusted.json             # Save edits
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag, alias) => {
+    let index = args.indexOf(flag);
+    if (index === -1 && alias) index = args.indexOf(alias);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  try {
+    let coordinates;
+
+    const preview = getFlag('--coordinates');
+    const importFile = getFlag('--import');
+    if (preview && importFile) {
+      throw new Error('Use either --coordinates or --import, not both');
+    }
+
+    if (preview || importFile) {
+      const result = importCoordinates(preview || importFile);
+      coordinates = result.coordinates;
+
+      console.log(`\nLoaded ${preview || importFile}: ${result.moved.length} moved, ${result.added.length} added`);
+      result.moved.forEach(m => {
+        console.log(`  ${m.key}: ${m.dx >= 0 ? '+' : ''}${m.dx}, ${m.dy >= 0 ? '+' : ''}${m.dy}`);
+      });
+      result.added.forEach(key => {
+        console.log(`  ${key}: added${coordinates[key].type ? '' : ' (no type - position only)'}`);
+      });
+
+      if (importFile) {
+        console.log(`Saved calibrated coordinates: ${exportCoordinates(coordinates)}`);
+      }
+    }
+
+    if (args.includes('--export')) {
+      const target = getFlag('--export');
+      const file = target && !target.startsWith('-') ? target : CALIBRATED_COORDINATES_PATH;
+      const table = coordinates || PartBCoordinates;
+      console.log(`Exported ${Object.keys(table).length} coordinates: ${exportCoordinates(table, file)}`);
+      return;
+    }
+
+    const grid = getFlag('--grid') ? parseInt(getFlag('--grid'), 10) : 10;
+    if (!(grid > 0)) {
+      throw new Error('--grid must be a positive number of points');
+    }
+
+    const outputPath = await renderCalibrationSheet({
+      form: getFlag('--form'),
+      coordinates,
+      output: getFlag('--output', '-o'),
+      grid,
+      showGrid: !args.includes('--no-grid'),
+      samples: !args.includes('--no-samples'),
+    });
+
+    console.log(`\n✅ Calibration sheet: ${outputPath}`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  renderCalibrationSheet,
+  importCoordinates,
+  exportCoordinates,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,533 @@
+/**
+ * Claim Editor
+ *
+ * Review and edit the persona DataGenerator produced for a run before (re)filling
+ * it. Backs the browser review UI served by server.js (review-ui.html):
+ *
+ *   - listRuns()                 Runs in generated-data/ with their claimant and output
+ *   - getEditorModel(runId)      Form-shaped sections (claimant, employer, dates, the
+ *                                8-week wage table, checkbox states, Part B medical)
+ *                                with each field's current value and type
+ *   - saveClaimEdits(runId, ...) Validate edits, save generated-data/<runId>.json and
+ *                                re-run fillForm
+ *   - renderPage(runId, n)       One page of the filled PDF as its own (flattened) PDF
+ *
+ * Edits are data-model paths ({ "claimant.firstName": "Ana" }) checked against
+ * data-source.js's ModelFields, like --data-source records, then applied with
+ * DataGenerator.applyOverrides so derived values (full name, week end dates,
+ * average weekly wage) are recomputed. Derived fields are read-only. The edited
+ * data must pass the generated-data schema before anything is saved.
+ *
+ * Part B medical details (medical.*) are optional; cleared values fall back to
+ * AI-generated or default details when the form is filled.
+ *
+ * Usage:
+ *   node claim-editor.js --list
+ *   node claim-editor.js <run-id> [options]
+ *
+ * Options:
+ *   --list                 List runs with generated data
+ *   --set <path=value>     Edit a data-model value (repeatable), then refill
+ *   --clear <path>         Clear an optional medical.* value (repeatable), then refill
+ *   --json                 Print the editor model as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { DataGenerator, DerivedFields } = require('./data-generator');
+const { ModelFields, findModelField, coerceValue } = require('./data-source');
+const { validateSchema } = require('./data-schema');
+const { fillForm, DefaultMedicalDetails } = require('./fill-form');
+
+const OUTPUT_DIR = './output';
+const DATA_DIR = './generated-data';
+const WAGE_WEEKS = 8;
+
+// ===========================================
+// EDITOR LAYOUT
+// ===========================================
+
+const DerivedPaths = new Set(DerivedFields.map(field => field.path));
+
+const CHECKBOX_PATHS = Object.keys(ModelFields).filter(p => p.startsWith('checkboxes.'));
+
+// Sections in the order the form asks for them; `table` sections are rows of
+// `<prefix>.<row>.<column>` paths
+const EditorSections = [
+  {
+    id: 'claimant',
+    title: 'Claimant',
+    fields: [
+      'claimant.firstName', 'claimant.middleInitial', 'claimant.lastName', 'claimant.fullName',
+      'claimant.gender', 'claimant.dateOfBirth', 'claimant.ssn.part1', 'claimant.ssn.part2',
+      'claimant.ssn.part3', 'claimant.ssn.full', 'claimant.address', 'claimant.city',
+      'claimant.state', 'claimant.zip', 'claimant.phone', 'claimant.email', 'claimant.occupation',
+    ],
+  },
+  {
+    id: 'employer',
+    title: 'Employer',
+    fields: [
+      'employer.name', 'employer.address', 'employer.city', 'employer.state', 'employer.zip',
+      'employer.phone', 'employer.fein.part1', 'employer.fein.part2', 'employer.contactName',
+      'employer.contactTitle', 'employer.contactEmail', 'employer.contactPhone', 'employer.policyNumber',
+    ],
+  },
+  {
+    id: 'dates',
+    title: 'Dates',
+    fields: [
+      'dates.disabilityStart', 'dates.lastDayWorked', 'dates.employmentStart',
+      'dates.returnToWork', 'dates.terminationDate', 'dates.signatureDate',
+    ],
+  },
+  {
+    id: 'wages',
+    title: 'Wages (8 weeks before disability)',
+    table: { prefix: 'wages.weeklyWages', rows: WAGE_WEEKS, columns: ['weekEndDate', 'daysWorked', 'grossAmount'] },
+    fields: ['wages.averageWeeklyWage'],
+  },
+  {
+    id: 'checkboxes',
+    title: 'Checkbox states',
+    fields: CHECKBOX_PATHS,
+  },
+  {
+    id: 'medical',
+    title: 'Part B - Medical',
+    fields: [
+      'medicalProvider.firstName', 'medicalProvider.lastName', 'medicalProvider.fullName',
+      'medicalProvider.role', 'medicalProvider.licenseNumber', 'medicalProvider.address',
+      'medicalProvider.phone', 'medicalProvider.state',
+      'medical.diagnosisAnalysis', 'medical.icdCode', 'medical.symptoms', 'medical.objectiveFindings',
+      'medical.hospitalized', 'medical.surgery', 'medical.workRelated',
+      'medical.firstTreatment', 'medical.recentTreatment',
+    ],
+  },
+];
+
+// Values fill-form uses when medical.* is not saved with the claim
+const MedicalFallbacks = {
+  ...DefaultMedicalDetails,
+  hospitalized: 'No',
+  surgery: 'No',
+  workRelated: 'No',
+  firstTreatment: '10 days before filling',
+  recentTreatment: 'date of filling',
+};
+
+function isOptional(modelPath) {
+  return modelPath.startsWith('medical.');
+}
+
+// 'claimant.ssn.part1' -> 'Ssn part 1', 'checkboxes.unionMember' -> 'Union member'
+function fieldLabel(modelPath) {
+  const keys = modelPath.split('.');
+  const key = keys[keys.length - 1];
+  const parent = keys.length > 2 && !/^\d+$/.test(keys[keys.length - 2]) ? `${keys[keys.length - 2]} ` : '';
+  const words = `${parent}${key}`
+    .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+    .replace(/(\d+)/g, ' $1')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function getPath(data, modelPath) {
+  return modelPath.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), data);
+}
+
+// ISO date -> YYYY-MM-DD in local time (the form's dates are local dates)
+function toDateInput(value) {
+  if (!value) return value;
+  const d = new Date(value);
+  if (isNaN(d)) return value;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function editorField(data, modelPath) {
+  const spec = findModelField(modelPath);
+  const value = getPath(data, modelPath);
+  const field = {
+    path: modelPath,
+    label: fieldLabel(modelPath),
+    type: spec.type,
+    value: spec.type === 'date' ? toDateInput(value) : value,
+  };
+
+  if (spec.values) field.values = spec.values;
+  if (spec.pattern) field.pattern = spec.pattern.source;
+  if (spec.hint) field.hint = spec.hint;
+  if (spec.min !== undefined) field.min = spec.min;
+  if (spec.max !== undefined) field.max = spec.max;
+  if (DerivedPaths.has(modelPath) || DerivedPaths.has(modelPath.replace(/\.\d+\./, '.0.'))) field.readOnly = true;
+  if (isOptional(modelPath)) {
+    field.optional = true;
+    const key = modelPath.slice('medical.'.length);
+    if (MedicalFallbacks[key] !== undefined) field.fallback = String(MedicalFallbacks[key]);
+  }
+  return field;
+}
+
+// ===========================================
+// RUNS
+// ===========================================
+
+function dataFile(runId) {
+  return path.join(DATA_DIR, `${runId}.json`);
+}
+
+function readReport(runId) {
+  const reportPath = path.join(OUTPUT_DIR, `${runId}-report.json`);
+  if (!fs.existsSync(reportPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(reportPath, 'utf-8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Runs with generated data, newest first.
+ *
+ * @returns {Array} [{ runId, claimant, employer, scenario, generatedAt, form, hasPdf }]
+ */
+function listRuns() {
+  if (!fs.existsSync(DATA_DIR)) return [];
+
+  return fs.readdirSync(DATA_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const runId = file.slice(0, -'.json'.length);
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf-8'));
+      } catch (err) {
+        return null;
+      }
+      const report = readReport(runId);
+      return {
+        runId,
+        claimant: data.claimant?.fullName || null,
+        employer: data.employer?.name || null,
+        scenario: data.scenario || null,
+        generatedAt: data.generatedAt || null,
+        form: report?.form || null,
+        hasPdf: fs.existsSync(path.join(OUTPUT_DIR, `${runId}.pdf`)),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(b.generatedAt).localeCompare(String(a.generatedAt)) || a.runId.localeCompare(b.runId));
+}
+
+// Persisted data through DataGenerator, so older files come back migrated
+function loadGenerator(runId) {
+  if (!fs.existsSync(dataFile(runId))) {
+    throw new Error(`No generated data for run ${runId}`);
+  }
+  return new DataGenerator(runId, { silent: true });
+}
+
+/**
+ * Editor sections for a run, with each field's current value.
+ *
+ * Fields: { path, label, type, value, values?, pattern?, hint?, min?, max?,
+ * readOnly?, optional?, fallback? }. Dates are YYYY-MM-DD.
+ */
+function getEditorModel(runId) {
+  const data = loadGenerator(runId).getData();
+  const report = readReport(runId);
+
+  const sections = EditorSections.map(section => {
+    const model = { id: section.id, title: section.title, fields: section.fields.map(p => editorField(data, p)) };
+    if (section.table) {
+      const { prefix, rows, columns } = section.table;
+      model.table = {
+        columns: columns.map(column => ({ key: column, label: fieldLabel(column) })),
+        rows: Array.from({ length: rows }, (_, row) => columns.map(column => editorField(data, `${prefix}.${row}.${column}`))),
+      };
+    }
+    return model;
+  });
+
+  return {
+    runId,
+    scenario: data.scenario || null,
+    source: data.source || null,
+    generatedAt: data.generatedAt,
+    form: report?.form || null,
+    hasPdf: fs.existsSync(path.join(OUTPUT_DIR, `${runId}.pdf`)),
+    sections,
+  };
+}
+
+// ===========================================
+// SAVING
+// ===========================================
+
+/**
+ * Check edits against the data model.
+ *
+ * @param {Object} changes - { modelPath: value }; null or '' clears an optional medical.* value
+ * @returns {{ values: Object, cleared: string[], errors: Array }} errors: [{ path, message }]
+ */
+function checkEdits(changes) {
+  const values = {};
+  const cleared = [];
+  const errors = [];
+
+  Object.entries(changes).forEach(([modelPath, raw]) => {
+    const spec = findModelField(modelPath);
+    if (!spec) {
+      errors.push({ path: modelPath, message: 'not a data model path' });
+      return;
+    }
+    if (DerivedPaths.has(modelPath) || DerivedPaths.has(modelPath.replace(/\.\d+\./, '.0.'))) {
+      errors.push({ path: modelPath, message: 'is derived from other fields' });
+      return;
+    }
+    if (raw === null || raw === undefined || raw === '') {
+      if (isOptional(modelPath)) {
+        cleared.push(modelPath);
+        return;
+      }
+      if (raw !== '' || spec.type !== 'string' || spec.pattern) {
+        errors.push({ path: modelPath, message: 'is required' });
+        return;
+      }
+    }
+
+    const result = coerceValue(raw, spec);
+    if (result.error) {
+      errors.push({ path: modelPath, message: result.error });
+    } else {
+      values[modelPath] = result.value;
+    }
+  });
+
+  return { values, cleared, errors };
+}
+
+/**
+ * Validate and save edits to a run's generated data, then refill its form
+ * the way it was last filled (form, template, injected fields, flattening).
+ * Nothing is saved when any edit or the resulting data is invalid.
+ *
+ * @param {string} runId
+ * @param {Object} changes - { modelPath: value }
+ * @param {Object} options - { form } (default: the run's last form, else the default form)
+ * @returns {Promise<Object>} { saved, errors } or { saved, changed, filledFields, skippedFields,
+ *   errors, overflows, violations }
+ */
+async function saveClaimEdits(runId, changes, options = {}) {
+  const generator = loadGenerator(runId);
+  const edits = checkEdits(changes);
+  if (edits.errors.length > 0) {
+    return { saved: false, errors: edits.errors };
+  }
+
+  const data = generator.getData();
+  edits.cleared.forEach(modelPath => {
+    if (data.medical) delete data.medical[modelPath.slice('medical.'.length)];
+  });
+  if (data.medical && Object.keys(data.medical).length === 0) delete data.medical;
+  generator.applyOverrides(edits.values, data.source || null);
+
+  const schemaErrors = validateSchema(data);
+  if (schemaErrors.length > 0) {
+    return { saved: false, errors: schemaErrors.map(e => ({ path: e.path.replace(/^\$\.?/, ''), message: e.message })) };
+  }
+  generator.saveData();
+
+  const report = readReport(runId);
+  const fillOptions = report?.fillOptions || {};
+  const result = await fillForm(runId, {
+    silent: true,
+    form: options.form || report?.form || undefined,
+    input: fillOptions.input || undefined,
+    injectFields: fillOptions.injectFields,
+    flatten: fillOptions.flatten,
+    allowTemplateMismatch: fillOptions.allowTemplateMismatch,
+  });
+
+  return {
+    saved: true,
+    changed: [...Object.keys(edits.values), ...edits.cleared],
+    filledFields: result.filledFields.length,
+    skippedFields: result.skippedFields.length,
+    errors: result.errors,
+    overflows: result.overflows,
+    violations: result.violations,
+  };
+}
+
+// ===========================================
+// PAGE PREVIEW
+// ===========================================
+
+// Flattened copy of the last filled PDF for the most recently previewed runs,
+// reused until the PDF changes (the server is long-running, so it is capped)
+const MAX_CACHED_PREVIEWS = 3;
+const flattenedCache = new Map();
+
+async function loadFlattened(runId) {
+  const pdfPath = path.join(OUTPUT_DIR, `${runId}.pdf`);
+  if (!fs.existsSync(pdfPath)) {
+    throw new Error(`No filled PDF for run ${runId}`);
+  }
+
+  const stat = fs.statSync(pdfPath);
+  const stamp = `${stat.size}:${stat.mtimeMs}`;
+  const cached = flattenedCache.get(runId);
+  flattenedCache.delete(runId); // re-inserted below as the most recent
+  if (cached && cached.stamp === stamp) {
+    flattenedCache.set(runId, cached);
+    return cached.pdfDoc;
+  }
+
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath));
+  const form = pdfDoc.getForm();
+  if (form.getFields().length > 0) {
+    form.flatten();
+  }
+  flattenedCache.set(runId, { stamp, pdfDoc });
+  while (flattenedCache.size > MAX_CACHED_PREVIEWS) {
+    flattenedCache.delete(flattenedCache.keys().next().value);
+  }
+  return pdfDoc;
+}
+
+/**
+ * Number of pages in a run's filled PDF.
+ */
+async function getPageCount(runId) {
+  return (await loadFlattened(runId)).getPageCount();
+}
+
+/**
+ * One page (1-based) of a run's filled PDF as a standalone, flattened PDF.
+ *
+ * @returns {Promise<Uint8Array>}
+ */
+async function renderPage(runId, pageNumber) {
+  const source = await loadFlattened(runId);
+  const count = source.getPageCount();
+  if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > count) {
+    throw new Error(`Page ${pageNumber} out of range (1-${count})`);
+  }
+
+  const single = await PDFDocument.create();
+  const [page] = await single.copyPages(source, [pageNumber - 1]);
+  single.addPage(page);
+  return single.save();
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+Claim Editor
+
+Review and edit a run's generated data, then refill its form. The browser
+version of this editor is served by server.js at http://127.0.0.1:3450/.
+
+Usage:
+  node claim-editor.js --list
+  node claim-editor.js <run-id> [options]
+
+Options:
+  --list                 List runs with generated data
+  --set <path=value>     Edit a data-model value (repeatable), then refill
+  --clear <path>         Clear an optional medical.* value (repeatable), then refill
+  --json                 Print the editor model as JSON
+
+Examples:
+  node claim-editor.js DBL-001
+  node claim-editor.js DBL-001 --set claimant.firstName=Ana --set wages.weeklyWages.0.grossAmount=1250
+  node claim-editor.js DBL-001 --set medical.hospitalized=yes --clear medical.icdCode
+    `);
+    process.exit(0);
+  }
+
+  if (args.includes('--list')) {
+    const runs = listRuns();
+    if (runs.length === 0) {
+      console.log('No runs in ./generated-data');
+      return;
+    }
+    runs.forEach(run => {
+      console.log(`${run.hasPdf ? '✅' : '  '} ${run.runId}  ${run.claimant || '?'} (${run.employer || '?'})${run.scenario ? `  [${run.scenario}]` : ''}`);
+    });
+    return;
+  }
+
+  const runId = args[0];
+  const changes = {};
+  args.forEach((arg, i) => {
+    if (arg === '--set' && args[i + 1]) {
+      const eq = args[i + 1].indexOf('=');
+      if (eq === -1) {
+        console.error(`Error: --set expects path=value, got "${args[i + 1]}"`);
+        process.exit(1);
+      }
+      changes[args[i + 1].slice(0, eq)] = args[i + 1].slice(eq + 1);
+    }
+    if (arg === '--clear' && args[i + 1]) {
+      changes[args[i + 1]] = null;
+    }
+  });
+
+  try {
+    if (Object.keys(changes).length === 0) {
+      const model = getEditorModel(runId);
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(model, null, 2));
+        return;
+      }
+      model.sections.forEach(section => {
+        console.log(`\n=== ${section.title} ===`);
+        if (section.table) {
+          section.table.rows.forEach((row, i) => {
+            console.log(`  Week ${i + 1}: ${row.map(f => `${f.label.toLowerCase()} ${f.value}`).join(', ')}`);
+          });
+        }
+        section.fields.forEach(f => {
+          const shown = f.value === undefined ? `(${f.fallback || 'not set'})` : f.value;
+          console.log(`  ${f.path}: ${shown}${f.readOnly ? '  [derived]' : ''}`);
+        });
+      });
+      return;
+    }
+
+    const result = await saveClaimEdits(runId, changes);
+    if (!result.saved) {
+      console.error('⚠️  Not saved:');
+      result.errors.forEach(e => console.error(`  ${e.path}: ${e.message}`));
+      process.exit(1);
+    }
+    console.log(`✅ Saved ${result.changed.length} change(s) and refilled ${runId}: ${result.filledFields} fields filled`);
+    result.violations.forEach(v => console.warn(`⚠️  ${v.rule}: ${v.message}`));
+    result.overflows.forEach(o => console.warn(`⚠️  Overflow: ${o.name}`));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  EditorSections,
+  listRuns,
+  getEditorModel,
+  saveClaimEdits,
+  checkEdits,
+  getPageCount,
+  renderPage,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,329 @@
+/**
+ * Claim Consistency Validator
+ *
+ * Rule-based cross-field checks for a generated claim. Data rules run on the
+ * DataGenerator model; field rules run on the values fillForm actually wrote
+ * to the PDF (keyed by PDF field name).
+ *
+ * Each rule returns a list of violations:
+ *   { rule, scope: 'data' | 'fields', message, paths: [...] }
+ */
+
+const PART_A_WEEK_FIELDS = [
+  ['47 - Last Day Worked', '48 - No of Days Worked', '49 - Gross Amount Paid'],
+  ['50 - Last Day Worked', '51 - No of Days Worked', '52 - Gross Amount Paid'],
+  ['53 - Last Day Worked', '54 - No of Days Worked', '55 - Gross Amount Paid'],
+  ['56 - Last Day Worked', '57 - No of Days Worked', '58 - Gross Amount Paid'],
+  ['59 - Last Day Worked', '60 - No of Days Worked', '61 - Gross Amount Paid'],
+  ['62 - Last Day Worked', '63- No of Days Worked', '64 - Gross Amount Paid'],
+  ['65 - Last Day Worked', '66 - No of Days Worked', '67 - Gross Amount Paid'],
+  ['68 - Last Day Worked', '69 - No of Days Worked', '70 - Gross Amount Paid'],
+];
+
+const PART_C_WEEK_FIELDS = [
+  ['22 - Week ending date', '23 - No of days worked', '24 - Gross amount paid'],
+  ['25 - Week ending date', '26 - No of days worked', '27 - Gross amount paid'],
+  ['28 - Week ending date', '29 - No of days worked', '30 - Gross amount paid'],
+  ['31 - Week ending date', '32 - No of days worked', '33 - Gross amount paid'],
+  ['34 - Week ending date', '35 - No of days worked', '36 - Gross amount paid'],
+  ['37 - Week ending date', '38 - No of days worked', '39 - Gross amount paid'],
+  ['40 - Week ending date', '41 - No of days worked', '42 - Gross amount paid'],
+  ['43 - Week ending date', '44 - No of days worked', '45 - Gross amount paid'],
+];
+
+const FIELD = {
+  recovered: '27 - Have you recovered from this disability?',
+  returnToWork: [
+    '29 - date you were able to return to work',
+    '30 - date you were able to return to work',
+    '31 - date you were able to return to work',
+  ],
+  disabilityStart: ['22 - Date you became disabled', '23 - Date you became disabled', '24 - Date you became diabled'],
+  lastDayWorked: '39 - Last Day Worked',
+  averageWageA: '40 - Average Weekly Wage',
+  averageWageCalculated: '71 - Calculated average gross weekly wage:',
+  averageWageC: '46 - Gross amount paidCalculated average gross weekly wage',
+  priorDisability: '17 - have you received disability benefits for other periods of disability?',
+  priorPFL: '25 -  In the year (52 weeks) before your disability began, have you received Paid Family Leave?',
+  priorLeaveType: '47 - In the preceding 52 weeks has the employee taken leave for:',
+};
+
+const PRIOR_LEAVE_OPTIONS = {
+  'NYS#20Disability': { disability: true, pfl: false },
+  'PFL': { disability: false, pfl: true },
+  'Both': { disability: true, pfl: true },
+  'None': { disability: false, pfl: false },
+};
+
+// Calendar-day timestamp (local time, matching DataGenerator.formatDate)
+function toDay(value) {
+  const d = new Date(value);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+function parseMoney(value) {
+  return parseFloat(String(value).replace(/[$,]/g, ''));
+}
+
+function centsEqual(a, b) {
+  return Math.abs(a - b) < 0.005;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function parseDateParts(month, day, year) {
+  if (isBlank(month) || isBlank(day) || isBlank(year)) return null;
+  return new Date(Number(year), Number(month) - 1, Number(day)).getTime();
+}
+
+function parseFullDate(value) {
+  const match = String(value || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return match ? parseDateParts(match[1], match[2], match[3]) : null;
+}
+
+// ===========================================
+// DATA RULES (DataGenerator model)
+// ===========================================
+
+const DataRules = [
+  {
+    id: 'average-weekly-wage',
+    description: 'wages.averageWeeklyWage equals the mean of the 8 weekly gross amounts',
+    check: (data) => {
+      const weeks = data.wages.weeklyWages;
+      if (weeks.length !== 8) {
+        return [{ message: `Expected 8 weekly wage entries, found ${weeks.length}`, paths: ['wages.weeklyWages'] }];
+      }
+      const mean = Math.round((weeks.reduce((sum, w) => sum + w.grossAmount, 0) / 8) * 100) / 100;
+      if (!centsEqual(mean, data.wages.averageWeeklyWage)) {
+        return [{
+          message: `Average weekly wage ${data.wages.averageWeeklyWage} does not equal the weekly mean ${mean.toFixed(2)}`,
+          paths: ['wages.averageWeeklyWage', 'wages.weeklyWages'],
+        }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'last-day-before-disability',
+    description: 'dates.lastDayWorked is before dates.disabilityStart',
+    check: (data) => {
+      if (toDay(data.dates.lastDayWorked) >= toDay(data.dates.disabilityStart)) {
+        return [{
+          message: 'Last day worked is not before the disability start date',
+          paths: ['dates.lastDayWorked', 'dates.disabilityStart'],
+        }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'employment-before-last-day',
+    description: 'dates.employmentStart is before dates.lastDayWorked',
+    check: (data) => {
+      if (toDay(data.dates.employmentStart) >= toDay(data.dates.lastDayWorked)) {
+        return [{
+          message: 'Employment start date is not before the last day worked',
+          paths: ['dates.employmentStart', 'dates.lastDayWorked'],
+        }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'return-to-work-recovered',
+    description: 'dates.returnToWork agrees with checkboxes.hasRecovered',
+    check: (data) => {
+      const returnDay = toDay(data.dates.returnToWork);
+      const signedDay = toDay(data.dates.signatureDate);
+      const paths = ['dates.returnToWork', 'checkboxes.hasRecovered'];
+
+      if (data.checkboxes.hasRecovered) {
+        if (returnDay > signedDay) {
+          return [{ message: 'Claimant has recovered but the return to work date is after the signature date', paths }];
+        }
+        if (returnDay < toDay(data.dates.disabilityStart)) {
+          return [{ message: 'Return to work date is before the disability start date', paths }];
+        }
+      } else if (returnDay <= signedDay) {
+        return [{ message: 'Claimant has not recovered but the return to work date is not in the future', paths }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'union-name',
+    description: 'union is present exactly when checkboxes.unionMember is true',
+    check: (data) => {
+      const hasUnion = Boolean(data.union && data.union.name);
+      if (hasUnion !== Boolean(data.checkboxes.unionMember)) {
+        return [{
+          message: `Union member is ${Boolean(data.checkboxes.unionMember)} but union name is ${hasUnion ? 'set' : 'missing'}`,
+          paths: ['union', 'checkboxes.unionMember'],
+        }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'prior-leave-dates',
+    description: 'Part C prior leave dates agree with items 14/15',
+    check: (data) => {
+      const violations = [];
+      const cd = data.conditionalData || {};
+      if (Boolean(cd.priorDisabilityDates) !== Boolean(data.checkboxes.priorDisability)) {
+        violations.push({
+          message: `Prior disability is ${Boolean(data.checkboxes.priorDisability)} but Part C disability dates are ${cd.priorDisabilityDates ? 'set' : 'empty'}`,
+          paths: ['conditionalData.priorDisabilityDates', 'checkboxes.priorDisability'],
+        });
+      }
+      if (Boolean(cd.priorPFLDates) !== Boolean(data.checkboxes.priorPFL)) {
+        violations.push({
+          message: `Prior PFL is ${Boolean(data.checkboxes.priorPFL)} but Part C PFL dates are ${cd.priorPFLDates ? 'set' : 'empty'}`,
+          paths: ['conditionalData.priorPFLDates', 'checkboxes.priorPFL'],
+        });
+      }
+      return violations;
+    },
+  },
+];
+
+// ===========================================
+// FIELD RULES (values written to the DB-450)
+// ===========================================
+
+const FieldRules = [
+  {
+    id: 'wage-tables-match',
+    description: 'Part A and Part C weekly wage tables match week by week',
+    check: (values) => {
+      const violations = [];
+      PART_A_WEEK_FIELDS.forEach((partA, i) => {
+        const partC = PART_C_WEEK_FIELDS[i];
+        const labels = ['week ending date', 'days worked', 'gross amount'];
+        labels.forEach((label, j) => {
+          const a = values[partA[j]];
+          const c = values[partC[j]];
+          const equal = j === 2 ? centsEqual(parseMoney(a), parseMoney(c)) : String(a) === String(c);
+          if (!equal) {
+            violations.push({
+              message: `Week ${i + 1} ${label}: Part A "${a ?? ''}" does not match Part C "${c ?? ''}"`,
+              paths: [partA[j], partC[j]],
+            });
+          }
+        });
+      });
+      return violations;
+    },
+  },
+  {
+    id: 'written-average-wage',
+    description: 'Written average weekly wages equal the mean of the written weekly amounts',
+    check: (values) => {
+      const amounts = PART_A_WEEK_FIELDS.map(week => parseMoney(values[week[2]]));
+      if (amounts.some(isNaN)) return [];
+      const mean = Math.round((amounts.reduce((sum, a) => sum + a, 0) / amounts.length) * 100) / 100;
+      return [FIELD.averageWageA, FIELD.averageWageCalculated, FIELD.averageWageC]
+        .filter(name => !isBlank(values[name]) && !centsEqual(parseMoney(values[name]), mean))
+        .map(name => ({
+          message: `${name} is ${values[name]} but the weekly mean is ${mean.toFixed(2)}`,
+          paths: [name],
+        }));
+    },
+  },
+  {
+    id: 'written-return-to-work',
+    description: 'Return to work date is written exactly when "Have you recovered" is Yes',
+    check: (values) => {
+      const recovered = values[FIELD.recovered] === 'Yes';
+      const written = FIELD.returnToWork.filter(name => !isBlank(values[name]));
+      if (recovered && written.length < FIELD.returnToWork.length) {
+        return [{ message: 'Claimant has recovered but the return to work date is incomplete', paths: FIELD.returnToWork }];
+      }
+      if (!recovered && written.length > 0) {
+        return [{ message: 'Return to work date written although claimant has not recovered', paths: written }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'written-last-day-before-disability',
+    description: 'Written last day worked is before the written disability start date',
+    check: (values) => {
+      const lastDay = parseFullDate(values[FIELD.lastDayWorked]);
+      const start = parseDateParts(...FIELD.disabilityStart.map(name => values[name]));
+      if (lastDay !== null && start !== null && lastDay >= start) {
+        return [{
+          message: `Last day worked ${values[FIELD.lastDayWorked]} is not before the disability start date`,
+          paths: [FIELD.lastDayWorked, ...FIELD.disabilityStart],
+        }];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'written-prior-leave-type',
+    description: 'Part C leave type (item 9) matches Part A items 14/15',
+    check: (values) => {
+      const option = PRIOR_LEAVE_OPTIONS[values[FIELD.priorLeaveType]];
+      if (!option) return [];
+      const disability = values[FIELD.priorDisability] === 'Yes';
+      const pfl = values[FIELD.priorPFL] === 'Yes';
+      if (option.disability !== disability || option.pfl !== pfl) {
+        return [{
+          message: `Leave type "${values[FIELD.priorLeaveType]}" does not match item 14 (${values[FIELD.priorDisability] || 'blank'}) and item 15 (${values[FIELD.priorPFL] || 'blank'})`,
+          paths: [FIELD.priorLeaveType, FIELD.priorDisability, FIELD.priorPFL],
+        }];
+      }
+      return [];
+    },
+  },
+];
+
+function runRules(rules, scope, input, data) {
+  const violations = [];
+  rules.forEach(rule => {
+    rule.check(input, data).forEach(v => violations.push({ rule: rule.id, scope, ...v }));
+  });
+  return violations;
+}
+
+/**
+ * Validate a DataGenerator model.
+ */
+function validateData(data) {
+  return runRules(DataRules, 'data', data);
+}
+
+/**
+ * Validate the values written by fillForm.
+ *
+ * @param {Array} filledFields - fillForm's filledFields ({ name, value })
+ * @param {Object} data - Generated data (for rules needing context)
+ * @param {Array} rules - Field rules for the form (default: DB-450 FieldRules)
+ */
+function validateFilledFields(filledFields, data, rules = FieldRules) {
+  const values = {};
+  filledFields.forEach(f => { values[f.name] = f.value; });
+  return runRules(rules, 'fields', values, data);
+}
+
+/**
+ * Run both data and field rules.
+ */
+function validateClaim(data, filledFields, fieldRules = FieldRules) {
+  return [
+    ...validateData(data),
+    ...(filledFields ? validateFilledFields(filledFields, data, fieldRules) : []),
+  ];
+}
+
+module.exports = {
+  DataRules,
+  FieldRules,
+  validateData,
+  validateFilledFields,
+  validateClaim,
+};
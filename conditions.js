@@ -0,0 +1,115 @@
+/**
+ * Conditional Field Engine
+ *
+ * Evaluates the `conditional` gates declared on FieldMappings entries. When a
+ * gate is closed the field is left blank, or written with the mapping's
+ * `otherwise` value if one is declared.
+ *
+ * Supported gate forms:
+ *   'recovered'                                    Named gate from ConditionalGates
+ *   { checkbox: 'hasRecovered' }                   Checkbox state is true
+ *   { checkbox: 'stillEmployed', equals: false }   Checkbox state equals a value
+ *   { path: 'union.name' }                         Data path is non-empty
+ *   { path: 'claimant.gender', equals: 'Female' }  Data path equals a value
+ *   { expr: (data) => boolean, label: '...' }      Custom expression over the data
+ *   { all: [...] } / { any: [...] } / { not: gate } Combinations of the above
+ */
+
+const { ConditionalGates } = require('./field-mapping');
+
+// Resolve a dotted path (e.g. 'priorBenefits.claimedFrom') against the data
+function getPath(data, path) {
+  return path.split('.').reduce((obj, k) => (obj == null ? undefined : obj[k]), data);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || value === false;
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+/**
+ * Evaluate a gate against generated data.
+ *
+ * @param {string|Object|Function} condition - Gate declaration (see header)
+ * @param {Object} data - Generated data from DataGenerator
+ * @param {Object} gates - Named gate table (defaults to ConditionalGates)
+ * @returns {{ open: boolean, label: string, reason: string }}
+ */
+function evaluateCondition(condition, data, gates = ConditionalGates) {
+  if (typeof condition === 'string') {
+    const named = gates[condition];
+    if (named === undefined) {
+      throw new Error(`Unknown conditional gate: ${condition}`);
+    }
+    const result = evaluateCondition(named, data, gates);
+    return { ...result, label: condition };
+  }
+
+  if (typeof condition === 'function') {
+    const open = Boolean(condition(data));
+    return { open, label: 'expression', reason: `expression returned ${open}` };
+  }
+
+  if (condition.checkbox !== undefined) {
+    const expected = condition.equals !== undefined ? condition.equals : true;
+    const actual = Boolean(data.checkboxes?.[condition.checkbox]);
+    return {
+      open: actual === expected,
+      label: `checkboxes.${condition.checkbox}`,
+      reason: `checkboxes.${condition.checkbox} is ${actual} (expected ${expected})`,
+    };
+  }
+
+  if (condition.path !== undefined) {
+    const actual = getPath(data, condition.path);
+    if (condition.equals !== undefined) {
+      return {
+        open: actual === condition.equals,
+        label: condition.path,
+        reason: `${condition.path} is ${formatValue(actual)} (expected ${formatValue(condition.equals)})`,
+      };
+    }
+    const open = !isEmpty(actual);
+    return { open, label: condition.path, reason: `${condition.path} is ${open ? 'set' : 'empty'}` };
+  }
+
+  if (condition.expr !== undefined) {
+    const open = Boolean(condition.expr(data));
+    const label = condition.label || 'expression';
+    return { open, label, reason: `${label} is ${open}` };
+  }
+
+  if (condition.all !== undefined) {
+    const results = condition.all.map(c => evaluateCondition(c, data, gates));
+    const failed = results.filter(r => !r.open);
+    return {
+      open: failed.length === 0,
+      label: `all(${results.map(r => r.label).join(', ')})`,
+      reason: failed.length > 0 ? failed.map(r => r.reason).join('; ') : 'all conditions met',
+    };
+  }
+
+  if (condition.any !== undefined) {
+    const results = condition.any.map(c => evaluateCondition(c, data, gates));
+    const passed = results.filter(r => r.open);
+    return {
+      open: passed.length > 0,
+      label: `any(${results.map(r => r.label).join(', ')})`,
+      reason: passed.length > 0
+        ? passed.map(r => r.reason).join('; ')
+        : `none of ${results.map(r => r.label).join(', ')} is met`,
+    };
+  }
+
+  if (condition.not !== undefined) {
+    const inner = evaluateCondition(condition.not, data, gates);
+    return { open: !inner.open, label: `not(${inner.label})`, reason: inner.reason };
+  }
+
+  throw new Error(`Invalid conditional gate: ${JSON.stringify(condition)}`);
+}
+
+module.exports = { evaluateCondition, getPath };
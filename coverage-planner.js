@@ -0,0 +1,370 @@
+/**
+ * Coverage Planner
+ *
+ * Plans a small set of claims that together exercise every checkbox branch
+ * of a form, instead of relying on random draws (workers comp is only
+ * checked in ~5% of random claims).
+ *
+ * Dimensions come from the form's mappings:
+ * - 'checkbox' entries whose state resolves to a checkbox state key become
+ *   yes/no dimensions (entries sharing a state key share a dimension)
+ * - 'checkbox-multi' entries with a `values` list become option dimensions;
+ *   options are pinned through the scenario (gender, received/claimed) or,
+ *   when the generator derives them from checkbox states (prior leave type),
+ *   constrain which checkbox combinations are valid
+ *
+ * Strengths:
+ * - each:     every value of every dimension appears at least once
+ * - pairwise: every pair of values across two dimensions appears at least once
+ *
+ * Rows are built greedily in the AETG style: each row starts from an
+ * uncovered combination, the remaining dimensions are assigned in random
+ * order picking the value that covers the most new combinations, and the
+ * best of several candidate rows is kept.
+ *
+ * Option dimensions constrain the checkbox states they depend on (a gated
+ * option is only written when its gate is open; a derived option must match
+ * its checkbox states). Dependencies are found by probing the generator and
+ * the valid combinations enumerated, so only values that can still complete
+ * a valid row are considered while a row is built.
+ */
+
+const { DataGenerator, CheckboxStateMap } = require('./data-generator');
+const { evaluateCondition } = require('./conditions');
+
+const STRENGTHS = { each: 1, pairwise: 2 };
+
+// How a planned option is pinned on a scenario, keyed by generator
+const MultiPins = {
+  genderSelection: (scenario, value) => { scenario.claimant.gender = value; },
+  receivedOrClaimed: (scenario, value) => { scenario.conditionalData.receivedOrClaimed = value; },
+};
+
+// Small seeded PRNG so a plan is stable for the same form
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Collect coverage dimensions from a form definition.
+ * @returns {Array} [{ key, kind: 'state'|'pinned'|'derived', values, fields, mapping }]
+ */
+function getCoverageDimensions(formDef) {
+  const dimensions = [];
+  const byKey = {};
+
+  Object.entries(formDef.mappings).forEach(([fieldName, mapping]) => {
+    if (mapping.type === 'checkbox') {
+      const stateKey = mapping.state ?? CheckboxStateMap[fieldName];
+      if (typeof stateKey !== 'string') return; // fixed or derived state
+
+      if (!byKey[stateKey]) {
+        byKey[stateKey] = { key: stateKey, kind: 'state', values: [true, false], fields: [] };
+        dimensions.push(byKey[stateKey]);
+      }
+      byKey[stateKey].fields.push(fieldName);
+    } else if (mapping.type === 'checkbox-multi' && Array.isArray(mapping.values)) {
+      if (!byKey[mapping.generator]) {
+        byKey[mapping.generator] = {
+          key: mapping.generator,
+          kind: MultiPins[mapping.generator] ? 'pinned' : 'derived',
+          values: mapping.values,
+          fields: [],
+          mapping,
+        };
+        dimensions.push(byKey[mapping.generator]);
+      }
+      byKey[mapping.generator].fields.push(fieldName);
+    }
+  });
+
+  return dimensions;
+}
+
+/**
+ * Turn a planned row ({ dimensionKey: value }) into a scenario profile.
+ */
+function rowToScenario(row, dimensions, name) {
+  const scenario = { name, checkboxStates: {}, claimant: {}, conditionalData: {} };
+
+  dimensions.forEach(dim => {
+    if (dim.kind === 'state') {
+      scenario.checkboxStates[dim.key] = row[dim.key];
+    } else if (dim.kind === 'pinned') {
+      MultiPins[dim.key](scenario, row[dim.key]);
+    }
+  });
+
+  return scenario;
+}
+
+// What the generator would write for a multi-option field given a row
+function probeMultiValue(dim, scenario) {
+  const probe = Object.create(DataGenerator.prototype);
+  probe.data = {
+    checkboxes: scenario.checkboxStates,
+    claimant: scenario.claimant,
+    conditionalData: scenario.conditionalData,
+  };
+
+  if (dim.mapping.conditional !== undefined && !evaluateCondition(dim.mapping.conditional, probe.data).open) {
+    return null;
+  }
+  return probe.getCalculatedValue(dim.mapping.generator);
+}
+
+/**
+ * Build the constraint for each option dimension:
+ * { dims: [optionIndex, ...dependencyIndexes], combos: [[value, ...dependencyValues]] }
+ */
+function buildConstraints(dimensions) {
+  const stateIndexes = dimensions.map((dim, i) => i).filter(i => dimensions[i].kind === 'state');
+
+  const probeWith = (dim, states, value) => {
+    const row = {};
+    dimensions.forEach((other, i) => {
+      row[other.key] = other.kind === 'state' ? Boolean(states[i]) : other.values[0];
+    });
+    row[dim.key] = value;
+    return probeMultiValue(dim, rowToScenario(row, dimensions, 'probe'));
+  };
+
+  return dimensions
+    .map((dim, d) => ({ dim, d }))
+    .filter(({ dim }) => dim.kind !== 'state')
+    .map(({ dim, d }) => {
+      // A checkbox state is a dependency if flipping it (from all-off or all-on) changes the outcome
+      const deps = stateIndexes.filter(s => [false, true].some(base => {
+        const states = Object.fromEntries(stateIndexes.map(i => [i, base]));
+        const flipped = { ...states, [s]: !base };
+        return dim.values.some(v => probeWith(dim, states, v) !== probeWith(dim, flipped, v));
+      }));
+
+      if (deps.length > 12) {
+        throw new Error(`Coverage dimension ${dim.key} depends on too many checkbox states (${deps.length})`);
+      }
+
+      const combos = [];
+      for (let mask = 0; mask < (1 << deps.length); mask++) {
+        const states = Object.fromEntries(deps.map((s, k) => [s, Boolean(mask & (1 << k))]));
+        dim.values.forEach(v => {
+          if (probeWith(dim, states, v) === v) {
+            combos.push([v, ...deps.map(s => states[s])]);
+          }
+        });
+      }
+
+      return { dims: [d, ...deps], combos };
+    });
+}
+
+// Values of dimension d that can still be completed into a valid row
+function allowedValues(values, d, dimensions, constraints) {
+  return dimensions[d].values.filter(x => constraints.every(c => {
+    const pos = c.dims.indexOf(d);
+    if (pos === -1) return true;
+    return c.combos.some(combo => combo[pos] === x &&
+      c.dims.every((i, k) => k === pos || values[i] === undefined || values[i] === combo[k]));
+  }));
+}
+
+function isValidRow(row, dimensions) {
+  const scenario = rowToScenario(row, dimensions, 'probe');
+  return dimensions
+    .filter(dim => dim.kind !== 'state')
+    .every(dim => probeMultiValue(dim, scenario) === row[dim.key]);
+}
+
+// Enumerate the value combinations a plan must cover
+function buildTargets(dimensions, strength) {
+  const targets = new Map();
+  const add = (assignments) => {
+    const key = assignments.map(([d, v]) => `${d}=${v}`).join('&');
+    targets.set(key, assignments);
+  };
+
+  dimensions.forEach((dim, i) => {
+    if (strength === 1) {
+      dim.values.forEach(v => add([[i, v]]));
+      return;
+    }
+    for (let j = i + 1; j < dimensions.length; j++) {
+      dim.values.forEach(v => dimensions[j].values.forEach(w => add([[i, v], [j, w]])));
+    }
+  });
+
+  return targets;
+}
+
+function targetsCoveredBy(values, targets) {
+  const covered = [];
+  targets.forEach((assignments, key) => {
+    if (assignments.every(([d, v]) => values[d] === v)) covered.push(key);
+  });
+  return covered;
+}
+
+/**
+ * Plan the claims for a coverage batch.
+ *
+ * @param {Object} formDef - Registered form definition
+ * @param {Object} options
+ * @param {string} options.strength - 'each' or 'pairwise' (default: 'pairwise')
+ * @param {number} options.candidates - Candidate rows tried per planned row (default: 50)
+ * @param {number} options.seed - Planner seed (default: 450)
+ * @returns {Object} { strength, dimensions, rows, scenarios, totalTargets, unreachable }
+ */
+function planCoverage(formDef, options = {}) {
+  const strengthName = options.strength || 'pairwise';
+  const strength = STRENGTHS[strengthName];
+  if (!strength) {
+    throw new Error(`Unknown coverage strength: ${strengthName} (expected: ${Object.keys(STRENGTHS).join(', ')})`);
+  }
+
+  const candidates = options.candidates || 50;
+  const random = createRandom(options.seed ?? 450);
+  const dimensions = getCoverageDimensions(formDef);
+  const constraints = buildConstraints(dimensions);
+  const targets = buildTargets(dimensions, strength);
+  const totalTargets = targets.size;
+  const rows = [];
+  const unreachable = [];
+
+  // Number of uncovered targets a value would complete given the values assigned so far
+  const gain = (values, d, v) => {
+    let count = 0;
+    targets.forEach(assignments => {
+      if (!assignments.some(([i, w]) => i === d && w === v)) return;
+      if (assignments.every(([i, w]) => i === d || values[i] === w)) count++;
+    });
+    return count;
+  };
+
+  while (targets.size > 0) {
+    let best = null;
+    const [seedKey, seedAssignments] = [...targets.entries()][Math.floor(random() * targets.size)];
+
+    for (let c = 0; c < candidates; c++) {
+      const values = new Array(dimensions.length).fill(undefined);
+      seedAssignments.forEach(([d, v]) => { values[d] = v; });
+
+      const order = dimensions.map((_, i) => i).filter(i => values[i] === undefined);
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+
+      const seedAllowed = seedAssignments.every(([d, v]) => allowedValues(values, d, dimensions, constraints).includes(v));
+      const complete = seedAllowed && order.every(d => {
+        let bestValue;
+        let bestGain = -1;
+        allowedValues(values, d, dimensions, constraints).forEach(v => {
+          const g = gain(values, d, v) + random() * 0.5; // random tie-break
+          if (g > bestGain) {
+            bestGain = g;
+            bestValue = v;
+          }
+        });
+        values[d] = bestValue;
+        return bestValue !== undefined;
+      });
+      if (!complete) continue;
+
+      const row = Object.fromEntries(dimensions.map((dim, i) => [dim.key, values[i]]));
+      if (!isValidRow(row, dimensions)) continue;
+
+      const covered = targetsCoveredBy(values, targets);
+      if (!best || covered.length > best.covered.length) {
+        best = { row, covered };
+      }
+    }
+
+    if (!best) {
+      // The chosen combination could not be placed in a valid row
+      targets.delete(seedKey);
+      unreachable.push(seedKey);
+      continue;
+    }
+
+    best.covered.forEach(key => targets.delete(key));
+    rows.push(best.row);
+  }
+
+  const scenarios = rows.map((row, i) => rowToScenario(row, dimensions, `coverage-${String(i + 1).padStart(3, '0')}`));
+
+  return { strength: strengthName, dimensions, rows, scenarios, totalTargets, unreachable };
+}
+
+// ===========================================
+// COVERAGE MATRIX
+// ===========================================
+
+/**
+ * Create an empty coverage matrix for the planned dimensions.
+ * One row per checkbox field; counts are keyed by the value written to the PDF.
+ */
+function createCoverageMatrix(dimensions) {
+  const rows = [];
+  dimensions.forEach(dim => {
+    dim.fields.forEach(field => {
+      rows.push({
+        field,
+        key: dim.key,
+        expected: dim.kind === 'state' ? null : dim.values,
+        counts: {},
+      });
+    });
+  });
+  return { claims: 0, rows };
+}
+
+/**
+ * Record the checkbox values written for one claim (fillForm's filledFields).
+ */
+function recordCoverage(matrix, filledFields) {
+  const written = Object.fromEntries(filledFields.map(f => [f.name, f.value]));
+  matrix.claims++;
+
+  matrix.rows.forEach(row => {
+    const value = written[row.field] ?? 'blank';
+    row.counts[value] = (row.counts[value] || 0) + 1;
+  });
+
+  return matrix;
+}
+
+/**
+ * Branches not reached: yes/no fields seen in fewer than two states,
+ * or multi-option fields with options never written.
+ */
+function getCoverageGaps(matrix) {
+  const gaps = [];
+
+  matrix.rows.forEach(row => {
+    if (row.expected) {
+      const missing = row.expected.filter(v => !row.counts[v]);
+      if (missing.length > 0) gaps.push({ field: row.field, missing });
+    } else {
+      const states = Object.keys(row.counts).filter(v => v !== 'blank');
+      if (states.length < 2) gaps.push({ field: row.field, missing: [`second state (seen: ${states.join(', ') || 'none'})`] });
+    }
+  });
+
+  return gaps;
+}
+
+module.exports = {
+  planCoverage,
+  getCoverageDimensions,
+  rowToScenario,
+  createCoverageMatrix,
+  recordCoverage,
+  getCoverageGaps,
+};
@@ -1,12 +1,122 @@
 /**
  * Data Generator Module
  * Generates persistent fake data for form filling using seeded faker
+ *
+ * Each generator owns its random state: every field draws from its own Faker
+ * instance seeded from the run seed and the field's name (see stream()), so
+ * adding or reordering fields never changes existing values, and generators
+ * in the same process never affect each other.
  */
 
-const { faker } = require('@faker-js/faker');
+const { Faker, en, base } = require('@faker-js/faker');
 const fs = require('fs');
 const path = require('path');
 const { SampleDisabilityDescriptions } = require('./field-mapping');
+const { resolveScenario } = require('./scenarios');
+const { SCHEMA_VERSION, migrateData } = require('./data-schema');
+
+// Map checkbox field names to stored checkbox states.
+// Values are a state key, a fixed boolean, or a function of the generated data.
+const CheckboxStateMap = {
+  '17 - Gender': 'gender',
+  '25 - Did you work that day?': 'didWorkOnDisabilityDay',
+  '27 - Have you recovered from this disability?': 'hasRecovered',
+  '32 - Have you since worked for wages or profit?': 'workedForWages',
+  '73 - Union Member?': 'unionMember',
+  '76 - Were you claiming or receiving unemployment prior to this disability?': 'unemploymentBenefits',
+  '2 - A.\tAre you receiving wages, salary or separation pay?': 'receivingWages',
+  '3 - Unemployment Benefits?': 'unemploymentBenefits',
+  '4 - Paid Family Leave?': 'paidFamilyLeave',
+  '5 - Workers Compensation?': 'workersComp',
+  '6 - No fault motor vehicle accident?': 'noFaultAccident',
+  '7 - personal injury involving third party?': 'thirdPartyInjury',
+  '8 - Long-term disability benefits under the Federal Social Security Act for this disability?': 'longTermDisability',
+  '17 - have you received disability benefits for other periods of disability?': 'priorDisability',
+  '25 -  In the year (52 weeks) before your disability began, have you received Paid Family Leave?': 'priorPFL',
+  '11 - Is the employee a member of a union?': 'unionMember',
+  '18 - Were wages continued during disability?': 'wagesContinued',
+  '20 - If yes, is reimbursement requested by employer?': 'reimbursementRequested',
+  '21 - Is the employee\'s disability work-related?': false, // Always No for DBL
+  '47 - In the preceding 52 weeks has the employee taken leave for:': 'priorLeave',
+  '50 - Is employee still in your employment?': 'stillEmployed',
+  '10 - Payment': 'directDeposit',
+  '18 - Does employee contribute?': 'employeeContributes',
+  '4 Checking account': 'checkingAccount',
+  '4 Savings account': (data) => !data.checkboxes.checkingAccount,
+  'EOBs': 'noEOBs',
+  '14 - Employees Role': true, // Usually "Employee" checkbox
+};
+
+// Fields derived from other fields. When a supplied record (see data-source.js)
+// overrides any `from` path, the derived field is recomputed unless the record
+// supplies it too. Order matters: later entries may use earlier results.
+const formatUSDate = (iso) => new Date(iso).toLocaleDateString('en-US');
+const DerivedFields = [
+  {
+    path: 'claimant.fullName',
+    from: ['claimant.firstName', 'claimant.middleInitial', 'claimant.lastName'],
+    derive: (d) => `${d.claimant.firstName} ${d.claimant.middleInitial}. ${d.claimant.lastName}`,
+  },
+  {
+    path: 'claimant.ssn.full',
+    from: ['claimant.ssn.part1', 'claimant.ssn.part2', 'claimant.ssn.part3'],
+    derive: (d) => `${d.claimant.ssn.part1}-${d.claimant.ssn.part2}-${d.claimant.ssn.part3}`,
+  },
+  {
+    path: 'medicalProvider.fullName',
+    from: ['medicalProvider.firstName', 'medicalProvider.lastName'],
+    derive: (d) => `Dr. ${d.medicalProvider.firstName} ${d.medicalProvider.lastName}`,
+  },
+  {
+    path: 'dates.lastDayWorked',
+    from: ['dates.disabilityStart'],
+    derive: (d) => {
+      const date = new Date(d.dates.disabilityStart);
+      date.setDate(date.getDate() - 1);
+      return date.toISOString();
+    },
+  },
+  ...[0, 1, 2, 3, 4, 5, 6, 7].map(i => ({
+    path: `wages.weeklyWages.${i}.weekEndDate`,
+    from: ['dates.lastDayWorked'],
+    derive: (d) => {
+      const date = new Date(d.dates.lastDayWorked);
+      date.setDate(date.getDate() - (7 * i));
+      return date.toISOString();
+    },
+  })),
+  {
+    path: 'wages.averageWeeklyWage',
+    from: ['wages.weeklyWages'],
+    derive: (d) => Math.round(d.wages.weeklyWages.reduce((sum, w) => sum + w.grossAmount, 0) / d.wages.weeklyWages.length * 100) / 100,
+  },
+  {
+    path: 'conditionalData.returnToWorkDate',
+    from: ['dates.returnToWork'],
+    derive: (d) => d.dates.returnToWork,
+  },
+  {
+    path: 'conditionalData.priorDisabilityDates',
+    from: ['priorBenefits.priorDisabilityStart', 'priorBenefits.priorDisabilityEnd'],
+    derive: (d) => `${formatUSDate(d.priorBenefits.priorDisabilityStart)} - ${formatUSDate(d.priorBenefits.priorDisabilityEnd)}`,
+  },
+  {
+    path: 'conditionalData.priorPFLDates',
+    from: ['priorBenefits.priorPFLStart', 'priorBenefits.priorPFLEnd'],
+    derive: (d) => `${formatUSDate(d.priorBenefits.priorPFLStart)} - ${formatUSDate(d.priorBenefits.priorPFLEnd)}`,
+  },
+];
+
+// Set a dotted path (e.g. 'wages.weeklyWages.0.grossAmount'), creating objects as needed
+function setPath(data, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let obj = data;
+  keys.slice(0, -1).forEach(key => {
+    if (obj[key] === null || typeof obj[key] !== 'object') obj[key] = {};
+    obj = obj[key];
+  });
+  obj[keys[keys.length - 1]] = value;
+}
 
 class DataGenerator {
   constructor(runId, options = {}) {
@@ -17,26 +127,119 @@ class DataGenerator {
     this.aiCallback = options.aiCallback || null;
     this.silent = options.silent || false;
     this.log = this.silent ? () => {} : console.log.bind(console);
+    this.scenario = resolveScenario(options.scenario);
+    // Supplied record values ({ 'claimant.firstName': 'Ana', ... }); see data-source.js
+    this.overrides = options.overrides || null;
+    // Reference time for generated dates (default: now)
+    this.now = options.now ? new Date(options.now) : null;
+    // persist: false generates in memory only (no load, no save)
+    this.persist = options.persist !== false;
+
+    this.dataFile = path.join(this.dataDir, `${runId}.json`);
 
     // Ensure data directory exists
-    if (!fs.existsSync(this.dataDir)) {
+    if (this.persist && !fs.existsSync(this.dataDir)) {
       fs.mkdirSync(this.dataDir, { recursive: true });
     }
 
-    this.dataFile = path.join(this.dataDir, `${runId}.json`);
-
-    // Load existing data or generate new
-    if (fs.existsSync(this.dataFile)) {
+    // Load existing data or generate new (regenerate overwrites persisted data).
+    // Supplied records are always re-applied so edits to the source take effect.
+    if (this.persist && fs.existsSync(this.dataFile) && !options.regenerate && !this.overrides) {
       this.data = JSON.parse(fs.readFileSync(this.dataFile, 'utf-8'));
       this.log(`Loaded existing data for run: ${runId}`);
+
+      // Upgrade files written by older versions
+      const { from, applied } = migrateData(this.data, () => this.referenceData());
+      if (applied.length > 0) {
+        this.saveData();
+        this.log(`Migrated data from schema v${from} to v${SCHEMA_VERSION}: ${applied.map(m => m.description).join('; ')}`);
+      }
+
+      const requested = this.scenario?.name || null;
+      const persisted = this.data.scenario || null;
+      if (requested && requested !== persisted) {
+        console.warn(`⚠️  Run ${runId} was generated with scenario: ${persisted || 'none'} (requested: ${requested}); using persisted data`);
+      }
     } else {
-      faker.seed(this.seed);
       this.data = this.generateBaseData();
+      if (this.overrides) {
+        this.applyOverrides(this.overrides, options.source);
+      }
       this.saveData();
       this.log(`Generated new data for run: ${runId} (seed: ${this.seed})`);
     }
   }
 
+  // The run regenerated in memory, anchored to the persisted generatedAt and pinned
+  // to the persisted checkbox states; migrations copy newly added sections from it
+  referenceData() {
+    const persisted = this.data;
+    let scenario = {};
+    try {
+      scenario = resolveScenario(persisted.scenario) || {};
+    } catch (e) {
+      // Scenario no longer defined - fall back to default ranges
+    }
+
+    const checkboxStates = Object.fromEntries(
+      Object.entries(persisted.checkboxes || {}).filter(([, v]) => typeof v === 'boolean')
+    );
+    const gender = ['Male', 'Female', 'X'].includes(persisted.claimant?.gender) ? persisted.claimant.gender : undefined;
+
+    const reference = new DataGenerator(this.runId, {
+      persist: false,
+      silent: true,
+      now: persisted.generatedAt,
+      scenario: {
+        ...scenario,
+        name: persisted.scenario || null,
+        checkboxStates: { ...scenario.checkboxStates, ...checkboxStates },
+        claimant: gender ? { gender } : {},
+      },
+    });
+    return reference.data;
+  }
+
+  // Apply supplied record values over the generated data and recompute derived fields
+  applyOverrides(overrides, source = null) {
+    const supplied = Object.keys(overrides);
+    const isSupplied = (p) => supplied.some(s => s === p || s.startsWith(`${p}.`));
+
+    Object.entries(overrides).forEach(([dottedPath, value]) => setPath(this.data, dottedPath, value));
+
+    const changed = new Set(supplied);
+    DerivedFields.forEach(field => {
+      if (isSupplied(field.path)) return;
+      const dependsOnChange = field.from.some(from => [...changed].some(c => c === from || c.startsWith(`${from}.`)));
+      if (dependsOnChange) {
+        setPath(this.data, field.path, field.derive(this.data));
+        changed.add(field.path);
+      }
+    });
+
+    // A supplied union member without a union name still needs one
+    if (this.data.checkboxes.unionMember && !this.data.union?.name) {
+      this.data.union = { name: this.generateUnionName(), ...this.generateUnionContact() };
+    }
+
+    this.data.source = source;
+    this.log(`Applied ${supplied.length} supplied values${source ? ` from ${source.file} row ${source.row}` : ''}`);
+  }
+
+  generateUnionName() {
+    const f = this.stream('union.name');
+    return `Local ${f.number.int({ min: 1, max: 999 })} - ${f.company.buzzNoun()} Workers Union`;
+  }
+
+  // Union office address and phone (Part C item 12)
+  generateUnionContact() {
+    const address = this.stream('union.address');
+    return {
+      address: `${address.location.streetAddress()}, ${address.location.city()}, NY ${address.location.zipCode('#####')}`,
+      phone: this.stream('union.phone').phone.number('(###) ###-####'),
+    };
+  }
+
   // Simple string hash for seeding
   hashString(str) {
     let hash = 0;
@@ -48,24 +251,44 @@ class DataGenerator {
     return Math.abs(hash);
   }
 
+  // Fresh Faker instance for a named sub-stream of this run (a data path or field name)
+  stream(name) {
+    const f = new Faker({ locale: [en, base] });
+    f.seed(this.hashString(`${this.seed}:${name}`));
+    return f;
+  }
+
   // Generate all base data upfront for consistency
   generateBaseData() {
-    const now = new Date();
+    const now = this.now ? new Date(this.now) : new Date();
+    const f = (name) => this.stream(name);
+
+    // Scenario profile (if any) narrows date ranges and pins checkbox states
+    const scenario = this.scenario || {};
+    const ranges = {
+      disabilityStartDaysAgo: { min: 7, max: 21 },
+      employmentYears: { min: 1, max: 10 },
+      priorBenefitMonthsAgo: { min: 6, max: 10 },
+      returnToWorkDaysAgo: { min: 0, max: 5 },
+      returnToWorkDaysAhead: { min: 14, max: 60 },
+      terminationDaysAfterLastDay: { min: 0, max: 14 },
+      ...scenario.dates,
+    };
 
     // Calculate key dates
     const disabilityStartDate = new Date(now);
-    disabilityStartDate.setDate(disabilityStartDate.getDate() - faker.number.int({ min: 7, max: 21 }));
+    disabilityStartDate.setDate(disabilityStartDate.getDate() - f('dates.disabilityStart').number.int(ranges.disabilityStartDaysAgo));
 
     const lastDayWorked = new Date(disabilityStartDate);
     lastDayWorked.setDate(lastDayWorked.getDate() - 1);
 
     const employmentStartDate = new Date(lastDayWorked);
-    employmentStartDate.setFullYear(employmentStartDate.getFullYear() - faker.number.int({ min: 1, max: 10 }));
+    employmentStartDate.setFullYear(employmentStartDate.getFullYear() - f('dates.employmentStart').number.int(ranges.employmentYears));
 
-    const dateOfBirth = faker.date.birthdate({ min: 25, max: 60, mode: 'age' });
+    const dateOfBirth = f('claimant.dateOfBirth').date.birthdate({ min: 25, max: 60, mode: 'age', refDate: now });
 
     // Base weekly wage for calculations
-    const baseWeeklyWage = faker.number.float({ min: 800, max: 2500, fractionDigits: 2 });
+    const baseWeeklyWage = f('wages.baseWeeklyWage').number.float({ min: 800, max: 2500, fractionDigits: 2 });
 
     // Generate weekly wage data for 8 weeks
     const weeklyWages = [];
@@ -73,8 +296,8 @@ class DataGenerator {
       const weekEndDate = new Date(lastDayWorked);
       weekEndDate.setDate(weekEndDate.getDate() - (7 * (i - 1)));
 
-      const daysWorked = faker.number.int({ min: 4, max: 5 });
-      const wage = baseWeeklyWage + faker.number.float({ min: -100, max: 100, fractionDigits: 2 });
+      const daysWorked = f(`wages.weeklyWages.${i}.daysWorked`).number.int({ min: 4, max: 5 });
+      const wage = baseWeeklyWage + f(`wages.weeklyWages.${i}.grossAmount`).number.float({ min: -100, max: 100, fractionDigits: 2 });
 
       weeklyWages.push({
         weekNumber: i,
@@ -87,87 +310,108 @@ class DataGenerator {
     const averageWeeklyWage = weeklyWages.reduce((sum, w) => sum + w.grossAmount, 0) / 8;
 
     // Select a disability description
-    const disabilityIndex = faker.number.int({ min: 0, max: SampleDisabilityDescriptions.length - 1 });
-    const disabilityDescription = SampleDisabilityDescriptions[disabilityIndex];
+    const descriptionPool = scenario.conditions
+      ? SampleDisabilityDescriptions.filter(d => scenario.conditions.includes(d.category))
+      : SampleDisabilityDescriptions.filter(d => !d.scenarioOnly);
+    if (descriptionPool.length === 0) {
+      throw new Error(`No disability descriptions for conditions: ${scenario.conditions.join(', ')}`);
+    }
+    const disabilityIndex = f('disability').number.int({ min: 0, max: descriptionPool.length - 1 });
+    const disabilityDescription = descriptionPool[disabilityIndex];
 
     // Generate claimant info
-    const firstName = faker.person.firstName();
-    const lastName = faker.person.lastName();
-    const middleInitial = faker.string.alpha({ length: 1, casing: 'upper' });
+    const firstName = f('claimant.firstName').person.firstName();
+    const lastName = f('claimant.lastName').person.lastName();
+    const middleInitial = f('claimant.middleInitial').string.alpha({ length: 1, casing: 'upper' });
 
     // Generate gender (consistent for entire form)
-    faker.seed(this.seed + 17);
-    const gender = faker.helpers.arrayElement(['Male', 'Female', 'X']);
+    const gender = scenario.claimant?.gender || f('claimant.gender').helpers.arrayElement(['Male', 'Female', 'X']);
 
     // Generate employer info
-    const employerName = faker.company.name();
-    const employerContactName = faker.person.fullName();
-    const employerContactTitle = faker.person.jobTitle();
-    const employerPhone = faker.phone.number('(###) ###-####');
-    const employerEmail = faker.internet.email();
+    const employerName = f('employer.name').company.name();
+    const employerContactName = f('employer.contactName').person.fullName();
+    const employerContactTitle = f('employer.contactTitle').person.jobTitle();
+    const employerPhone = f('employer.phone').phone.number('(###) ###-####');
+    const employerEmail = f('employer.contactEmail').internet.email();
 
     // Generate SSN parts
-    const ssn1 = faker.string.numeric(3);
-    const ssn2 = faker.string.numeric(2);
-    const ssn3 = faker.string.numeric(4);
+    const ssn1 = f('claimant.ssn.part1').string.numeric(3);
+    const ssn2 = f('claimant.ssn.part2').string.numeric(2);
+    const ssn3 = f('claimant.ssn.part3').string.numeric(4);
 
     // Checkbox states (seeded random) - realistic probabilities
     const checkboxStates = {
       // Gender moved to claimant object
-      didWorkOnDisabilityDay: faker.datatype.boolean({ probability: 0.3 }),
-      hasRecovered: faker.datatype.boolean({ probability: 0.2 }),
-      workedForWages: faker.datatype.boolean({ probability: 0.1 }),
-      unionMember: faker.datatype.boolean({ probability: 0.15 }),
+      didWorkOnDisabilityDay: f('checkboxes.didWorkOnDisabilityDay').datatype.boolean({ probability: 0.3 }),
+      hasRecovered: f('checkboxes.hasRecovered').datatype.boolean({ probability: 0.2 }),
+      workedForWages: f('checkboxes.workedForWages').datatype.boolean({ probability: 0.1 }),
+      unionMember: f('checkboxes.unionMember').datatype.boolean({ probability: 0.15 }),
       // Item 13 - usually "No" for most benefits
-      receivingWages: faker.datatype.boolean({ probability: 0.3 }),
-      unemploymentBenefits: faker.datatype.boolean({ probability: 0.1 }),
-      paidFamilyLeave: faker.datatype.boolean({ probability: 0.1 }),
-      workersComp: faker.datatype.boolean({ probability: 0.05 }),
-      noFaultAccident: faker.datatype.boolean({ probability: 0.08 }),
-      thirdPartyInjury: faker.datatype.boolean({ probability: 0.05 }),
-      longTermDisability: faker.datatype.boolean({ probability: 0.05 }),
+      receivingWages: f('checkboxes.receivingWages').datatype.boolean({ probability: 0.3 }),
+      unemploymentBenefits: f('checkboxes.unemploymentBenefits').datatype.boolean({ probability: 0.1 }),
+      paidFamilyLeave: f('checkboxes.paidFamilyLeave').datatype.boolean({ probability: 0.1 }),
+      workersComp: f('checkboxes.workersComp').datatype.boolean({ probability: 0.05 }),
+      noFaultAccident: f('checkboxes.noFaultAccident').datatype.boolean({ probability: 0.08 }),
+      thirdPartyInjury: f('checkboxes.thirdPartyInjury').datatype.boolean({ probability: 0.05 }),
+      longTermDisability: f('checkboxes.longTermDisability').datatype.boolean({ probability: 0.05 }),
       // Item 14 & 15 - prior benefits
-      priorDisability: faker.datatype.boolean({ probability: 0.15 }),
-      priorPFL: faker.datatype.boolean({ probability: 0.1 }),
+      priorDisability: f('checkboxes.priorDisability').datatype.boolean({ probability: 0.15 }),
+      priorPFL: f('checkboxes.priorPFL').datatype.boolean({ probability: 0.1 }),
       // Item 16 - employer provided rights
-      employerProvidedRights: faker.datatype.boolean({ probability: 0.9 }),
+      employerProvidedRights: f('checkboxes.employerProvidedRights').datatype.boolean({ probability: 0.9 }),
       // Employer section
-      wagesContinued: faker.datatype.boolean({ probability: 0.3 }),
-      reimbursementRequested: faker.datatype.boolean({ probability: 0.2 }),
-      stillEmployed: faker.datatype.boolean({ probability: 0.85 }),
-      priorLeave: faker.datatype.boolean({ probability: 0.1 }),
+      wagesContinued: f('checkboxes.wagesContinued').datatype.boolean({ probability: 0.3 }),
+      reimbursementRequested: f('checkboxes.reimbursementRequested').datatype.boolean({ probability: 0.2 }),
+      stillEmployed: f('checkboxes.stillEmployed').datatype.boolean({ probability: 0.85 }),
+      priorLeave: f('checkboxes.priorLeave').datatype.boolean({ probability: 0.1 }),
       // Supplement
-      directDeposit: faker.datatype.boolean({ probability: 0.7 }),
-      employeeContributes: faker.datatype.boolean({ probability: 0.6 }),
-      checkingAccount: faker.datatype.boolean({ probability: 0.8 }),
-      noEOBs: faker.datatype.boolean({ probability: 0.3 }),
+      directDeposit: f('checkboxes.directDeposit').datatype.boolean({ probability: 0.7 }),
+      employeeContributes: f('checkboxes.employeeContributes').datatype.boolean({ probability: 0.6 }),
+      checkingAccount: f('checkboxes.checkingAccount').datatype.boolean({ probability: 0.8 }),
+      noEOBs: f('checkboxes.noEOBs').datatype.boolean({ probability: 0.3 }),
     };
 
+    Object.assign(checkboxStates, scenario.checkboxStates);
+
+    // Supplied checkbox states are pinned before dependent data is generated
+    Object.entries(this.overrides || {})
+      .filter(([p]) => p.startsWith('checkboxes.'))
+      .forEach(([p, value]) => { checkboxStates[p.slice('checkboxes.'.length)] = value; });
+
     // Generate prior benefit dates if applicable
     const priorBenefitStart = new Date(disabilityStartDate);
-    priorBenefitStart.setMonth(priorBenefitStart.getMonth() - faker.number.int({ min: 6, max: 10 }));
+    priorBenefitStart.setMonth(priorBenefitStart.getMonth() - f('priorBenefits.start').number.int(ranges.priorBenefitMonthsAgo));
     const priorBenefitEnd = new Date(priorBenefitStart);
-    priorBenefitEnd.setDate(priorBenefitEnd.getDate() + faker.number.int({ min: 14, max: 60 }));
+    priorBenefitEnd.setDate(priorBenefitEnd.getDate() + f('priorBenefits.end').number.int({ min: 14, max: 60 }));
 
     // Generate return to work date (always required)
     const returnToWorkDate = new Date(now);
     if (checkboxStates.hasRecovered) {
        // recovered recently
-       returnToWorkDate.setDate(returnToWorkDate.getDate() - faker.number.int({ min: 0, max: 5 }));
+       returnToWorkDate.setDate(returnToWorkDate.getDate() - f('dates.returnToWork').number.int(ranges.returnToWorkDaysAgo));
     } else {
        // estimated return in future
-       returnToWorkDate.setDate(returnToWorkDate.getDate() + faker.number.int({ min: 14, max: 60 }));
+       returnToWorkDate.setDate(returnToWorkDate.getDate() + f('dates.returnToWork').number.int(ranges.returnToWorkDaysAhead));
+    }
+
+    // Termination date (Part C) when no longer employed
+    let terminationDate = null;
+    if (!checkboxStates.stillEmployed) {
+      terminationDate = new Date(lastDayWorked);
+      terminationDate.setDate(terminationDate.getDate() + f('dates.terminationDate').number.int(ranges.terminationDaysAfterLastDay));
     }
 
     // Generate Health Care Provider info
-    const doctorFirstName = faker.person.firstName();
-    const doctorLastName = faker.person.lastName();
-    const doctorType = faker.helpers.arrayElement(['Physician', 'Chiropractor', 'Podiatrist']);
+    const doctorFirstName = f('medicalProvider.firstName').person.firstName();
+    const doctorLastName = f('medicalProvider.lastName').person.lastName();
+    const doctorType = f('medicalProvider.role').helpers.arrayElement(['Physician', 'Chiropractor', 'Podiatrist']);
     
     return {
+      schemaVersion: SCHEMA_VERSION,
       runId: this.runId,
-      generatedAt: new Date().toISOString(),
+      generatedAt: now.toISOString(),
       seed: this.seed,
+      scenario: scenario.name || null,
 
       // Claimant Personal Info
       claimant: {
@@ -176,15 +420,15 @@ class DataGenerator {
         middleInitial,
         fullName: `${firstName} ${middleInitial}. ${lastName}`,
         gender, // Stored consistently
-        address: faker.location.streetAddress(),
-        city: faker.location.city(),
+        address: f('claimant.address').location.streetAddress(),
+        city: f('claimant.city').location.city(),
         state: 'NY',
-        zip: faker.location.zipCode('#####'),
-        phone: faker.phone.number('###-###-####'),
-        email: faker.internet.email({ firstName, lastName }),
+        zip: f('claimant.zip').location.zipCode('#####'),
+        phone: f('claimant.phone').phone.number('###-###-####'),
+        email: f('claimant.email').internet.email({ firstName, lastName }),
         ssn: { part1: ssn1, part2: ssn2, part3: ssn3, full: `${ssn1}-${ssn2}-${ssn3}` },
         dateOfBirth: dateOfBirth.toISOString(),
-        occupation: faker.person.jobTitle(),
+        occupation: f('claimant.occupation').person.jobTitle(),
       },
 
       // Dates
@@ -194,22 +438,23 @@ class DataGenerator {
         employmentStart: employmentStartDate.toISOString(),
         signatureDate: now.toISOString(),
         returnToWork: returnToWorkDate.toISOString(),
+        terminationDate: terminationDate ? terminationDate.toISOString() : null,
       },
 
       // Employer Info
       employer: {
         name: employerName,
-        address: faker.location.streetAddress(true),
-        city: faker.location.city(),
+        address: f('employer.address').location.streetAddress(true),
+        city: f('employer.city').location.city(),
         state: 'NY',
-        zip: faker.location.zipCode('#####'),
+        zip: f('employer.zip').location.zipCode('#####'),
         phone: employerPhone,
-        fein: { part1: faker.string.numeric(2), part2: faker.string.numeric(7) },
+        fein: { part1: f('employer.fein.part1').string.numeric(2), part2: f('employer.fein.part2').string.numeric(7) },
         contactName: employerContactName,
         contactTitle: employerContactTitle,
         contactEmail: employerEmail,
         contactPhone: employerPhone,
-        policyNumber: faker.string.alphanumeric(8).toUpperCase(),
+        policyNumber: f('employer.policyNumber').string.alphanumeric(8).toUpperCase(),
       },
 
       // Health Care Provider
@@ -218,9 +463,9 @@ class DataGenerator {
         lastName: doctorLastName,
         fullName: `Dr. ${doctorFirstName} ${doctorLastName}`,
         role: doctorType,
-        licenseNumber: faker.string.numeric(7),
-        address: faker.location.streetAddress(),
-        phone: faker.phone.number('212-###-####'),
+        licenseNumber: f('medicalProvider.licenseNumber').string.numeric(7),
+        address: f('medicalProvider.address').location.streetAddress(),
+        phone: f('medicalProvider.phone').phone.number('212-###-####'),
         state: 'NY'
       },
 
@@ -233,7 +478,8 @@ class DataGenerator {
 
       // Union (if applicable)
       union: checkboxStates.unionMember ? {
-        name: `Local ${faker.number.int({ min: 1, max: 999 })} - ${faker.company.buzzNoun()} Workers Union`,
+        name: this.generateUnionName(),
+        ...this.generateUnionContact(),
       } : null,
 
       // Disability Description
@@ -263,15 +509,16 @@ class DataGenerator {
         // Return to work date (if recovered)
         returnToWorkDate: returnToWorkDate.toISOString(),
         // Worked for wages dates
-        workedForWagesDates: checkboxStates.workedForWages ? `${faker.date.recent({ days: 7 }).toLocaleDateString('en-US')}` : '',
+        workedForWagesDates: checkboxStates.workedForWages ? `${f('conditionalData.workedForWagesDates').date.recent({ days: 7, refDate: now }).toLocaleDateString('en-US')}` : '',
         // Unemployment explanation (item 12)
         unemploymentExplanation: !checkboxStates.unemploymentBenefits ? 'Did not apply for unemployment benefits as disability began while employed.' : '',
         unemploymentPeriods: checkboxStates.unemploymentBenefits ? `${priorBenefitStart.toLocaleDateString('en-US')} - ${priorBenefitEnd.toLocaleDateString('en-US')}` : '',
         // Wages continued type (Part C)
-        wagesContinuedType: checkboxStates.wagesContinued ? faker.helpers.arrayElement(['PTO', 'Sick time', 'Salary continuation']) : '',
+        wagesContinuedType: checkboxStates.wagesContinued ? f('conditionalData.wagesContinuedType').helpers.arrayElement(['PTO', 'Sick time', 'Salary continuation']) : '',
         // Prior leave dates (Part C item 9)
-        priorDisabilityDates: checkboxStates.priorLeave ? `${priorBenefitStart.toLocaleDateString('en-US')} - ${priorBenefitEnd.toLocaleDateString('en-US')}` : '',
+        priorDisabilityDates: checkboxStates.priorDisability ? `${priorBenefitStart.toLocaleDateString('en-US')} - ${priorBenefitEnd.toLocaleDateString('en-US')}` : '',
         priorPFLDates: checkboxStates.priorPFL ? `${priorBenefitStart.toLocaleDateString('en-US')} - ${priorBenefitEnd.toLocaleDateString('en-US')}` : '',
+        ...scenario.conditionalData,
       },
 
       // Checkbox states
@@ -280,6 +527,7 @@ class DataGenerator {
   }
 
   saveData() {
+    if (!this.persist) return;
     fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
     this.log(`Data saved to: ${this.dataFile}`);
   }
@@ -293,13 +541,26 @@ class DataGenerator {
     return { month, day, year, full: `${month}/${day}/${year}` };
   }
 
-      // Get a calculated field value
-    getCalculatedValue(generator, args = []) {
-      const generators = {
+    // Calculated field generators by name (the `generator` of calculated and
+    // checkbox-multi mappings)
+    calculatedGenerators() {
+      return {
         // Claimant Names (Consistent)
         firstName: () => this.data.claimant.firstName,
         lastName: () => this.data.claimant.lastName,
         middleInitial: () => this.data.claimant.middleInitial,
+
+        // Claimant contact and identity (Part A items 4-13)
+        claimantAddress: () => this.data.claimant.address,
+        claimantCity: () => this.data.claimant.city,
+        claimantState: () => this.data.claimant.state,
+        claimantZip: () => this.data.claimant.zip,
+        claimantPhone: () => this.data.claimant.phone,
+        claimantEmail: () => this.data.claimant.email,
+        ssnPart1: () => this.data.claimant.ssn.part1,
+        ssnPart2: () => this.data.claimant.ssn.part2,
+        ssnPart3: () => this.data.claimant.ssn.part3,
+        occupation: () => this.data.claimant.occupation,
   
         // Date of Birth
         dobMonth: () => this.formatDate(this.data.claimant.dateOfBirth).month,      dobDay: () => this.formatDate(this.data.claimant.dateOfBirth).day,
@@ -322,6 +583,7 @@ class DataGenerator {
       employmentStartDate: () => this.formatDate(this.data.dates.employmentStart).full,
       lastDayWorked: () => this.formatDate(this.data.dates.lastDayWorked).full,
       lastDayWorkedFormatted: () => this.formatDate(this.data.dates.lastDayWorked).full,
+      terminationDate: () => this.data.dates.terminationDate ? this.formatDate(this.data.dates.terminationDate).full : '',
       hireDate: () => this.formatDate(this.data.dates.employmentStart).full,
 
       // Week end dates
@@ -356,12 +618,17 @@ class DataGenerator {
 
       // Union
       unionName: () => this.data.union ? this.data.union.name : '',
+      unionContactInfo: () => this.data.union
+        ? [this.data.union.name, this.data.union.address, this.data.union.phone].filter(Boolean).join(', ')
+        : '',
       unionMemberCheckbox: () => this.data.checkboxes.unionMember,
 
       // Signature dates
       signatureDate: () => this.formatDate(this.data.dates.signatureDate).full,
       employerSignatureDate: () => this.formatDate(this.data.dates.signatureDate).full,
-      supplementSignatureDate: () => this.formatDate(this.data.dates.signatureDate).full,
+      supplementSignatureMonth: () => this.formatDate(this.data.dates.signatureDate).month,
+      supplementSignatureDay: () => this.formatDate(this.data.dates.signatureDate).day,
+      supplementSignatureYear: () => this.formatDate(this.data.dates.signatureDate).year,
       directDepositSignatureDate: () => this.formatDate(this.data.dates.signatureDate).full,
 
       // Employer info (used by both Part A and Part C for consistency)
@@ -431,9 +698,10 @@ class DataGenerator {
           cb.paidFamilyLeave || cb.workersComp || cb.noFaultAccident ||
           cb.thirdPartyInjury || cb.longTermDisability;
         if (!anyBenefitsChecked) return null; // Don't check either if no benefits selected
+        // Use the stored choice when present (e.g. data extracted from a filled PDF)
+        if (this.data.conditionalData?.receivedOrClaimed) return this.data.conditionalData.receivedOrClaimed;
         // If they checked any benefits, randomly choose received vs claimed
-        faker.seed(this.seed + 99999); // Use a consistent seed offset for this field
-        return faker.datatype.boolean() ? 'Received' : 'Claimed';
+        return this.stream('conditionalData.receivedOrClaimed').datatype.boolean() ? 'Received' : 'Claimed';
       },
 
       // For Part C Item 9 "In the preceding 52 weeks has the employee taken leave for:"
@@ -454,6 +722,11 @@ class DataGenerator {
         return this.data.claimant.gender;
       },
     };
+  }
+
+  // Get a calculated field value
+  getCalculatedValue(generator, args = []) {
+    const generators = this.calculatedGenerators();
 
     if (generators[generator]) {
       return args.length > 0 ? generators[generator](args[0]) : generators[generator]();
@@ -463,13 +736,11 @@ class DataGenerator {
     return '';
   }
 
-  // Get faker-generated value
-  getFakerValue(method, args = []) {
-    // Re-seed for consistency when accessing faker
-    faker.seed(this.seed);
-
+  // Get faker-generated value from the field's own stream
+  // (streamName is normally the PDF field name, so each field gets its own values)
+  getFakerValue(method, args = [], streamName = method) {
     const parts = method.split('.');
-    let fn = faker;
+    let fn = this.stream(streamName);
 
     for (const part of parts) {
       fn = fn[part];
@@ -518,44 +789,13 @@ class DataGenerator {
   }
 
   // Get checkbox value
-  getCheckboxValue(fieldName, probability) {
-    // Map field names to stored checkbox states
-    const checkboxMap = {
-      '17 - Gender': 'gender',
-      '25 - Did you work that day?': 'didWorkOnDisabilityDay',
-      '27 - Have you recovered from this disability?': 'hasRecovered',
-      '32 - Have you since worked for wages or profit?': 'workedForWages',
-      '73 - Union Member?': 'unionMember',
-      '76 - Were you claiming or receiving unemployment prior to this disability?': 'unemploymentBenefits',
-      '2 - A.\tAre you receiving wages, salary or separation pay?': 'receivingWages',
-      '3 - Unemployment Benefits?': 'unemploymentBenefits',
-      '4 - Paid Family Leave?': 'paidFamilyLeave',
-      '5 - Workers Compensation?': 'workersComp',
-      '6 - No fault motor vehicle accident?': 'noFaultAccident',
-      '7 - personal injury involving third party?': 'thirdPartyInjury',
-      '8 - Long-term disability benefits under the Federal Social Security Act for this disability?': 'longTermDisability',
-      '17 - have you received disability benefits for other periods of disability?': 'priorDisability',
-      '25 -  In the year (52 weeks) before your disability began, have you received Paid Family Leave?': 'priorPFL',
-      '11 - Is the employee a member of a union?': 'unionMember',
-      '18 - Were wages continued during disability?': 'wagesContinued',
-      '20 - If yes, is reimbursement requested by employer?': 'reimbursementRequested',
-      '21 - Is the employee\'s disability work-related?': false, // Always No for DBL
-      '47 - In the preceding 52 weeks has the employee taken leave for:': 'priorLeave',
-      '50 - Is employee still in your employment?': 'stillEmployed',
-      '10 - Payment': 'directDeposit',
-      '18 - Does employee contribute?': 'employeeContributes',
-      '4 Checking account': 'checkingAccount',
-      '4 Savings account': () => !this.data.checkboxes.checkingAccount,
-      'EOBs': 'noEOBs',
-      '14 - Employees Role': true, // Usually "Employee" checkbox
-    };
-
-    const key = checkboxMap[fieldName];
+  // stateKey binds the field to a checkbox state directly (used by non-DB-450 forms)
+  getCheckboxValue(fieldName, probability, stateKey) {
+    const key = stateKey !== undefined ? stateKey : CheckboxStateMap[fieldName];
 
     if (key === undefined) {
-      // Generate based on probability (seeded)
-      faker.seed(this.seed + this.hashString(fieldName));
-      return faker.datatype.boolean({ probability });
+      // Generate based on probability (seeded per field)
+      return this.stream(fieldName).datatype.boolean({ probability });
     }
 
     if (typeof key === 'boolean') {
@@ -563,7 +803,7 @@ class DataGenerator {
     }
 
     if (typeof key === 'function') {
-      return key();
+      return key(this.data);
     }
 
     return this.data.checkboxes[key] || false;
@@ -574,4 +814,4 @@ class DataGenerator {
   }
 }
 
-module.exports = { DataGenerator };
+module.exports = { DataGenerator, CheckboxStateMap, DerivedFields };
@@ -0,0 +1,212 @@
+/**
+ * Generated Data Schema and Migrations
+ *
+ * Persisted generated-data/<runId>.json files carry a `schemaVersion`.
+ * Files written before a section existed are upgraded on load by the chain
+ * of migrations below; each migration fills in what its version introduced.
+ * Missing values are copied from reference data - the run regenerated with
+ * the same seed, anchored to the file's generatedAt and its checkbox states -
+ * so upgrades are deterministic and agree with the data already on file.
+ *
+ * Files without a schemaVersion are treated as version 0.
+ * The persisted shape is described by generated-data.schema.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, 'generated-data.schema.json');
+
+const GENDERS = ['Male', 'Female', 'X'];
+
+/**
+ * Migrations in version order. `up(data, reference)` mutates data in place;
+ * `reference()` lazily returns the reference data for the run.
+ */
+const Migrations = [
+  {
+    version: 1,
+    description: 'Move gender from checkboxes to claimant.gender and fill missing checkbox states',
+    up(data, reference) {
+      data.checkboxes = data.checkboxes || {};
+      data.claimant = data.claimant || {};
+
+      if (!GENDERS.includes(data.claimant.gender)) {
+        const legacy = data.checkboxes.gender;
+        data.claimant.gender = GENDERS.includes(legacy) ? legacy : reference().claimant.gender;
+      }
+      delete data.checkboxes.gender;
+
+      Object.entries(reference().checkboxes).forEach(([key, value]) => {
+        if (typeof data.checkboxes[key] !== 'boolean') data.checkboxes[key] = value;
+      });
+    },
+  },
+  {
+    version: 2,
+    description: 'Add medicalProvider section',
+    up(data, reference) {
+      if (!data.medicalProvider) {
+        data.medicalProvider = reference().medicalProvider;
+      }
+    },
+  },
+  {
+    version: 3,
+    description: 'Add priorBenefits and conditionalData sections (items 13-15, conditional answers)',
+    up(data, reference) {
+      const ref = reference();
+      data.priorBenefits = { ...ref.priorBenefits, ...data.priorBenefits };
+      data.conditionalData = { ...ref.conditionalData, ...data.conditionalData };
+    },
+  },
+  {
+    version: 4,
+    description: 'Add scenario, source and dates.terminationDate',
+    up(data, reference) {
+      if (data.scenario === undefined) data.scenario = null;
+      if (data.source === undefined) data.source = null;
+      data.dates = data.dates || {};
+      if (data.dates.terminationDate === undefined) {
+        data.dates.terminationDate = data.checkboxes.stillEmployed ? null : reference().dates.terminationDate;
+      }
+    },
+  },
+];
+
+const SCHEMA_VERSION = Migrations[Migrations.length - 1].version;
+
+/**
+ * Upgrade persisted data to SCHEMA_VERSION.
+ *
+ * @param {Object} data - Persisted data (mutated in place)
+ * @param {Function} getReference - Returns reference data for the run (called at most once)
+ * @returns {{ data: Object, from: number, applied: Array }}
+ */
+function migrateData(data, getReference) {
+  const from = data.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Data for run ${data.runId} has schemaVersion ${from}; this version supports up to ${SCHEMA_VERSION}`);
+  }
+
+  let reference = null;
+  const lazyReference = () => {
+    if (!reference) reference = getReference();
+    return reference;
+  };
+
+  const applied = [];
+  Migrations
+    .filter(m => m.version > from)
+    .forEach(m => {
+      m.up(data, lazyReference);
+      data.schemaVersion = m.version;
+      applied.push({ version: m.version, description: m.description });
+    });
+
+  return { data, from, applied };
+}
+
+// ===========================================
+// SCHEMA VALIDATION
+// ===========================================
+
+let cachedSchema = null;
+
+function loadSchema() {
+  if (!cachedSchema) {
+    cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+  }
+  return cachedSchema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate data against the subset of JSON Schema used by generated-data.schema.json
+ * (type, required, properties, additionalProperties, items, enum, pattern,
+ * minimum, maximum, format: date-time, $ref to #/definitions).
+ *
+ * @returns {Array} [{ path, message }]
+ */
+function validateSchema(data, schema = loadSchema()) {
+  const errors = [];
+
+  const visit = (value, node, where) => {
+    if (node.$ref) {
+      node = node.$ref.replace('#/definitions/', '').split('/').reduce((s, k) => s[k], schema.definitions);
+    }
+
+    if (node.type) {
+      const types = Array.isArray(node.type) ? node.type : [node.type];
+      if (!types.some(t => matchesType(value, t))) {
+        errors.push({ path: where, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+        return;
+      }
+    }
+
+    if (node.enum && !node.enum.includes(value)) {
+      errors.push({ path: where, message: `expected one of ${node.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+      if (node.pattern && !new RegExp(node.pattern).test(value)) {
+        errors.push({ path: where, message: `does not match ${node.pattern}` });
+      }
+      if (node.format === 'date-time' && isNaN(Date.parse(value))) {
+        errors.push({ path: where, message: 'expected a date-time' });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (node.minimum !== undefined && value < node.minimum) {
+        errors.push({ path: where, message: `expected at least ${node.minimum}` });
+      }
+      if (node.maximum !== undefined && value > node.maximum) {
+        errors.push({ path: where, message: `expected at most ${node.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value) && node.items) {
+      value.forEach((item, i) => visit(item, node.items, `${where}[${i}]`));
+    }
+
+    if (typeOf(value) === 'object') {
+      (node.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push({ path: `${where}.${key}`, message: 'is required' });
+      });
+
+      Object.entries(value).forEach(([key, child]) => {
+        if (node.properties && node.properties[key]) {
+          visit(child, node.properties[key], `${where}.${key}`);
+        } else if (node.additionalProperties === false) {
+          errors.push({ path: `${where}.${key}`, message: 'is not allowed' });
+        } else if (typeof node.additionalProperties === 'object') {
+          visit(child, node.additionalProperties, `${where}.${key}`);
+        }
+      });
+    }
+  };
+
+  visit(data, schema, '$');
+  return errors;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SCHEMA_PATH,
+  Migrations,
+  migrateData,
+  validateSchema,
+  loadSchema,
+};
@@ -0,0 +1,432 @@
+/**
+ * Data Source - Claimant Records from CSV/JSON
+ *
+ * Loads known personas or records exported from other systems so forms can
+ * be filled with supplied data instead of invented data. Each record becomes
+ * a set of data-model overrides ({ 'claimant.firstName': 'Ana', ... }) that
+ * DataGenerator applies on top of its faker-generated base data, so anything
+ * missing from the file still falls back to faker.
+ *
+ * Files:
+ * - CSV with a header row (quoted fields, "" escapes and embedded newlines supported)
+ * - JSON array of objects (or { records: [...] }); nested objects are
+ *   flattened to dotted paths, arrays by index (wages.weeklyWages.0.grossAmount)
+ *
+ * Column mapping (--columns <file.json>) maps source columns to model paths:
+ *   {
+ *     "Claim ID": "runId",
+ *     "First Name": "claimant.firstName",
+ *     "DOB": { "path": "claimant.dateOfBirth", "type": "date" },
+ *     "Week 1 Gross": "wages.weeklyWages.0.grossAmount"
+ *   }
+ * Columns without a mapping are used as-is when the header is already a model
+ * path, and reported as ignored otherwise. Rows without a runId column are
+ * numbered <prefix>-001, <prefix>-002, ...
+ *
+ * Every record is validated against ModelFields before filling; records with
+ * errors are not filled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CheckboxStateMap } = require('./data-generator');
+
+// ===========================================
+// MODEL
+// ===========================================
+
+const DATE = { type: 'date' };
+const STRING = { type: 'string' };
+const NUMBER = { type: 'number' };
+const digits = (n) => ({ type: 'string', pattern: new RegExp(`^\\d{${n}}$`), hint: `${n} digits` });
+
+// Model paths that may be supplied; '*' matches an array index
+const ModelFields = {
+  'claimant.firstName': STRING,
+  'claimant.lastName': STRING,
+  'claimant.middleInitial': { type: 'string', pattern: /^[A-Za-z]$/, hint: 'one letter' },
+  'claimant.fullName': STRING,
+  'claimant.gender': { type: 'enum', values: ['Male', 'Female', 'X'] },
+  'claimant.address': STRING,
+  'claimant.city': STRING,
+  'claimant.state': { type: 'string', pattern: /^[A-Z]{2}$/, hint: '2-letter state code' },
+  'claimant.zip': digits(5),
+  'claimant.phone': STRING,
+  'claimant.email': STRING,
+  'claimant.ssn.part1': digits(3),
+  'claimant.ssn.part2': digits(2),
+  'claimant.ssn.part3': digits(4),
+  'claimant.ssn.full': { type: 'string', pattern: /^\d{3}-\d{2}-\d{4}$/, hint: '###-##-####' },
+  'claimant.dateOfBirth': DATE,
+  'claimant.occupation': STRING,
+
+  'dates.disabilityStart': DATE,
+  'dates.lastDayWorked': DATE,
+  'dates.employmentStart': DATE,
+  'dates.signatureDate': DATE,
+  'dates.returnToWork': DATE,
+  'dates.terminationDate': DATE,
+
+  'employer.name': STRING,
+  'employer.address': STRING,
+  'employer.city': STRING,
+  'employer.state': { type: 'string', pattern: /^[A-Z]{2}$/, hint: '2-letter state code' },
+  'employer.zip': digits(5),
+  'employer.phone': STRING,
+  'employer.fein.part1': digits(2),
+  'employer.fein.part2': digits(7),
+  'employer.contactName': STRING,
+  'employer.contactTitle': STRING,
+  'employer.contactEmail': STRING,
+  'employer.contactPhone': STRING,
+  'employer.policyNumber': STRING,
+
+  'medicalProvider.firstName': STRING,
+  'medicalProvider.lastName': STRING,
+  'medicalProvider.fullName': STRING,
+  'medicalProvider.role': { type: 'enum', values: ['Physician', 'Chiropractor', 'Podiatrist'] },
+  'medicalProvider.licenseNumber': STRING,
+  'medicalProvider.address': STRING,
+  'medicalProvider.phone': STRING,
+  'medicalProvider.state': { type: 'string', pattern: /^[A-Z]{2}$/, hint: '2-letter state code' },
+
+  'wages.weeklyWages.*.weekEndDate': DATE,
+  'wages.weeklyWages.*.daysWorked': { type: 'integer', min: 0, max: 7 },
+  'wages.weeklyWages.*.grossAmount': { type: 'number', min: 0 },
+  'wages.averageWeeklyWage': { type: 'number', min: 0 },
+  'wages.baseWeeklyWage': NUMBER,
+
+  'medical.diagnosisAnalysis': STRING,
+  'medical.icdCode': STRING,
+  'medical.symptoms': STRING,
+  'medical.objectiveFindings': STRING,
+  'medical.hospitalized': { type: 'boolean' },
+  'medical.surgery': { type: 'boolean' },
+  'medical.workRelated': { type: 'boolean' },
+  'medical.firstTreatment': DATE,
+  'medical.recentTreatment': DATE,
+
+  'union.name': STRING,
+  'union.address': STRING,
+  'union.phone': STRING,
+
+  'disability.description1': STRING,
+  'disability.description2': STRING,
+
+  'priorBenefits.claimedFrom': STRING,
+  'priorBenefits.claimedPeriodStart': DATE,
+  'priorBenefits.claimedPeriodEnd': DATE,
+  'priorBenefits.priorDisabilityPaidBy': STRING,
+  'priorBenefits.priorDisabilityStart': DATE,
+  'priorBenefits.priorDisabilityEnd': DATE,
+  'priorBenefits.priorPFLPaidBy': STRING,
+  'priorBenefits.priorPFLStart': DATE,
+  'priorBenefits.priorPFLEnd': DATE,
+
+  'conditionalData.workedForWagesDates': STRING,
+  'conditionalData.unemploymentExplanation': STRING,
+  'conditionalData.unemploymentPeriods': STRING,
+  'conditionalData.wagesContinuedType': STRING,
+  'conditionalData.priorDisabilityDates': STRING,
+  'conditionalData.priorPFLDates': STRING,
+  'conditionalData.receivedOrClaimed': { type: 'enum', values: ['Received', 'Claimed'] },
+};
+
+// Checkbox states (checkboxes.<key>) are booleans
+const CheckboxKeys = [...new Set(Object.values(CheckboxStateMap).filter(v => typeof v === 'string' && v !== 'gender'))];
+CheckboxKeys.forEach(key => { ModelFields[`checkboxes.${key}`] = { type: 'boolean' }; });
+
+// Weekly wage rows are weeks 1-8 (indexes 0-7)
+const MAX_WAGE_INDEX = 7;
+
+function findModelField(modelPath) {
+  if (ModelFields[modelPath]) return ModelFields[modelPath];
+
+  const match = modelPath.match(/^wages\.weeklyWages\.(\d+)\.(\w+)$/);
+  if (match && Number(match[1]) <= MAX_WAGE_INDEX) {
+    return ModelFields[`wages.weeklyWages.*.${match[2]}`] || null;
+  }
+  return null;
+}
+
+// ===========================================
+// VALUE COERCION
+// ===========================================
+
+// Parse MM/DD/YYYY or YYYY-MM-DD[...] as a local date (matching DataGenerator's dates)
+function parseDate(value) {
+  let m = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return checkedDate(Number(m[3]), Number(m[1]), Number(m[2]));
+
+  m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return checkedDate(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(date) ? date : null;
+}
+
+function checkedDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'checked'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'unchecked'];
+
+/**
+ * Coerce a raw source value to the model type.
+ * @returns {{ value } | { error: string }}
+ */
+function coerceValue(raw, spec) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (spec.type) {
+    case 'string':
+    case 'enum': {
+      const value = String(text);
+      if (spec.type === 'enum' && !spec.values.includes(value)) {
+        return { error: `expected one of ${spec.values.join(', ')}` };
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        return { error: `expected ${spec.hint}` };
+      }
+      return { value };
+    }
+
+    case 'date': {
+      const date = parseDate(String(text));
+      return date ? { value: date.toISOString() } : { error: 'expected a date (MM/DD/YYYY or YYYY-MM-DD)' };
+    }
+
+    case 'number':
+    case 'integer': {
+      const value = typeof text === 'number' ? text : Number(String(text).replace(/[$,]/g, ''));
+      if (isNaN(value)) return { error: 'expected a number' };
+      if (spec.type === 'integer' && !Number.isInteger(value)) return { error: 'expected a whole number' };
+      if (spec.min !== undefined && value < spec.min) return { error: `expected at least ${spec.min}` };
+      if (spec.max !== undefined && value > spec.max) return { error: `expected at most ${spec.max}` };
+      return { value };
+    }
+
+    case 'boolean': {
+      if (typeof text === 'boolean') return { value: text };
+      const lower = String(text).toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true };
+      if (FALSE_VALUES.includes(lower)) return { value: false };
+      return { error: 'expected yes/no' };
+    }
+
+    default:
+      return { error: `unknown model type: ${spec.type}` };
+  }
+}
+
+// ===========================================
+// FILE PARSING
+// ===========================================
+
+/**
+ * Parse CSV text into an array of row objects keyed by header.
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.replace(/^﻿/, '').trim());
+  return nonEmpty.slice(1).map(cells =>
+    Object.fromEntries(header.map((h, i) => [h, cells[i] !== undefined ? cells[i] : '']))
+  );
+}
+
+// Flatten nested JSON records to dotted keys
+function flattenRecord(obj, prefix = '', out = {}) {
+  Object.entries(obj).forEach(([key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object') {
+      flattenRecord(value, fullKey, out);
+    } else {
+      out[fullKey] = value;
+    }
+  });
+  return out;
+}
+
+function readSourceRows(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Data source not found: ${filePath}`);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf-8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.csv') {
+    return parseCSV(text);
+  }
+  if (ext === '.json') {
+    const parsed = JSON.parse(text);
+    const records = Array.isArray(parsed) ? parsed : parsed.records;
+    if (!Array.isArray(records)) {
+      throw new Error(`JSON data source must be an array of records or { records: [...] }: ${filePath}`);
+    }
+    return records.map(r => flattenRecord(r));
+  }
+  throw new Error(`Unsupported data source type: ${ext} (expected .csv or .json)`);
+}
+
+function loadColumnMapping(columns) {
+  if (!columns) return {};
+  if (typeof columns === 'object') return columns;
+  if (!fs.existsSync(columns)) {
+    throw new Error(`Column mapping not found: ${columns}`);
+  }
+  return JSON.parse(fs.readFileSync(columns, 'utf-8'));
+}
+
+// ===========================================
+// RECORDS
+// ===========================================
+
+/**
+ * Map and validate one source row.
+ * @returns {Object} { runId, row, values, errors, ignored }
+ */
+function buildRecord(sourceRow, index, columnMapping, prefix) {
+  const record = {
+    runId: null,
+    row: index + 1,
+    values: {},
+    errors: [],
+    ignored: [],
+  };
+
+  Object.entries(sourceRow).forEach(([column, raw]) => {
+    const mapped = columnMapping[column];
+    const target = typeof mapped === 'object' && mapped !== null ? mapped : { path: mapped || column };
+
+    if (target.path === 'runId') {
+      if (raw !== undefined && String(raw).trim() !== '') record.runId = String(raw).trim();
+      return;
+    }
+
+    const spec = findModelField(target.path);
+    if (!spec) {
+      // Explicitly mapped columns must name a model path; others are just ignored
+      if (mapped) {
+        record.errors.push({ column, path: target.path, message: 'not a data model path' });
+      } else {
+        record.ignored.push(column);
+      }
+      return;
+    }
+
+    // Blank cells fall back to faker
+    if (raw === undefined || raw === null || String(raw).trim() === '') return;
+
+    const result = coerceValue(raw, target.type ? { ...spec, type: target.type } : spec);
+    if (result.error) {
+      record.errors.push({ column, path: target.path, message: `${result.error} (got '${raw}')` });
+    } else {
+      record.values[target.path] = result.value;
+    }
+  });
+
+  if (!record.runId) {
+    record.runId = `${prefix}-${String(index + 1).padStart(3, '0')}`;
+  }
+
+  return record;
+}
+
+/**
+ * Load records from a CSV/JSON data source.
+ *
+ * @param {string} filePath - CSV or JSON file
+ * @param {Object} options
+ * @param {string|Object} options.columns - Column mapping (object or JSON file path)
+ * @param {string} options.prefix - runId prefix for rows without a runId (default: file name)
+ * @returns {Array} [{ runId, row, values, errors, ignored }]
+ */
+function loadDataSource(filePath, options = {}) {
+  const columnMapping = loadColumnMapping(options.columns);
+  const prefix = options.prefix || path.basename(filePath, path.extname(filePath));
+  const records = readSourceRows(filePath).map((row, i) => buildRecord(row, i, columnMapping, prefix));
+
+  // runIds name the persisted data and output PDF, so they must be unique
+  const seen = new Map();
+  records.forEach(record => {
+    if (seen.has(record.runId)) {
+      record.errors.push({ column: 'runId', path: 'runId', message: `duplicate runId (also row ${seen.get(record.runId)})` });
+    } else {
+      seen.set(record.runId, record.row);
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Find the record for a runId in a data source.
+ */
+function findRecord(filePath, runId, options = {}) {
+  const records = loadDataSource(filePath, options);
+  const record = records.find(r => r.runId === runId);
+  if (!record) {
+    const ids = records.slice(0, 5).map(r => r.runId).join(', ');
+    throw new Error(`No record for ${runId} in ${filePath} (runIds: ${ids}${records.length > 5 ? ', ...' : ''})`);
+  }
+  return record;
+}
+
+function formatRecordErrors(record) {
+  return record.errors.map(e => `${e.column} -> ${e.path}: ${e.message}`).join('; ');
+}
+
+module.exports = {
+  ModelFields,
+  findModelField,
+  buildRecord,
+  flattenRecord,
+  loadDataSource,
+  findRecord,
+  formatRecordErrors,
+  parseCSV,
+  coerceValue,
+};
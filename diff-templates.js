@@ -0,0 +1,357 @@
+/**
+ * Template Revision Diff
+ *
+ * Compares two revisions of a template (e.g. DBLNYC84.pdf and a newer DB-450)
+ * and lists what the form definition has to follow:
+ *
+ *   added      fields only in the new revision
+ *   removed    fields only in the old revision
+ *   renamed    removed/added pairs of the same type matched by name similarity
+ *              or by sitting at the same spot on the same page
+ *   moved      fields whose page, widget position/size or widget count changed
+ *   changed    fields whose type, on-values or MaxLen changed
+ *   pages      page count, page sizes and page content (overlay pages matter:
+ *              Part B coordinates are drawn at fixed positions)
+ *
+ * followed by the mappings and overlays of the form that need updating, and
+ * the fingerprint to record for the new revision (see template-fingerprint.js).
+ *
+ * Usage:
+ *   node diff-templates.js <old.pdf> <new.pdf> [options]
+ *   node diff-templates.js --fingerprint <template.pdf> [--form <id>]
+ *
+ * Options:
+ *   --form <id>            Form whose mappings and overlays are checked (default: db-450)
+ *   --fingerprint <pdf>    Print the fingerprint to record in a form definition
+ *   --json                 Print the diff as JSON
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { PDFDocument, PDFArray } = require('pdf-lib');
+const { DEFAULT_FORM_ID, getForm, resolvePageIndex } = require('./form-registry');
+const { inspectTemplate } = require('./inspect');
+const { editDistance } = require('./lint-mapping');
+const { overlayFieldMappings } = require('./overlay-fields');
+const { fingerprintTemplate } = require('./template-fingerprint');
+
+const MOVE_TOLERANCE = 1; // points
+const RENAME_SIMILARITY = 0.6;
+
+// ===========================================
+// READING
+// ===========================================
+
+function pageContentHash(page) {
+  const hash = crypto.createHash('sha256');
+  const contents = page.node.Contents();
+  const streams = !contents ? []
+    : contents instanceof PDFArray ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+    : [contents];
+  streams.forEach(stream => {
+    if (stream && stream.getContents) hash.update(stream.getContents());
+  });
+  return hash.digest('hex').slice(0, 16);
+}
+
+async function readRevision(templatePath, formDef) {
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template not found: ${templatePath}`);
+  }
+  const bytes = fs.readFileSync(templatePath);
+  const pdfDoc = await PDFDocument.load(bytes);
+  const { fields } = await inspectTemplate(templatePath, { form: formDef.id });
+
+  return {
+    path: templatePath,
+    fingerprint: fingerprintTemplate(pdfDoc, bytes, formDef),
+    pages: pdfDoc.getPages().map(page => {
+      const { width, height } = page.getSize();
+      return { width, height, content: pageContentHash(page) };
+    }),
+    fields: new Map(fields.map(field => [field.name, field])),
+  };
+}
+
+// ===========================================
+// COMPARISON
+// ===========================================
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a.toLowerCase(), b.toLowerCase()) / longest;
+}
+
+function samePosition(a, b) {
+  const [wa, wb] = [a.widgets[0], b.widgets[0]];
+  return Boolean(wa && wb) && wa.page === wb.page &&
+    Math.abs(wa.rect.x - wb.rect.x) <= MOVE_TOLERANCE && Math.abs(wa.rect.y - wb.rect.y) <= MOVE_TOLERANCE;
+}
+
+function describeWidget(widget) {
+  return widget ? `page ${widget.page} (${widget.rect.x}, ${widget.rect.y}) ${widget.rect.width}x${widget.rect.height}` : 'no widget';
+}
+
+// Position changes between two revisions of a field
+function widgetMoves(before, after) {
+  const moves = [];
+  if (before.widgets.length !== after.widgets.length) {
+    moves.push(`${before.widgets.length} -> ${after.widgets.length} widgets`);
+  }
+  before.widgets.slice(0, after.widgets.length).forEach((wa, i) => {
+    const wb = after.widgets[i];
+    const moved = wa.page !== wb.page ||
+      ['x', 'y', 'width', 'height'].some(k => Math.abs(wa.rect[k] - wb.rect[k]) > MOVE_TOLERANCE);
+    if (moved) moves.push(`widget ${i}: ${describeWidget(wa)} -> ${describeWidget(wb)}`);
+  });
+  return moves;
+}
+
+function fieldChanges(before, after) {
+  const changes = [];
+  if (before.type !== after.type) changes.push(`type ${before.type} -> ${after.type}`);
+  const onBefore = (before.onValues || []).join(', ');
+  const onAfter = (after.onValues || []).join(', ');
+  if (onBefore !== onAfter) changes.push(`on-values [${onBefore}] -> [${onAfter}]`);
+  if (before.maxLength !== after.maxLength) changes.push(`MaxLen ${before.maxLength} -> ${after.maxLength}`);
+  return changes;
+}
+
+// Pair removed and added fields of the same type, best matches first
+function matchRenames(removed, added) {
+  const candidates = [];
+  removed.forEach(a => added.forEach(b => {
+    if (a.type !== b.type) return;
+    const score = similarity(a.name, b.name);
+    const positioned = samePosition(a, b);
+    if (score >= RENAME_SIMILARITY || positioned) {
+      candidates.push({ from: a, to: b, similarity: score, samePosition: positioned });
+    }
+  }));
+
+  candidates.sort((x, y) => (y.similarity + (y.samePosition ? 1 : 0)) - (x.similarity + (x.samePosition ? 1 : 0)));
+  const used = new Set();
+  return candidates.filter(c => {
+    if (used.has(c.from.name) || used.has(c.to.name)) return false;
+    used.add(c.from.name);
+    used.add(c.to.name);
+    return true;
+  });
+}
+
+function comparePages(before, after, formDef) {
+  const pages = [];
+  const count = Math.max(before.pages.length, after.pages.length);
+  for (let i = 0; i < count; i++) {
+    const [a, b] = [before.pages[i], after.pages[i]];
+    if (!a || !b) {
+      pages.push({ page: i, change: a ? 'removed' : 'added' });
+    } else if (Math.abs(a.width - b.width) > MOVE_TOLERANCE || Math.abs(a.height - b.height) > MOVE_TOLERANCE) {
+      pages.push({ page: i, change: `size ${a.width}x${a.height} -> ${b.width}x${b.height}` });
+    } else if (a.content !== b.content) {
+      pages.push({ page: i, change: 'content changed' });
+    }
+  }
+
+  const overlays = formDef.overlays.map(overlay => {
+    const pageIndex = resolvePageIndex(formDef, overlay.page);
+    const change = pages.find(p => p.page === pageIndex);
+    return { name: overlay.name, page: pageIndex, change: change ? change.change : null };
+  }).filter(o => o.change);
+
+  return { pages, overlays };
+}
+
+/**
+ * Compare two template revisions.
+ *
+ * @param {string} oldPath
+ * @param {string} newPath
+ * @param {Object} options - { form: id whose mappings and overlays are checked }
+ * @returns {Promise<Object>} { form, old, new, added, removed, renamed, moved, changed,
+ *   pages, overlays, mappings: [{ field, mapping, action }], fingerprint }
+ */
+async function diffTemplates(oldPath, newPath, options = {}) {
+  const formDef = getForm(options.form);
+  const before = await readRevision(oldPath, formDef);
+  const after = await readRevision(newPath, formDef);
+
+  const removedFields = [...before.fields.values()].filter(f => !after.fields.has(f.name));
+  const addedFields = [...after.fields.values()].filter(f => !before.fields.has(f.name));
+  const renamePairs = matchRenames(removedFields, addedFields);
+  const renamedFrom = new Set(renamePairs.map(r => r.from.name));
+  const renamedTo = new Set(renamePairs.map(r => r.to.name));
+
+  // Fields present in both revisions, under the same or a new name
+  const pairs = [
+    ...[...before.fields.values()].filter(f => after.fields.has(f.name)).map(f => [f, after.fields.get(f.name)]),
+    ...renamePairs.map(r => [r.from, r.to]),
+  ];
+
+  const moved = [];
+  const changed = [];
+  pairs.forEach(([a, b]) => {
+    const moves = widgetMoves(a, b);
+    if (moves.length > 0) moved.push({ field: b.name, moves });
+    const changes = fieldChanges(a, b);
+    if (changes.length > 0) changed.push({ field: b.name, changes });
+  });
+
+  const result = {
+    form: formDef.id,
+    old: { path: oldPath, pageCount: before.pages.length, fieldCount: before.fields.size },
+    new: { path: newPath, pageCount: after.pages.length, fieldCount: after.fields.size },
+    added: addedFields.filter(f => !renamedTo.has(f.name)).map(f => ({ field: f.name, type: f.type, page: f.page })),
+    removed: removedFields.filter(f => !renamedFrom.has(f.name)).map(f => ({ field: f.name, type: f.type, page: f.page })),
+    renamed: renamePairs.map(r => ({
+      from: r.from.name,
+      to: r.to.name,
+      similarity: Math.round(r.similarity * 100) / 100,
+      samePosition: r.samePosition,
+    })),
+    moved,
+    changed,
+    ...comparePages(before, after, formDef),
+    fingerprint: after.fingerprint,
+  };
+  result.mappings = mappingUpdates(result, formDef);
+  return result;
+}
+
+// What to change in the form's mappings for the new revision
+function mappingUpdates(diff, formDef) {
+  const mappings = formDef.mappings;
+  // Fields injected for overlays (overlay-fields.js) are mapped by the overlay
+  const overlayMappings = Object.assign({}, ...formDef.overlays.map(overlayFieldMappings));
+  const updates = [];
+  const renamedTo = Object.fromEntries(diff.renamed.map(r => [r.from, r.to]));
+
+  diff.renamed.filter(r => mappings[r.from]).forEach(r => {
+    updates.push({ field: r.from, mapping: mappings[r.from].type, action: `rename the key to "${r.to}"` });
+  });
+  diff.removed.filter(f => mappings[f.field]).forEach(f => {
+    updates.push({ field: f.field, mapping: mappings[f.field].type, action: 'remove (field no longer in the template)' });
+  });
+  Object.entries(mappings).forEach(([name, mapping]) => {
+    if (!mapping.continuation) return;
+    if (renamedTo[mapping.continuation]) {
+      updates.push({ field: name, mapping: mapping.type, action: `point continuation at "${renamedTo[mapping.continuation]}"` });
+    } else if (diff.removed.some(f => f.field === mapping.continuation)) {
+      updates.push({ field: name, mapping: mapping.type, action: `continuation "${mapping.continuation}" was removed` });
+    }
+  });
+  diff.changed.forEach(c => {
+    const oldName = Object.keys(renamedTo).find(from => renamedTo[from] === c.field) || c.field;
+    if (mappings[oldName]) {
+      updates.push({ field: oldName, mapping: mappings[oldName].type, action: `check against ${c.changes.join('; ')}` });
+    }
+  });
+  diff.added.filter(f => !mappings[f.field] && !overlayMappings[f.field]).forEach(f => {
+    updates.push({ field: f.field, mapping: null, action: `add a mapping (${f.type})` });
+  });
+  return updates;
+}
+
+// ===========================================
+// CLI
+// ===========================================
+
+function printDiff(diff) {
+  console.log(`\nComparing ${diff.old.path} -> ${diff.new.path} (form: ${diff.form})`);
+  console.log(`  Pages: ${diff.old.pageCount} -> ${diff.new.pageCount}`);
+  console.log(`  Fields: ${diff.old.fieldCount} -> ${diff.new.fieldCount}`);
+
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    console.log(`\n${title} (${items.length}):`);
+    items.forEach(item => console.log(`  ${format(item)}`));
+  };
+
+  section('Added', diff.added, f => `+ [p${f.page}] ${f.type.replace('PDF', '')}  ${f.field}`);
+  section('Removed', diff.removed, f => `- [p${f.page}] ${f.type.replace('PDF', '')}  ${f.field}`);
+  section('Renamed', diff.renamed, r =>
+    `~ ${r.from} -> ${r.to}  (similarity ${r.similarity}${r.samePosition ? ', same position' : ''})`);
+  section('Moved', diff.moved, m => `> ${m.field}\n      ${m.moves.join('\n      ')}`);
+  section('Changed', diff.changed, c => `* ${c.field}: ${c.changes.join('; ')}`);
+  section('Pages', diff.pages, p => `page ${p.page}: ${p.change}`);
+  section('Overlays to recalibrate', diff.overlays, o =>
+    `${o.name} (page ${o.page}): ${o.change} - check its coordinates with calibrate-part-b.js`);
+  section('Mappings to update', diff.mappings, u => `${u.field}${u.mapping ? ` [${u.mapping}]` : ''}: ${u.action}`);
+
+  const differences = diff.added.length + diff.removed.length + diff.renamed.length +
+    diff.moved.length + diff.changed.length + diff.pages.length;
+  if (differences === 0) {
+    console.log('\n✅ No field or page differences');
+  }
+  console.log(`\nFingerprint of ${diff.new.path} (for the form definition):`);
+  console.log(`  fingerprint: ${JSON.stringify(diff.fingerprint)}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Template Revision Diff
+
+Lists added, removed, renamed (by similarity) and moved fields between two
+template revisions, changed pages, and the form mappings and overlay
+coordinates that need updating.
+
+Usage:
+  node diff-templates.js <old.pdf> <new.pdf> [options]
+  node diff-templates.js --fingerprint <template.pdf> [--form <id>]
+
+Options:
+  --form <id>            Form whose mappings and overlays are checked (default: ${DEFAULT_FORM_ID})
+  --fingerprint <pdf>    Print the fingerprint to record in a form definition
+  --json                 Print the diff as JSON
+
+Examples:
+  npm run diff-templates -- DBLNYC84.pdf ./DB450-2026.pdf
+  node diff-templates.js --fingerprint ./DB450-2026.pdf
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const valueFlags = ['--form', '--fingerprint'];
+  const paths = args.filter((arg, i) => !arg.startsWith('--') && !valueFlags.includes(args[i - 1]));
+  const json = args.includes('--json');
+
+  try {
+    if (getFlag('--fingerprint')) {
+      const formDef = getForm(getFlag('--form'));
+      const templatePath = getFlag('--fingerprint');
+      if (!fs.existsSync(templatePath)) {
+        throw new Error(`Template not found: ${templatePath}`);
+      }
+      const bytes = fs.readFileSync(templatePath);
+      const fingerprint = fingerprintTemplate(await PDFDocument.load(bytes), bytes, formDef);
+      console.log(json ? JSON.stringify(fingerprint, null, 2) : `fingerprint: ${JSON.stringify(fingerprint)}`);
+      return;
+    }
+
+    if (paths.length !== 2) {
+      throw new Error('Expected two templates: <old.pdf> <new.pdf>');
+    }
+    const diff = await diffTemplates(paths[0], paths[1], { form: getFlag('--form') });
+    if (json) {
+      console.log(JSON.stringify(diff, null, 2));
+    } else {
+      printDiff(diff);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { diffTemplates };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,596 @@
+/**
+ * Filled Form Extractor
+ *
+ * Reads a filled DB-450 back into the generated-data JSON model produced by
+ * DataGenerator.generateBaseData(), by inverting the form's FieldMappings.
+ * The result is written to generated-data/<run-id>.json so fillForm can
+ * re-render it. Sections the form does not carry (the Part B provider) are
+ * taken from the run's reference data, as the schema migrations do.
+ *
+ * Usage:
+ *   node extract-data.js <filled.pdf> [options]
+ *
+ * Options:
+ *   --run-id <id>       Run ID for the extracted data (default: PDF file name)
+ *   --form <id>         Registered form the PDF was filled from (default: db-450)
+ *   --data-dir <dir>    Output directory (default: ./generated-data)
+ *   --stdout            Print the JSON instead of writing it
+ *   --force             Overwrite an existing generated-data file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { DataGenerator, CheckboxStateMap } = require('./data-generator');
+const { getForm } = require('./form-registry');
+const { SCHEMA_VERSION } = require('./data-schema');
+const { getCheckboxOnValues, isYesNoCheckbox } = require('./fill-form');
+
+// Parse "Address, City, ST 12345"
+function parseFullAddress(value) {
+  const match = value.match(/^(.*), ([^,]+), ([A-Z]{2}) (\d{5})$/);
+  if (!match) return null;
+  return { address: match[1], city: match[2], state: match[3], zip: match[4] };
+}
+
+// Parse "City, ST 12345"
+function parseCityStateZip(value) {
+  const match = value.match(/^(.*), ([A-Z]{2}) (\d{5})$/);
+  if (!match) return null;
+  return { city: match[1], state: match[2], zip: match[3] };
+}
+
+// Item 47 (Part C) option -> prior leave checkbox states
+const PriorLeaveTypes = {
+  'NYS#20Disability': { priorDisability: true, priorPFL: false },
+  'PFL': { priorDisability: false, priorPFL: true },
+  'Both': { priorDisability: true, priorPFL: true },
+  'None': { priorDisability: false, priorPFL: false },
+};
+
+/**
+ * How each calculated generator's output maps back onto the data model.
+ *
+ *   { path }                   Value stored as-is (parse: 'number' | 'int' to convert)
+ *   { date, part }             One part (month/day/year) of an ISO date
+ *   { date }                   Full MM/DD/YYYY date
+ *   { checkbox }               Boolean checkbox state
+ *   { decode: (value) => {} }  Custom decoder returning { path: value } pairs
+ *
+ * Bindings marked `fallback` only apply when no direct binding set the path.
+ * Generators taking a week number are functions of that argument.
+ */
+const GeneratorBindings = {
+  // Claimant
+  lastName: { path: 'claimant.lastName' },
+  firstName: { path: 'claimant.firstName' },
+  middleInitial: { path: 'claimant.middleInitial' },
+  claimantAddress: { path: 'claimant.address' },
+  claimantCity: { path: 'claimant.city' },
+  claimantState: { path: 'claimant.state' },
+  claimantZip: { path: 'claimant.zip' },
+  claimantPhone: { path: 'claimant.phone' },
+  claimantEmail: { path: 'claimant.email' },
+  ssnPart1: { path: 'claimant.ssn.part1' },
+  ssnPart2: { path: 'claimant.ssn.part2' },
+  ssnPart3: { path: 'claimant.ssn.part3' },
+  occupation: { path: 'claimant.occupation' },
+  genderSelection: { path: 'claimant.gender' },
+  dobMonth: { date: 'claimant.dateOfBirth', part: 'month' },
+  dobDay: { date: 'claimant.dateOfBirth', part: 'day' },
+  dobYear: { date: 'claimant.dateOfBirth', part: 'year' },
+
+  // Dates
+  disabilityStartMonth: { date: 'dates.disabilityStart', part: 'month' },
+  disabilityStartDay: { date: 'dates.disabilityStart', part: 'day' },
+  disabilityStartYear: { date: 'dates.disabilityStart', part: 'year' },
+  returnToWorkMonth: { date: 'dates.returnToWork', part: 'month' },
+  returnToWorkDay: { date: 'dates.returnToWork', part: 'day' },
+  returnToWorkYear: { date: 'dates.returnToWork', part: 'year' },
+  employmentStartDate: { date: 'dates.employmentStart' },
+  hireDate: { date: 'dates.employmentStart' },
+  lastDayWorked: { date: 'dates.lastDayWorked' },
+  lastDayWorkedFormatted: { date: 'dates.lastDayWorked' },
+  terminationDate: { date: 'dates.terminationDate' },
+  signatureDate: { date: 'dates.signatureDate' },
+  employerSignatureDate: { date: 'dates.signatureDate' },
+  supplementSignatureMonth: { date: 'dates.signatureDate', part: 'month' },
+  supplementSignatureDay: { date: 'dates.signatureDate', part: 'day' },
+  supplementSignatureYear: { date: 'dates.signatureDate', part: 'year' },
+  directDepositSignatureDate: { date: 'dates.signatureDate' },
+
+  // Employer
+  employerBusinessName: { path: 'employer.name' },
+  employerAddress: { path: 'employer.address' },
+  employerFullAddress: {
+    fallback: true,
+    decode: (value) => {
+      const parsed = parseFullAddress(value);
+      return parsed ? {
+        'employer.address': parsed.address,
+        'employer.city': parsed.city,
+        'employer.state': parsed.state,
+        'employer.zip': parsed.zip,
+      } : {};
+    },
+  },
+  employerCityStateZip: {
+    decode: (value) => {
+      const parsed = parseCityStateZip(value);
+      return parsed ? {
+        'employer.city': parsed.city,
+        'employer.state': parsed.state,
+        'employer.zip': parsed.zip,
+      } : {};
+    },
+  },
+  employerPhone: { path: 'employer.phone' },
+  employerContactPhone: { path: 'employer.contactPhone' },
+  employerContactName: { path: 'employer.contactName' },
+  employerEmail: { path: 'employer.contactEmail' },
+  employerSignatoryNameTitle: {
+    fallback: true,
+    decode: (value) => {
+      const index = value.indexOf(', ');
+      if (index === -1) return { 'employer.contactName': value };
+      return {
+        'employer.contactName': value.substring(0, index),
+        'employer.contactTitle': value.substring(index + 2),
+      };
+    },
+  },
+  employerFEIN1: { path: 'employer.fein.part1' },
+  employerFEIN2: { path: 'employer.fein.part2' },
+  policyNumber: { path: 'employer.policyNumber' },
+
+  // Wages
+  weekEndDate: (week) => ({ date: `wages.weeklyWages.${week - 1}.weekEndDate` }),
+  weekEndDateFormatted: (week) => ({ date: `wages.weeklyWages.${week - 1}.weekEndDate` }),
+  daysWorkedWeek: (week) => ({ path: `wages.weeklyWages.${week - 1}.daysWorked`, parse: 'int' }),
+  weeklyWage: (week) => ({ path: `wages.weeklyWages.${week - 1}.grossAmount`, parse: 'number' }),
+  weeklyWageFormatted: (week) => ({ path: `wages.weeklyWages.${week - 1}.grossAmount`, parse: 'number' }),
+  averageWeeklyWage: { path: 'wages.averageWeeklyWage', parse: 'number' },
+  averageWeeklyWageFormatted: { path: 'wages.averageWeeklyWage', parse: 'number' },
+
+  // Union
+  unionName: { path: 'union.name' },
+  unionContactInfo: {
+    fallback: true,
+    decode: (value) => {
+      // "<name>, <street>, <city>, <state> <zip>, <phone>"; decode only the
+      // parts that are complete
+      if (!value) return {};
+      const parts = value.split(', ');
+      const decoded = { 'union.name': parts.shift() };
+      if (parts.length > 0 && /^[\d\s().+x-]{7,}$/.test(parts[parts.length - 1])) {
+        decoded['union.phone'] = parts.pop();
+      }
+      if (parts.length === 3 && decoded['union.phone']) decoded['union.address'] = parts.join(', ');
+      return decoded;
+    },
+  },
+  unionMemberCheckbox: { checkbox: 'unionMember' },
+
+  // Prior benefits (items 13-15)
+  claimedFrom: { path: 'priorBenefits.claimedFrom' },
+  claimedPeriodStartMonth: { date: 'priorBenefits.claimedPeriodStart', part: 'month' },
+  claimedPeriodStartDay: { date: 'priorBenefits.claimedPeriodStart', part: 'day' },
+  claimedPeriodStartYear: { date: 'priorBenefits.claimedPeriodStart', part: 'year' },
+  claimedPeriodEndMonth: { date: 'priorBenefits.claimedPeriodEnd', part: 'month' },
+  claimedPeriodEndDay: { date: 'priorBenefits.claimedPeriodEnd', part: 'day' },
+  claimedPeriodEndYear: { date: 'priorBenefits.claimedPeriodEnd', part: 'year' },
+  priorDisabilityPaidBy: { path: 'priorBenefits.priorDisabilityPaidBy' },
+  priorDisabilityStartMonth: { date: 'priorBenefits.priorDisabilityStart', part: 'month' },
+  priorDisabilityStartDay: { date: 'priorBenefits.priorDisabilityStart', part: 'day' },
+  priorDisabilityStartYear: { date: 'priorBenefits.priorDisabilityStart', part: 'year' },
+  priorDisabilityEndMonth: { date: 'priorBenefits.priorDisabilityEnd', part: 'month' },
+  priorDisabilityEndDay: { date: 'priorBenefits.priorDisabilityEnd', part: 'day' },
+  priorDisabilityEndYear: { date: 'priorBenefits.priorDisabilityEnd', part: 'year' },
+  priorPFLPaidBy: { path: 'priorBenefits.priorPFLPaidBy' },
+  priorPFLStartMonth: { date: 'priorBenefits.priorPFLStart', part: 'month' },
+  priorPFLStartDay: { date: 'priorBenefits.priorPFLStart', part: 'day' },
+  priorPFLStartYear: { date: 'priorBenefits.priorPFLStart', part: 'year' },
+  priorPFLEndMonth: { date: 'priorBenefits.priorPFLEnd', part: 'month' },
+  priorPFLEndDay: { date: 'priorBenefits.priorPFLEnd', part: 'day' },
+  priorPFLEndYear: { date: 'priorBenefits.priorPFLEnd', part: 'year' },
+
+  // Conditional data
+  workedForWagesDates: { path: 'conditionalData.workedForWagesDates' },
+  unemploymentExplanation: { path: 'conditionalData.unemploymentExplanation' },
+  unemploymentPeriods: { path: 'conditionalData.unemploymentPeriods' },
+  wagesContinuedType: { path: 'conditionalData.wagesContinuedType' },
+  priorDisabilityDates: { path: 'conditionalData.priorDisabilityDates' },
+  priorPFLDates: { path: 'conditionalData.priorPFLDates' },
+  receivedOrClaimed: { path: 'conditionalData.receivedOrClaimed' },
+  priorLeaveType: {
+    fallback: true,
+    decode: (value) => {
+      const states = PriorLeaveTypes[value];
+      if (!states) return {};
+      return {
+        'checkboxes.priorDisability': states.priorDisability,
+        'checkboxes.priorPFL': states.priorPFL,
+        'checkboxes.priorLeave': value !== 'None',
+      };
+    },
+  },
+};
+
+// AI categories -> data paths
+const AICategoryPaths = {
+  disability_description: 'disability.description1',
+  disability_description_continued: 'disability.description2',
+};
+
+/**
+ * Resolve the binding for a mapping entry, or null if the field cannot be
+ * read back into the model (static values, faker-only values).
+ */
+function getBinding(fieldName, mapping) {
+  if (mapping.type === 'calculated' || mapping.type === 'checkbox-multi') {
+    const binding = GeneratorBindings[mapping.generator];
+    if (typeof binding === 'function') {
+      return binding(...(mapping.args || []));
+    }
+    return binding || null;
+  }
+
+  if (mapping.type === 'ai') {
+    const aiPath = AICategoryPaths[mapping.category];
+    return aiPath ? { path: aiPath } : null;
+  }
+
+  if (mapping.type === 'checkbox') {
+    const key = mapping.state !== undefined ? mapping.state : CheckboxStateMap[fieldName];
+    return typeof key === 'string' ? { checkbox: key } : null;
+  }
+
+  return null;
+}
+
+function setPath(obj, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let target = obj;
+  keys.slice(0, -1).forEach((key, i) => {
+    if (target[key] === undefined || target[key] === null) {
+      target[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+function getPathValue(obj, dottedPath) {
+  return dottedPath.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// MM/DD/YYYY -> ISO string (local midnight, matching DataGenerator.formatDate)
+function parseFullDate(value) {
+  const match = String(value).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return null;
+  return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2])).toISOString();
+}
+
+/**
+ * Read the selected on-value of a checkbox (V on the field, else AS on a widget).
+ */
+function getCheckboxSelectedValue(checkBox, onValues) {
+  const v = checkBox.acroField.dict.get(PDFName.of('V'));
+  if (v instanceof PDFName && v.toString() !== '/Off') {
+    return v.toString().slice(1);
+  }
+
+  const widgets = checkBox.acroField.getWidgets();
+  for (let i = 0; i < widgets.length; i++) {
+    const as = widgets[i].dict.get(PDFName.of('AS'));
+    if (as instanceof PDFName && as.toString() !== '/Off') {
+      return as.toString().slice(1);
+    }
+  }
+
+  return onValues.length === 0 ? null : undefined;
+}
+
+/**
+ * Read a field's written value. Checkboxes return the selected on-value,
+ * true/false for yes/no and single-tick boxes, or undefined if unset.
+ */
+function readFieldValue(field, pdfDoc, mapping) {
+  const fieldType = field.constructor.name;
+
+  if (fieldType === 'PDFTextField') {
+    const text = field.getText();
+    return text === undefined || text === '' ? undefined : text;
+  }
+
+  if (fieldType === 'PDFCheckBox') {
+    const onValues = getCheckboxOnValues(field, pdfDoc);
+    const selected = getCheckboxSelectedValue(field, onValues);
+
+    if (mapping.type === 'checkbox-multi') {
+      return selected || undefined;
+    }
+    if (isYesNoCheckbox(onValues)) {
+      if (selected === 'Yes') return true;
+      if (selected === 'No') return false;
+      return undefined;
+    }
+    if (onValues.length > 1) {
+      // Multi-widget boolean: the filler selects the first on-value for true
+      return selected === undefined ? undefined : selected === onValues[0].value;
+    }
+    return field.isChecked();
+  }
+
+  return undefined;
+}
+
+/**
+ * Append the text the filler split into a static continuation field, which
+ * only ever holds the rest of the answer it continues (words are split at
+ * spaces, see splitToFit in text-fit.js).
+ */
+function readContinuedText(value, mapping, form, pdfDoc, formDef) {
+  const continuation = mapping.continuation && formDef.mappings[mapping.continuation];
+  if (typeof value !== 'string' || !continuation || continuation.type !== 'static') return value;
+
+  const field = form.getFieldMaybe(mapping.continuation);
+  const rest = field && readFieldValue(field, pdfDoc, continuation);
+  return rest ? `${value} ${rest}` : value;
+}
+
+/**
+ * Extract a filled form into the generated-data model.
+ *
+ * @param {string} pdfPath - Filled PDF
+ * @param {Object} options - { runId, form, now: generatedAt for the extracted data (default: now) }
+ * @returns {Promise<{ data: Object, unboundFields: string[], conflicts: Object[] }>}
+ */
+async function extractFormData(pdfPath, options = {}) {
+  if (!fs.existsSync(pdfPath)) {
+    throw new Error(`PDF not found: ${pdfPath}`);
+  }
+
+  const formDef = getForm(options.form);
+  const runId = options.runId || path.basename(pdfPath, '.pdf');
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath));
+  const form = pdfDoc.getForm();
+
+  const data = {
+    schemaVersion: SCHEMA_VERSION,
+    runId,
+    generatedAt: (options.now ? new Date(options.now) : new Date()).toISOString(),
+    seed: DataGenerator.prototype.hashString(runId),
+    scenario: null,
+    claimant: { ssn: {} },
+    dates: {},
+    employer: { fein: {} },
+    wages: { weeklyWages: [] },
+    union: null,
+    disability: {},
+    priorBenefits: {},
+    conditionalData: {},
+    checkboxes: {},
+  };
+
+  const unboundFields = [];
+  const conflicts = [];
+  const dateParts = {};
+  const fallbacks = [];
+
+  const assign = (dataPath, value, fieldName) => {
+    const existing = getPathValue(data, dataPath);
+    if (existing !== undefined && existing !== null && existing !== '' && existing !== value) {
+      conflicts.push({ path: dataPath, field: fieldName, kept: existing, ignored: value });
+      return;
+    }
+    setPath(data, dataPath, value);
+  };
+
+  const applyBinding = (binding, value, fieldName) => {
+    if (binding.decode) {
+      Object.entries(binding.decode(value)).forEach(([p, v]) => assign(p, v, fieldName));
+    } else if (binding.checkbox) {
+      assign(`checkboxes.${binding.checkbox}`, value, fieldName);
+    } else if (binding.date && binding.part) {
+      dateParts[binding.date] = { ...dateParts[binding.date], [binding.part]: value };
+    } else if (binding.date) {
+      const iso = parseFullDate(value);
+      if (iso) assign(binding.date, iso, fieldName);
+    } else if (binding.parse === 'number' || binding.parse === 'int') {
+      const num = binding.parse === 'int' ? parseInt(value, 10) : parseFloat(String(value).replace(/[$,]/g, ''));
+      if (!isNaN(num)) assign(binding.path, num, fieldName);
+    } else {
+      assign(binding.path, value, fieldName);
+    }
+  };
+
+  for (const field of form.getFields()) {
+    const fieldName = field.getName();
+    const mapping = formDef.mappings[fieldName];
+    if (!mapping) continue;
+
+    const binding = getBinding(fieldName, mapping);
+    if (!binding) {
+      if (mapping.type !== 'static') unboundFields.push(fieldName);
+      continue;
+    }
+
+    const value = readContinuedText(readFieldValue(field, pdfDoc, mapping), mapping, form, pdfDoc, formDef);
+    if (value === undefined) continue;
+
+    if (binding.fallback) {
+      fallbacks.push({ binding, value, fieldName });
+    } else {
+      applyBinding(binding, value, fieldName);
+    }
+  }
+
+  // Fallback bindings only fill paths that direct bindings left empty
+  fallbacks.forEach(({ binding, value, fieldName }) => {
+    Object.entries(binding.decode(value)).forEach(([p, v]) => {
+      const existing = getPathValue(data, p);
+      if (existing === undefined || existing === null || existing === '') {
+        setPath(data, p, v);
+      }
+    });
+  });
+
+  // Rebuild dates split into month/day/year fields
+  Object.entries(dateParts).forEach(([dataPath, parts]) => {
+    if (parts.month && parts.day && parts.year) {
+      setPath(data, dataPath, new Date(Number(parts.year), Number(parts.month) - 1, Number(parts.day)).toISOString());
+    }
+  });
+
+  finalizeExtractedData(data);
+  fillFromReference(data);
+
+  return { data, unboundFields, conflicts };
+}
+
+/**
+ * Fill in values derived from others, as generateBaseData() would.
+ */
+function finalizeExtractedData(data) {
+  const { claimant, employer, wages } = data;
+
+  if (claimant.firstName || claimant.lastName) {
+    claimant.fullName = claimant.middleInitial
+      ? `${claimant.firstName} ${claimant.middleInitial}. ${claimant.lastName}`
+      : `${claimant.firstName} ${claimant.lastName}`;
+  }
+  if (claimant.ssn.part1 && claimant.ssn.part2 && claimant.ssn.part3) {
+    claimant.ssn.full = `${claimant.ssn.part1}-${claimant.ssn.part2}-${claimant.ssn.part3}`;
+  }
+  claimant.state = claimant.state || 'NY';
+
+  employer.state = employer.state || 'NY';
+  employer.contactPhone = employer.contactPhone || employer.phone;
+  employer.phone = employer.phone || employer.contactPhone;
+
+  wages.weeklyWages = wages.weeklyWages
+    .map((week, i) => week && { weekNumber: i + 1, ...week })
+    .filter(Boolean);
+  if (wages.averageWeeklyWage === undefined && wages.weeklyWages.length > 0) {
+    const total = wages.weeklyWages.reduce((sum, w) => sum + (w.grossAmount || 0), 0);
+    wages.averageWeeklyWage = Math.round((total / wages.weeklyWages.length) * 100) / 100;
+  }
+  wages.baseWeeklyWage = wages.averageWeeklyWage;
+
+  if (data.union && !data.union.name) data.union = null;
+  if (data.checkboxes.unionMember === undefined) {
+    data.checkboxes.unionMember = Boolean(data.union);
+  }
+
+  ['claimedPeriodStart', 'claimedPeriodEnd', 'priorDisabilityStart', 'priorDisabilityEnd', 'priorPFLStart', 'priorPFLEnd']
+    .forEach(key => {
+      if (data.priorBenefits[key] === undefined) data.priorBenefits[key] = null;
+    });
+  ['claimedFrom', 'priorDisabilityPaidBy', 'priorPFLPaidBy'].forEach(key => {
+    if (data.priorBenefits[key] === undefined) data.priorBenefits[key] = '';
+  });
+
+  return data;
+}
+
+/**
+ * Fill the sections the form does not carry (the Part B provider, which is
+ * drawn rather than filled, and the return-to-work date when its items are
+ * blank) from the run's reference data, as the schema migrations do, so the
+ * extracted file validates at SCHEMA_VERSION.
+ */
+function fillFromReference(data) {
+  const probe = new DataGenerator(data.runId, { persist: false, silent: true });
+  probe.data = data;
+  const reference = probe.referenceData();
+
+  if (!data.medicalProvider) data.medicalProvider = reference.medicalProvider;
+  if (data.dates.returnToWork === undefined) data.dates.returnToWork = reference.dates.returnToWork;
+
+  return data;
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Filled Form Extractor
+
+Usage:
+  node extract-data.js <filled.pdf> [options]
+
+Options:
+  --run-id <id>      Run ID for the extracted data (default: PDF file name)
+  --form <id>        Registered form the PDF was filled from (default: db-450)
+  --data-dir <dir>   Output directory (default: ./generated-data)
+  --stdout           Print the JSON instead of writing it
+  --force            Overwrite an existing generated-data file
+
+Examples:
+  node extract-data.js ./partner/claim-123.pdf
+  node extract-data.js ./partner/claim-123.pdf --run-id partner-123
+  node fill-form.js partner-123    # Re-render the extracted data
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const pdfPath = args[0];
+  const dataDir = getFlag('--data-dir') || './generated-data';
+
+  try {
+    const { data, unboundFields, conflicts } = await extractFormData(pdfPath, {
+      runId: getFlag('--run-id'),
+      form: getFlag('--form'),
+    });
+
+    if (args.includes('--stdout')) {
+      console.log(JSON.stringify(data, null, 2));
+      return;
+    }
+
+    const dataFile = path.join(dataDir, `${data.runId}.json`);
+    if (fs.existsSync(dataFile) && !args.includes('--force')) {
+      throw new Error(`${dataFile} already exists (use --force to overwrite)`);
+    }
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+
+    console.log(`\n=== Extracted ${pdfPath} ===\n`);
+    console.log(`  Run ID: ${data.runId}`);
+    console.log(`  Claimant: ${data.claimant.fullName || '(none)'}`);
+    console.log(`  Employer: ${data.employer.name || '(none)'}`);
+    console.log(`  Weekly wages: ${data.wages.weeklyWages.length} weeks`);
+    console.log(`  Checkboxes: ${Object.keys(data.checkboxes).length} states`);
+
+    if (unboundFields.length > 0) {
+      console.log(`\n  Not read back (no data binding): ${unboundFields.length}`);
+      unboundFields.forEach(f => console.log(`    ${f}`));
+    }
+    if (conflicts.length > 0) {
+      console.log(`\n  Conflicting values (first value kept): ${conflicts.length}`);
+      conflicts.forEach(c => console.log(`    ${c.path}: kept "${c.kept}", ignored "${c.ignored}" from ${c.field}`));
+    }
+
+    console.log(`\n  Data saved to: ${dataFile}\n`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { extractFormData, GeneratorBindings, getBinding };
+
+if (require.main === module) {
+  main();
+}
@@ -7,6 +7,19 @@
  * - 'calculated': Derived from other fields or business logic
  * - 'static': Fixed value
  * - 'checkbox': Boolean field with probability
+ *
+ * Any entry may also declare:
+ * - conditional: Gate that must be open for the field to be written
+ *                (a ConditionalGates name, or a gate object; see conditions.js)
+ * - otherwise:   Alternate value written when the gate is closed
+ *                (without it the field is left blank)
+ * - state:       For 'checkbox' entries, the checkbox state key to read
+ *                (e.g. 'hasRecovered'); lets other forms reuse the persona
+ * - values:      For 'checkbox-multi' entries, the on-values the generator can
+ *                select (used by the coverage planner)
+ * - continuation: For text fields, the field that continues this answer; text
+ *                that does not fit is carried into it (see pdf-fields.js)
+ * - minFontSize: Smallest font size the filler may shrink to (default: 6)
  */
 
 const FieldMappings = {
@@ -18,17 +31,17 @@ const FieldMappings = {
   '2 - Last Name': { type: 'calculated', generator: 'lastName' },
   '3 - First Name': { type: 'calculated', generator: 'firstName' },
   '3a - Middle Initial': { type: 'calculated', generator: 'middleInitial' },
-  '4 - Mailing Address Street  Apt': { type: 'faker', method: 'location.streetAddress' },
-  '5 - City': { type: 'faker', method: 'location.city' },
-  '6 - State': { type: 'static', value: 'NY' },
-  '7 - Zip': { type: 'faker', method: 'location.zipCode', args: ['#####'] },
-  '9 - Daytime Phone': { type: 'faker', method: 'phone.number', args: ['###-###-####'] },
-  '10 - Email Address': { type: 'faker', method: 'internet.email' },
+  '4 - Mailing Address Street  Apt': { type: 'calculated', generator: 'claimantAddress' },
+  '5 - City': { type: 'calculated', generator: 'claimantCity' },
+  '6 - State': { type: 'calculated', generator: 'claimantState' },
+  '7 - Zip': { type: 'calculated', generator: 'claimantZip' },
+  '9 - Daytime Phone': { type: 'calculated', generator: 'claimantPhone' },
+  '10 - Email Address': { type: 'calculated', generator: 'claimantEmail' },
 
   // SSN (split into 3 fields)
-  '11 - Social Security 1': { type: 'faker', method: 'string.numeric', args: [3] },
-  '12 - Social 2': { type: 'faker', method: 'string.numeric', args: [2] },
-  '13 - Social Security': { type: 'faker', method: 'string.numeric', args: [4] },
+  '11 - Social Security 1': { type: 'calculated', generator: 'ssnPart1' },
+  '12 - Social 2': { type: 'calculated', generator: 'ssnPart2' },
+  '13 - Social Security': { type: 'calculated', generator: 'ssnPart3' },
 
   // Date of Birth (split into 3 fields: MM/DD/YYYY)
   '14 - Date of Birth': { type: 'calculated', generator: 'dobMonth' },
@@ -36,13 +49,14 @@ const FieldMappings = {
   '16 - Date of Birth': { type: 'calculated', generator: 'dobYear' },
 
   // Gender Checkbox (M/F/X options)
-  '17 - Gender': { type: 'checkbox-multi', generator: 'genderSelection' },
+  '17 - Gender': { type: 'checkbox-multi', generator: 'genderSelection', values: ['Male', 'Female', 'X'] },
 
   // Disability Description - AI REQUIRED
   '20 -  Describe your disability if injury also state how when and where it occurred 1': {
     type: 'ai',
     prompt: 'Generate a brief medical disability description (1-2 sentences) for a non-work-related condition like back pain, knee injury, or recovery from surgery. Be specific but concise.',
-    category: 'disability_description'
+    category: 'disability_description',
+    continuation: '21 -  Describe your disability if injury also state how when and where it occurred 2',
   },
   '21 -  Describe your disability if injury also state how when and where it occurred 2': {
     type: 'ai',
@@ -68,7 +82,7 @@ const FieldMappings = {
 
   // Worked for wages checkbox
   '32 - Have you since worked for wages or profit?': { type: 'checkbox', probability: 0.1 },
-  '34 - List Dates': { type: 'calculated', generator: 'workedForWagesDates' },
+  '34 - List Dates': { type: 'calculated', generator: 'workedForWagesDates', conditional: 'workedForWages' },
 
   // ===========================================
   // EMPLOYER INFORMATION (Part A continued)
@@ -92,41 +106,41 @@ const FieldMappings = {
 
   // Weekly wage breakdown (8 weeks)
   '47 - Last Day Worked': { type: 'calculated', generator: 'weekEndDate', args: [1] },
-  '48 - No of Days Worked': { type: 'faker', method: 'number.int', args: [{ min: 4, max: 5 }] },
+  '48 - No of Days Worked': { type: 'calculated', generator: 'daysWorkedWeek', args: [1] },
   '49 - Gross Amount Paid': { type: 'calculated', generator: 'weeklyWage', args: [1] },
   '50 - Last Day Worked': { type: 'calculated', generator: 'weekEndDate', args: [2] },
-  '51 - No of Days Worked': { type: 'faker', method: 'number.int', args: [{ min: 4, max: 5 }] },
+  '51 - No of Days Worked': { type: 'calculated', generator: 'daysWorkedWeek', args: [2] },
   '52 - Gross Amount Paid': { type: 'calculated', generator: 'weeklyWage', args: [2] },
   '53 - Last Day Worked': { type: 'calculated', generator: 'weekEndDate', args: [3] },
-  '54 - No of Days Worked': { type: 'faker', method: 'number.int', args: [{ min: 4, max: 5 }] },
+  '54 - No of Days Worked': { type: 'calculated', generator: 'daysWorkedWeek', args: [3] },
   '55 - Gross Amount Paid': { type: 'calculated', generator: 'weeklyWage', args: [3] },
   '56 - Last Day Worked': { type: 'calculated', generator: 'weekEndDate', args: [4] },
-  '57 - No of Days Worked': { type: 'faker', method: 'number.int', args: [{ min: 4, max: 5 }] },
+  '57 - No of Days Worked': { type: 'calculated', generator: 'daysWorkedWeek', args: [4] },
   '58 - Gross Amount Paid': { type: 'calculated', generator: 'weeklyWage', args: [4] },
   '59 - Last Day Worked': { type: 'calculated', generator: 'weekEndDate', args: [5] },
-  '60 - No of Days Worked': { type: 'faker', method: 'number.int', args: [{ min: 4, max: 5 }] },
+  '60 - No of Days Worked': { type: 'calculated', generator: 'daysWorkedWeek', args: [5] },
   '61 - Gross Amount Paid': { type: 'calculated', generator: 'weeklyWage', args: [5] },
   '62 - Last Day Worked': { type: 'calculated', generator: 'weekEndDate', args: [6] },
-  '63- No of Days Worked': { type: 'faker', method: 'number.int', args: [{ min: 4, max: 5 }] },
+  '63- No of Days Worked': { type: 'calculated', generator: 'daysWorkedWeek', args: [6] },
   '64 - Gross Amount Paid': { type: 'calculated', generator: 'weeklyWage', args: [6] },
   '65 - Last Day Worked': { type: 'calculated', generator: 'weekEndDate', args: [7] },
-  '66 - No of Days Worked': { type: 'faker', method: 'number.int', args: [{ min: 4, max: 5 }] },
+  '66 - No of Days Worked': { type: 'calculated', generator: 'daysWorkedWeek', args: [7] },
   '67 - Gross Amount Paid': { type: 'calculated', generator: 'weeklyWage', args: [7] },
   '68 - Last Day Worked': { type: 'calculated', generator: 'weekEndDate', args: [8] },
-  '69 - No of Days Worked': { type: 'faker', method: 'number.int', args: [{ min: 4, max: 5 }] },
+  '69 - No of Days Worked': { type: 'calculated', generator: 'daysWorkedWeek', args: [8] },
   '70 - Gross Amount Paid': { type: 'calculated', generator: 'weeklyWage', args: [8] },
   '71 - Calculated average gross weekly wage:': { type: 'calculated', generator: 'averageWeeklyWage' },
 
   // Occupation and Union
-  '72 -  My job is or was': { type: 'faker', method: 'person.jobTitle' },
+  '72 -  My job is or was': { type: 'calculated', generator: 'occupation' },
   '73 - Union Member?': { type: 'checkbox', probability: 0.15 },
   '75 - Name of Union': { type: 'calculated', generator: 'unionName', conditional: 'unionMember' },
 
   // Unemployment (Item 12)
   '76 - Were you claiming or receiving unemployment prior to this disability?': { type: 'checkbox', probability: 0.1 },
-  '78 - Explain': { type: 'calculated', generator: 'unemploymentExplanation' },
+  '78 - Explain': { type: 'calculated', generator: 'unemploymentExplanation', conditional: { not: 'unemploymentBenefits' }, continuation: '79 - Explain' },
   '79 - Explain': { type: 'static', value: '' }, // continuation of above
-  '80 - If you did receive unemployment benefits, provide all periods collected': { type: 'calculated', generator: 'unemploymentPeriods' },
+  '80 - If you did receive unemployment benefits, provide all periods collected': { type: 'calculated', generator: 'unemploymentPeriods', conditional: 'unemploymentBenefits' },
 
   // ===========================================
   // PART A - PAGE 2 (Claims and Benefits)
@@ -144,40 +158,40 @@ const FieldMappings = {
   '6 - No fault motor vehicle accident?': { type: 'checkbox', probability: 0.08 },
   '7 - personal injury involving third party?': { type: 'checkbox', probability: 0.05 },
   '8 - Long-term disability benefits under the Federal Social Security Act for this disability?': { type: 'checkbox', probability: 0.05 },
-  '9 - If yes is checked': { type: 'checkbox-multi', generator: 'receivedOrClaimed' }, // Options: 'Received', 'Claimed'
+  '9 - If yes is checked': { type: 'checkbox-multi', generator: 'receivedOrClaimed', conditional: 'otherBenefits', values: ['Received', 'Claimed'] },
 
   // Item 13 - "IF YES" conditional fields (claimed from, period dates)
-  '10 - Claimed from': { type: 'calculated', generator: 'claimedFrom' },
-  '11 - for the period': { type: 'calculated', generator: 'claimedPeriodStartMonth' },
-  '12 - for the period of': { type: 'calculated', generator: 'claimedPeriodStartDay' },
-  '13 - for the period of': { type: 'calculated', generator: 'claimedPeriodStartYear' },
-  '14 - for the period': { type: 'calculated', generator: 'claimedPeriodEndMonth' },
-  '15 - for the period of': { type: 'calculated', generator: 'claimedPeriodEndDay' },
-  '16 - for the period of': { type: 'calculated', generator: 'claimedPeriodEndYear' },
+  '10 - Claimed from': { type: 'calculated', generator: 'claimedFrom', conditional: 'receivingWages' },
+  '11 - for the period': { type: 'calculated', generator: 'claimedPeriodStartMonth', conditional: 'receivingWages' },
+  '12 - for the period of': { type: 'calculated', generator: 'claimedPeriodStartDay', conditional: 'receivingWages' },
+  '13 - for the period of': { type: 'calculated', generator: 'claimedPeriodStartYear', conditional: 'receivingWages' },
+  '14 - for the period': { type: 'calculated', generator: 'claimedPeriodEndMonth', conditional: 'receivingWages' },
+  '15 - for the period of': { type: 'calculated', generator: 'claimedPeriodEndDay', conditional: 'receivingWages' },
+  '16 - for the period of': { type: 'calculated', generator: 'claimedPeriodEndYear', conditional: 'receivingWages' },
 
   // ===========================================
   // ITEM 14 - Prior disability benefits
   // ===========================================
   '17 - have you received disability benefits for other periods of disability?': { type: 'checkbox', probability: 0.15 },
-  '18 - If yes Paid by': { type: 'calculated', generator: 'priorDisabilityPaidBy' },
-  '19 - From': { type: 'calculated', generator: 'priorDisabilityStartMonth' },
-  '20 - From': { type: 'calculated', generator: 'priorDisabilityStartDay' },
-  '21 - From': { type: 'calculated', generator: 'priorDisabilityStartYear' },
-  '22 - To': { type: 'calculated', generator: 'priorDisabilityEndMonth' },
-  '23 - To': { type: 'calculated', generator: 'priorDisabilityEndDay' },
-  '24 - To': { type: 'calculated', generator: 'priorDisabilityEndYear' },
+  '18 - If yes Paid by': { type: 'calculated', generator: 'priorDisabilityPaidBy', conditional: 'priorDisability' },
+  '19 - From': { type: 'calculated', generator: 'priorDisabilityStartMonth', conditional: 'priorDisability' },
+  '20 - From': { type: 'calculated', generator: 'priorDisabilityStartDay', conditional: 'priorDisability' },
+  '21 - From': { type: 'calculated', generator: 'priorDisabilityStartYear', conditional: 'priorDisability' },
+  '22 - To': { type: 'calculated', generator: 'priorDisabilityEndMonth', conditional: 'priorDisability' },
+  '23 - To': { type: 'calculated', generator: 'priorDisabilityEndDay', conditional: 'priorDisability' },
+  '24 - To': { type: 'calculated', generator: 'priorDisabilityEndYear', conditional: 'priorDisability' },
 
   // ===========================================
   // ITEM 15 - Prior PFL
   // ===========================================
   '25 -  In the year (52 weeks) before your disability began, have you received Paid Family Leave?': { type: 'checkbox', probability: 0.1 },
-  '26 - If yes Paid by': { type: 'calculated', generator: 'priorPFLPaidBy' },
-  '27 - From': { type: 'calculated', generator: 'priorPFLStartMonth' },
-  '28 - From': { type: 'calculated', generator: 'priorPFLStartDay' },
-  '29 - From': { type: 'calculated', generator: 'priorPFLStartYear' },
-  '30 - To': { type: 'calculated', generator: 'priorPFLEndMonth' },
-  '31 - To': { type: 'calculated', generator: 'priorPFLEndDay' },
-  '32 - To': { type: 'calculated', generator: 'priorPFLEndYear' },
+  '26 - If yes Paid by': { type: 'calculated', generator: 'priorPFLPaidBy', conditional: 'priorPFL' },
+  '27 - From': { type: 'calculated', generator: 'priorPFLStartMonth', conditional: 'priorPFL' },
+  '28 - From': { type: 'calculated', generator: 'priorPFLStartDay', conditional: 'priorPFL' },
+  '29 - From': { type: 'calculated', generator: 'priorPFLStartYear', conditional: 'priorPFL' },
+  '30 - To': { type: 'calculated', generator: 'priorPFLEndMonth', conditional: 'priorPFL' },
+  '31 - To': { type: 'calculated', generator: 'priorPFLEndDay', conditional: 'priorPFL' },
+  '32 - To': { type: 'calculated', generator: 'priorPFLEndYear', conditional: 'priorPFL' },
 
   // Signature info
   '33 - Signature Date': { type: 'calculated', generator: 'signatureDate' },
@@ -201,7 +215,12 @@ const FieldMappings = {
   '10 - Employers contact email address': { type: 'calculated', generator: 'employerEmail' },
 
   '11 - Is the employee a member of a union?': { type: 'calculated', generator: 'unionMemberCheckbox' },
-  '12 - If yes provide Union name address and contact information': { type: 'static', value: '' },
+  '12 - If yes provide Union name address and contact information': {
+    type: 'calculated',
+    generator: 'unionContactInfo',
+    conditional: 'unionMember',
+    continuation: '13 - If yes provide Union name address and contact information',
+  },
   '13 - If yes provide Union name address and contact information': { type: 'static', value: '' },
 
   '14 - Employees Role': { type: 'checkbox', probability: 0.95 }, // Usually "Employee"
@@ -211,8 +230,8 @@ const FieldMappings = {
   '17 - Date employee returned to work if applicable': { type: 'static', value: '' },
 
   '18 - Were wages continued during disability?': { type: 'checkbox', probability: 0.3 },
-  '19 - If yes what type PTO sick time other': { type: 'calculated', generator: 'wagesContinuedType' },
-  '20 - If yes, is reimbursement requested by employer?': { type: 'checkbox', probability: 0.2 },
+  '19 - If yes what type PTO sick time other': { type: 'calculated', generator: 'wagesContinuedType', conditional: 'wagesContinued' },
+  '20 - If yes, is reimbursement requested by employer?': { type: 'checkbox', probability: 0.2, conditional: 'wagesContinued' },
   '21 - Is the employee\'s disability work-related?': { type: 'checkbox', probability: 0.0 }, // Always No for DBL
 
   // Employer wage breakdown (8 weeks) - mirrors Part A
@@ -242,12 +261,12 @@ const FieldMappings = {
   '45 - Gross amount paid': { type: 'calculated', generator: 'weeklyWageFormatted', args: [8] },
   '46 - Gross amount paidCalculated average gross weekly wage': { type: 'calculated', generator: 'averageWeeklyWageFormatted' },
 
-  '47 - In the preceding 52 weeks has the employee taken leave for:': { type: 'checkbox-multi', generator: 'priorLeaveType' }, // Options: 'NYS#20Disability', 'PFL', 'Both', 'None'
+  '47 - In the preceding 52 weeks has the employee taken leave for:': { type: 'checkbox-multi', generator: 'priorLeaveType', values: ['NYS#20Disability', 'PFL', 'Both', 'None'] },
   '48 - Disability Please provide specific dates for disability': { type: 'calculated', generator: 'priorDisabilityDates' },
   '49 - PFL: Please provide specific dates for PFL': { type: 'calculated', generator: 'priorPFLDates' },
 
   '50 - Is employee still in your employment?': { type: 'checkbox', probability: 0.85 },
-  '51 - If no date employment was terminated': { type: 'static', value: '' },
+  '51 - If no date employment was terminated': { type: 'calculated', generator: 'terminationDate', conditional: 'terminated' },
   '52 - If employee received unemployment benefits date the benefit was last received': { type: 'static', value: '' },
 
   // Employer signature section
@@ -260,9 +279,9 @@ const FieldMappings = {
   // ===========================================
 
   '10 - Payment': { type: 'checkbox', probability: 0.7 }, // Direct Deposit preference
-  '11 - Date signed': { type: 'calculated', generator: 'supplementSignatureDate' },
-  '12 - Date Signed': { type: 'calculated', generator: 'supplementSignatureDate' },
-  '13 - Date signed': { type: 'calculated', generator: 'supplementSignatureDate' },
+  '11 - Date signed': { type: 'calculated', generator: 'supplementSignatureMonth' },
+  '12 - Date Signed': { type: 'calculated', generator: 'supplementSignatureDay' },
+  '13 - Date signed': { type: 'calculated', generator: 'supplementSignatureYear' },
 
   '18 - Does employee contribute?': { type: 'checkbox', probability: 0.6 },
   '19 - Yes  dollar amount per week': { type: 'static', value: '0.60' },
@@ -272,9 +291,9 @@ const FieldMappings = {
   '22 - Employer Contact Email': { type: 'calculated', generator: 'employerEmail' },
   '23 - Employer Contact Phone': { type: 'calculated', generator: 'employerPhoneAreaCode' },
   '24 - Employer Contact Phone': { type: 'calculated', generator: 'employerPhoneNumber' },
-  '25 - Date Signed': { type: 'calculated', generator: 'supplementSignatureDate' },
-  '26 - Date Signed': { type: 'calculated', generator: 'supplementSignatureDate' },
-  '27 - Date Signed': { type: 'calculated', generator: 'supplementSignatureDate' },
+  '25 - Date Signed': { type: 'calculated', generator: 'supplementSignatureMonth' },
+  '26 - Date Signed': { type: 'calculated', generator: 'supplementSignatureDay' },
+  '27 - Date Signed': { type: 'calculated', generator: 'supplementSignatureYear' },
 
   // ===========================================
   // DIRECT DEPOSIT FORM
@@ -292,6 +311,27 @@ const FieldMappings = {
   '1 - Policy Number': { type: 'calculated', generator: 'policyNumber' },
 };
 
+// Named gates referenced by the `conditional` key above
+const ConditionalGates = {
+  recovered: { checkbox: 'hasRecovered' },
+  unionMember: { checkbox: 'unionMember' },
+  workedForWages: { checkbox: 'workedForWages' },
+  unemploymentBenefits: { checkbox: 'unemploymentBenefits' },
+  receivingWages: { checkbox: 'receivingWages' },
+  priorDisability: { checkbox: 'priorDisability' },
+  priorPFL: { checkbox: 'priorPFL' },
+  wagesContinued: { checkbox: 'wagesContinued' },
+  terminated: { checkbox: 'stillEmployed', equals: false },
+  // Item 13 "I have: received/claimed" only applies when a benefit is checked Yes
+  otherBenefits: {
+    any: [
+      'receivingWages', 'unemploymentBenefits',
+      { checkbox: 'paidFamilyLeave' }, { checkbox: 'workersComp' }, { checkbox: 'noFaultAccident' },
+      { checkbox: 'thirdPartyInjury' }, { checkbox: 'longTermDisability' },
+    ],
+  },
+};
+
 // AI-required fields that need special handling
 const AIFields = [
   '20 -  Describe your disability if injury also state how when and where it occurred 1',
@@ -299,31 +339,58 @@ const AIFields = [
 ];
 
 // Sample disability descriptions for non-AI mode (fallback)
+// Each entry has a category used by scenario profiles (scenarios.js).
+// Entries marked scenarioOnly are only drawn when a scenario asks for their
+// category, so default runIds keep selecting from the original pool.
 const SampleDisabilityDescriptions = [
   {
+    category: 'injury',
     line1: 'Lower back strain with herniated disc L4-L5. Pain radiates down left leg.',
     line2: 'Occurred while lifting boxes at home on 12/15/2025. Currently unable to sit or stand for extended periods.'
   },
   {
+    category: 'injury',
     line1: 'Right knee injury - torn meniscus requiring surgical repair.',
     line2: 'Slipped on ice in parking lot on 01/02/2026. Surgery scheduled, recovery expected 6-8 weeks.'
   },
   {
+    category: 'post-surgical',
     line1: 'Post-surgical recovery following appendectomy due to acute appendicitis.',
     line2: 'Emergency surgery performed on 12/28/2025. Restricted from lifting over 10 lbs during recovery.'
   },
   {
+    category: 'illness',
     line1: 'Severe migraine disorder with visual aura and photophobia.',
     line2: 'Condition worsened significantly in early January 2026. Unable to work due to frequency and severity of episodes.'
   },
   {
+    category: 'injury',
     line1: 'Fractured right wrist (distal radius) from fall.',
     line2: 'Fell on stairs at home on 01/05/2026. Cast applied, unable to perform job duties requiring manual dexterity.'
+  },
+  {
+    category: 'pregnancy',
+    scenarioOnly: true,
+    line1: 'Pregnancy - third trimester with physician-ordered cessation of work.',
+    line2: 'Expected delivery date in approximately four weeks. Unable to perform job duties during late pregnancy and postpartum recovery.'
+  },
+  {
+    category: 'pregnancy',
+    scenarioOnly: true,
+    line1: 'Postpartum recovery following cesarean delivery.',
+    line2: 'Delivered by C-section; physician advises no lifting or prolonged standing for six to eight weeks.'
+  },
+  {
+    category: 'post-surgical',
+    scenarioOnly: true,
+    line1: 'Post-surgical recovery following total hip replacement (left).',
+    line2: 'Elective surgery performed after prolonged osteoarthritis. Using walker; physical therapy three times weekly.'
   }
 ];
 
 module.exports = {
   FieldMappings,
+  ConditionalGates,
   AIFields,
   SampleDisabilityDescriptions
 };
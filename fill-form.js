@@ -6,6 +6,15 @@
  *
  * Options:
  *   --output, -o <path>    Output PDF path (default: ./output/<run-id>.pdf)
+ *   --form <id>            Registered form to fill (default: db-450)
+ *   --scenario <name>      Scenario profile(s) for new runs, e.g. recovered,union (see scenarios.js)
+ *   --data-source <file>   Fill from the CSV/JSON record with this run-id (see data-source.js)
+ *   --columns <file>       Column mapping for --data-source
+ *   --input <pdf>          Template to fill (default: the form's template)
+ *   --inject-fields        Add AcroForm fields for coordinate overlays (Part B) and fill them
+ *   --no-plan-cache        Compile the fill plan without the on-disk cache (see fill-plan.js)
+ *   --allow-template-mismatch  Fill even if the template's fields or pages differ from
+ *                          the form's recorded fingerprint (see template-fingerprint.js)
  *   --ai                   Enable AI generation for descriptions
  *   --flatten              Flatten form after filling (makes fields non-editable)
  *   --preview              Preview field values without creating PDF
@@ -13,57 +22,56 @@
 
 const fs = require('fs');
 const path = require('path');
-const { PDFDocument, PDFName, StandardFonts, rgb } = require('pdf-lib');
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
 const { DataGenerator } = require('./data-generator');
-const { FieldMappings, AIFields } = require('./field-mapping');
-const { PartBCoordinates } = require('./part-b-fields');
+const { DEFAULT_FORM_ID, getForm, listForms, resolvePageIndex } = require('./form-registry');
+const { evaluateCondition } = require('./conditions');
+const { validateClaim } = require('./claim-validator');
+const { Scenarios } = require('./scenarios');
+const { findRecord, formatRecordErrors } = require('./data-source');
+const { drawFittedText } = require('./text-fit');
+const { setTextFieldFontSize, fitFieldValue } = require('./pdf-fields');
+const { resolveCoordinateValue, overlayFieldValue } = require('./overlay-fields');
+const { getFillPlan, getCheckboxOnValues, isYesNoCheckbox } = require('./fill-plan');
+const { checkTemplateFingerprint } = require('./template-fingerprint');
+
+// Part B medical details used when neither AI nor the claim's data supplies them
+const DefaultMedicalDetails = {
+  diagnosisAnalysis: 'Acute Back Pain (Simulated)',
+  symptoms: 'Pain in lower back, limited mobility',
+  objectiveFindings: 'Muscle spasms observed',
+  icdCode: 'M54.5',
+};
+const MEDICAL_TEXT_KEYS = Object.keys(DefaultMedicalDetails);
+
+// Templates already warned about in this process (batches fill one template many times)
+const warnedTemplates = new Set();
 
 /**
- * Get the on-values for each widget in a checkbox field.
- * Returns an array of { widget: index, value: string } for each non-Off appearance state.
- * Used to detect yes/no checkbox pairs.
+ * Compare the template with the fingerprint recorded on the form (see
+ * template-fingerprint.js). A template with other fields or pages is refused
+ * unless allowMismatch is set; one that only differs in bytes is a warning.
  */
-function getCheckboxOnValues(checkBox, pdfDoc) {
-  const acroField = checkBox.acroField;
-  const widgets = acroField.getWidgets();
-  const onValues = [];
+function checkTemplate(formDef, templatePath, plan, allowMismatch) {
+  const check = checkTemplateFingerprint(formDef.fingerprint, plan.template);
+  const warnOnce = (message) => {
+    if (warnedTemplates.has(`${formDef.id}|${templatePath}`)) return;
+    warnedTemplates.add(`${formDef.id}|${templatePath}`);
+    console.warn(`Warning: ${message}`);
+  };
 
-  widgets.forEach((widget, i) => {
-    const ap = widget.dict.get(PDFName.of('AP'));
-    if (ap) {
-      const apDict = pdfDoc.context.lookup(ap);
-      const normal = apDict?.get(PDFName.of('N'));
-      if (normal) {
-        const normalDict = pdfDoc.context.lookup(normal);
-        if (normalDict) {
-          normalDict.entries().forEach(([k]) => {
-            const keyStr = k.toString();
-            if (keyStr !== '/Off') {
-              onValues.push({ widget: i, value: keyStr.slice(1) }); // Remove leading /
-            }
-          });
-        }
-      }
+  if (check.status === 'mismatch') {
+    const message = `Template ${templatePath} does not match the one form ${formDef.id} was mapped for `
+      + `(${check.differences.join('; ')}). Compare the revisions with: node diff-templates.js <old.pdf> ${templatePath}`;
+    if (!allowMismatch) {
+      throw new Error(`${message}, or fill anyway with --allow-template-mismatch`);
     }
-  });
-
-  return onValues;
-}
-
-/**
- * Check if a checkbox is a yes/no pair (has separate Yes and No widgets).
- */
-function isYesNoCheckbox(onValues) {
-  const hasYes = onValues.some(v => v.value === 'Yes');
-  const hasNo = onValues.some(v => v.value === 'No');
-  return hasYes && hasNo;
-}
-
-/**
- * Check if a checkbox is a multi-widget checkbox (more than one distinct on-value).
- */
-function isMultiWidgetCheckbox(onValues) {
-  return onValues.length > 1;
+    warnOnce(message);
+  } else if (check.status === 'modified' && plan.fieldOverlays.length === 0) {
+    // Templates augmented by overlay-fields.js differ in bytes by design
+    warnOnce(`Template ${templatePath} differs from the one form ${formDef.id} was mapped for (same fields and pages)`);
+  }
+  return check;
 }
 
 /**
@@ -96,41 +104,120 @@ function setMultiWidgetCheckboxValue(checkBox, pdfDoc, targetValue, onValues) {
 async function fillForm(runId, options = {}) {
   const log = options.silent ? () => {} : console.log.bind(console);
 
+  const formDef = getForm(options.form);
+
   log('\n=== NY DBL Form Filler ===\n');
   log(`Run ID: ${runId}`);
+  log(`Form: ${formDef.id}`);
+  if (options.scenario) {
+    log(`Scenario: ${typeof options.scenario === 'string' ? options.scenario : options.scenario.name || 'custom'}`);
+  }
+
+  // Supplied record (batchFill passes it pre-loaded; otherwise look it up by runId)
+  let record = options.record || null;
+  if (!record && options.dataSource) {
+    record = findRecord(options.dataSource, runId, { columns: options.columns });
+  }
+  if (record) {
+    log(`Data Source: row ${record.row} (${Object.keys(record.values).length} supplied values)`);
+    if (record.errors.length > 0) {
+      throw new Error(`Record ${runId} failed validation: ${formatRecordErrors(record)}`);
+    }
+  }
+
+  // Compiled fill plan (see fill-plan.js); each fill loads its own copy of the template.
+  // Coordinate overlays with real AcroForm fields (injected by the plan, or already in
+  // an augmented template from overlay-fields.js) are filled like any other field
+  const { plan, mappings, bytes } = await getFillPlan(formDef, {
+    input: options.input,
+    injectFields: options.injectFields,
+    cache: options.planCache,
+  });
+  // Checked before any data is generated, so a refused fill leaves nothing behind
+  checkTemplate(formDef, options.input || formDef.template, plan, options.allowTemplateMismatch);
 
   // Initialize data generator
   const generator = new DataGenerator(runId, {
     useAI: options.ai || false,
     aiCallback: options.aiCallback || null,
     silent: options.silent || false,
+    scenario: options.scenario || null,
+    regenerate: options.regenerate || false,
+    dataDir: options.dataDir,
+    now: options.now,
+    overrides: record ? record.values : null,
+    source: record ? { file: options.dataSource || null, row: record.row } : null,
   });
 
   const data = generator.getData();
+  // Reference time for fill-time dates (Part B treatment dates, date-now overlays)
+  const now = options.now ? new Date(options.now) : new Date();
 
-  // Load PDF
-  const pdfPath = options.input || './DBLNYC84.pdf';
-  if (!fs.existsSync(pdfPath)) {
-    throw new Error(`PDF not found: ${pdfPath}`);
-  }
-
-  const pdfBytes = fs.readFileSync(pdfPath);
-  const pdfDoc = await PDFDocument.load(pdfBytes);
+  const pdfDoc = await PDFDocument.load(bytes);
   const form = pdfDoc.getForm();
+  if (options.injectFields) {
+    log(`Overlay fields: ${plan.fieldOverlays.join(', ') || 'none'}`);
+  }
 
   // Track filled fields for reporting
   const filledFields = [];
   const skippedFields = [];
+  const conditionalFields = [];
   const errors = [];
+  const overflows = []; // overlay text that did not fit its box
+
+  // Part B medical details: defaults, then AI-generated details, then values saved
+  // with the claim (data.medical, e.g. edited in the review UI), which win
+  const savedMedical = { ...data.medical };
+  let medicalDetails = { ...DefaultMedicalDetails };
+  const needsAIDetails = MEDICAL_TEXT_KEYS.some(key => savedMedical[key] === undefined);
+
+  if (formDef.overlays.length > 0 && needsAIDetails && options.ai && options.aiCallback && options.aiCallback.generateMedicalDetails) {
+    try {
+      log('Generating Part B medical details via AI...');
+      const aiDetails = await options.aiCallback.generateMedicalDetails({
+        claimant: data.claimant,
+        medical: { 
+          condition: data.disability?.description1 || 'Back Injury', // Use generated description as context
+          fullDescription: `${data.disability?.description1} ${data.disability?.description2}`
+        }
+      });
+      medicalDetails = { ...medicalDetails, ...aiDetails };
+      
+      // Merge into main data object for reporting/usage
+      data.medical = { ...medicalDetails, ...savedMedical };
+    } catch (err) {
+      console.warn('Failed to generate Part B AI details:', err.message);
+    }
+  }
+
+  // Prepare data context for coordinate mapping lookup
+  const coordinateContext = {
+    claimant: data.claimant,
+    medical: { 
+      ...medicalDetails,
+      hospitalized: false,
+      surgery: false,
+      workRelated: false,
+      firstTreatment: new Date(now.getTime() - 86400000 * 10), // 10 days ago
+      recentTreatment: now,
+      ...savedMedical,
+    },
+    dates: data.dates,
+    medicalProvider: data.medicalProvider,
+    now,
+  };
 
-  // Get all form fields
-  const fields = form.getFields();
-  log(`\nProcessing ${fields.length} form fields...\n`);
+  // Fields in plan order; continuation fields come after the fields they continue
+  const fieldsByName = new Map(form.getFields().map(field => [field.getName(), field]));
+  const carried = {}; // continuation field name -> text carried over from the previous field
+  log(`\nProcessing ${plan.fields.length} form fields...\n`);
 
-  for (const field of fields) {
-    const fieldName = field.getName();
-    const fieldType = field.constructor.name;
-    const mapping = FieldMappings[fieldName];
+  for (const planned of plan.fields) {
+    const fieldName = planned.name;
+    const fieldType = planned.type;
+    const field = fieldsByName.get(fieldName);
+    const mapping = mappings[fieldName];
 
     if (!mapping) {
       skippedFields.push({ name: fieldName, reason: 'No mapping defined' });
@@ -140,47 +227,89 @@ async function fillForm(runId, options = {}) {
     try {
       let value;
 
-      switch (mapping.type) {
-        case 'faker':
-          value = generator.getFakerValue(mapping.method, mapping.args || []);
-          break;
-
-        case 'calculated':
-          value = generator.getCalculatedValue(mapping.generator, mapping.args || []);
-          break;
+      // Conditional gate - leave blank, or write the alternate value, when closed
+      const gate = mapping.conditional !== undefined
+        ? evaluateCondition(mapping.conditional, data)
+        : null;
 
-        case 'ai':
-          value = await generator.getAIValue(fieldName, mapping.prompt, mapping.category);
-          break;
+      if (gate && !gate.open) {
+        const action = mapping.otherwise === undefined ? 'blank' : 'alternate';
+        conditionalFields.push({ name: fieldName, condition: gate.label, reason: gate.reason, action });
 
-        case 'static':
-          value = mapping.value;
-          break;
-
-        case 'checkbox':
-          value = generator.getCheckboxValue(fieldName, mapping.probability);
-          break;
-
-        case 'checkbox-multi':
-          // Multi-option checkbox - get specific value from generator
-          value = generator.getCalculatedValue(mapping.generator, mapping.args || []);
-          break;
-
-        default:
-          skippedFields.push({ name: fieldName, reason: `Unknown mapping type: ${mapping.type}` });
+        if (action === 'blank') {
+          skippedFields.push({ name: fieldName, reason: `Condition not met: ${gate.reason}` });
           continue;
+        }
+        value = mapping.otherwise;
+      } else {
+        switch (mapping.type) {
+          case 'faker':
+            value = generator.getFakerValue(mapping.method, mapping.args || [], fieldName);
+            break;
+
+          case 'calculated':
+            value = generator.getCalculatedValue(mapping.generator, mapping.args || []);
+            break;
+
+          case 'ai':
+            value = await generator.getAIValue(fieldName, mapping.prompt, mapping.category);
+            break;
+
+          case 'static':
+            value = mapping.value;
+            break;
+
+          case 'checkbox':
+            value = generator.getCheckboxValue(fieldName, mapping.probability, mapping.state);
+            break;
+
+          case 'checkbox-multi':
+            // Multi-option checkbox - get specific value from generator
+            value = generator.getCalculatedValue(mapping.generator, mapping.args || []);
+            break;
+
+          case 'overlay':
+            value = overlayFieldValue(mapping, formDef.overlays.find(o => o.name === mapping.overlay), coordinateContext);
+            break;
+
+          default:
+            skippedFields.push({ name: fieldName, reason: `Unknown mapping type: ${mapping.type}` });
+            continue;
+        }
       }
 
       // Apply value to field
       if (fieldType === 'PDFTextField') {
-        const textField = form.getTextField(fieldName);
-        if (value !== undefined && value !== null && value !== '') {
-          textField.setText(String(value));
-          filledFields.push({ name: fieldName, value: String(value).substring(0, 50), type: mapping.type });
+        const textField = field;
+        const text = [carried[fieldName], value]
+          .filter(v => v !== undefined && v !== null && v !== '')
+          .join(' ');
+        delete carried[fieldName];
+
+        if (text) {
+          const layout = planned.layout;
+          const fit = fitFieldValue(text, layout, {
+            split: Boolean(mapping.continuation),
+            minSize: mapping.minFontSize,
+          });
+
+          if (fit.size !== layout.fontSize) {
+            setTextFieldFontSize(textField, fit.size);
+          }
+          textField.setText(fit.text);
+          filledFields.push({ name: fieldName, value: fit.text, type: mapping.type });
+
+          if (fit.rest) {
+            carried[mapping.continuation] = fit.rest;
+            log(`  ↪ ${fieldName}: continued in ${mapping.continuation}`);
+          }
+          if (!fit.fits) {
+            overflows.push({ name: fieldName, value: text, drawn: fit.text, size: fit.size });
+          }
         }
       } else if (fieldType === 'PDFCheckBox') {
-        const checkBox = form.getCheckBox(fieldName);
-        const onValues = getCheckboxOnValues(checkBox, pdfDoc);
+        const checkBox = field;
+        const onValues = planned.onValues;
 
         if (mapping.type === 'checkbox-multi') {
           // Multi-option checkbox with explicit value selection
@@ -189,12 +318,12 @@ async function fillForm(runId, options = {}) {
             setMultiWidgetCheckboxValue(checkBox, pdfDoc, targetValue, onValues);
             filledFields.push({ name: fieldName, value: targetValue, type: 'checkbox-multi' });
           }
-        } else if (isYesNoCheckbox(onValues)) {
+        } else if (planned.checkbox === 'yesno') {
           // Yes/No checkbox pair - convert boolean to Yes/No
           const targetValue = value ? 'Yes' : 'No';
           setMultiWidgetCheckboxValue(checkBox, pdfDoc, targetValue, onValues);
           filledFields.push({ name: fieldName, value: targetValue, type: 'checkbox-yesno' });
-        } else if (isMultiWidgetCheckbox(onValues)) {
+        } else if (planned.checkbox === 'multi') {
           // Other multi-widget checkbox - need explicit value from mapping
           // If boolean true, use first on-value; if false, use 'Off'
           if (value === true && onValues.length > 0) {
@@ -218,13 +347,13 @@ async function fillForm(runId, options = {}) {
           filledFields.push({ name: fieldName, value: value ? 'checked' : 'unchecked', type: 'checkbox' });
         }
       } else if (fieldType === 'PDFDropdown') {
-        const dropdown = form.getDropdown(fieldName);
+        const dropdown = field;
         if (value) {
           dropdown.select(value);
           filledFields.push({ name: fieldName, value, type: 'dropdown' });
         }
       } else if (fieldType === 'PDFRadioGroup') {
-        const radioGroup = form.getRadioGroup(fieldName);
+        const radioGroup = field;
         if (value) {
           radioGroup.select(value);
           filledFields.push({ name: fieldName, value, type: 'radio' });
@@ -236,127 +365,65 @@ async function fillForm(runId, options = {}) {
     }
   }
 
+  // Carried text whose continuation field was never written (gated, unmapped or missing)
+  Object.entries(carried).forEach(([continuation, rest]) => {
+    overflows.push({ name: continuation, value: rest, drawn: '', size: null, reason: 'continuation field not written' });
+  });
+
   // ===========================================
-  // PART B - COORDINATE FILLING (Health Care Provider)
+  // COORDINATE OVERLAYS (e.g. DB-450 Part B - Health Care Provider)
   // ===========================================
-  
-  // Generate Part B specific medical data if AI is enabled
-  let medicalDetails = {
-    diagnosisAnalysis: 'Acute Back Pain (Simulated)',
-    symptoms: 'Pain in lower back, limited mobility',
-    objectiveFindings: 'Muscle spasms observed',
-    icdCode: 'M54.5'
-  };
 
-  if (options.ai && options.aiCallback && options.aiCallback.generateMedicalDetails) {
-    try {
-      log('Generating Part B medical details via AI...');
-      const aiDetails = await options.aiCallback.generateMedicalDetails({
-        claimant: data.claimant,
-        medical: { 
-          condition: data.disability?.description1 || 'Back Injury', // Use generated description as context
-          fullDescription: `${data.disability?.description1} ${data.disability?.description2}`
-        }
-      });
-      medicalDetails = { ...medicalDetails, ...aiDetails };
-      
-      // Merge into main data object for reporting/usage
-      data.medical = { ...data.medical, ...medicalDetails };
-    } catch (err) {
-      console.warn('Failed to generate Part B AI details:', err.message);
+  const pages = pdfDoc.getPages();
+  const font = plan.drawnOverlays.length > 0 ? await pdfDoc.embedFont(StandardFonts.Helvetica) : null;
+
+  for (const { name, pageIndex } of plan.drawnOverlays) {
+    const overlay = formDef.overlays.find(o => o.name === name);
+    const fontSize = overlay.fontSize || 10;
+
+    if (pageIndex === null) {
+      console.warn(`Warning: PDF has no page ${resolvePageIndex(formDef, overlay.page) + 1}. Skipping ${overlay.name} coordinate filling.`);
+      continue;
     }
-  }
+    const targetPage = pages[pageIndex];
 
-  // Prepare data context for coordinate mapping lookup
-  const coordinateContext = {
-    claimant: data.claimant,
-    medical: { 
-      ...data.medical, // inherited from data-generator if any
-      ...medicalDetails,
-      hospitalized: false,
-      surgery: false,
-      workRelated: false,
-      firstTreatment: new Date(Date.now() - 86400000 * 10), // 10 days ago
-      recentTreatment: new Date(),
-    },
-    dates: data.dates,
-    medicalProvider: data.medicalProvider || { role: 'Physician' } // Fallback if old data format
-  };
+    log(`\nProcessing ${overlay.name} on Page ${pageIndex + 1}...`);
 
-  const pages = pdfDoc.getPages();
-  const targetPage = pages[4]; // Page 5 (Index 4) - Part B Health Care Provider
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const fontSize = 10;
-
-  if (targetPage) {
-    log(`\nProcessing Part B (Health Care Provider) on Page 5...`);
-    
-    for (const [key, config] of Object.entries(PartBCoordinates)) {
+    for (const [key, config] of Object.entries(overlay.coordinates)) {
       try {
-        let valueToDraw = null;
-
-        // Resolve value based on source path (e.g., 'claimant.lastName')
-        const getSourceValue = (path) => {
-          return path.split('.').reduce((obj, k) => (obj || {})[k], coordinateContext);
-        };
-
-        if (config.type === 'text') {
-          let val = getSourceValue(config.source);
-          if (val) {
-            val = String(val);
-            if (config.limit && val.length > config.limit) {
-              val = val.substring(0, config.limit);
-            }
-            valueToDraw = val;
-          }
-        } else if (config.type === 'static') {
-          valueToDraw = config.value;
-        } else if (config.type === 'faker') {
-           // We'll just generate it on the fly or reuse generator if exposed
-           // For simplicity, reusing generator instance might require refactoring,
-           // so we'll generate ad-hoc for these specific Part B fields if not in context
-           if (key.includes('phone')) valueToDraw = '212-555-0199';
-           if (key.includes('license number')) valueToDraw = '1234567';
-           if (key.includes('address')) valueToDraw = '123 Medical Plaza, NY';
-           if (key.includes('providers name')) valueToDraw = 'Dr. Jane Smith';
-        } else if (config.type === 'date-now') {
-          const now = new Date();
-          valueToDraw = `${now.getMonth() + 1}/${now.getDate()}/${now.getFullYear()}`;
-        } else if (config.type === 'date-part') {
-          const dateVal = getSourceValue(config.source);
-          if (dateVal) {
-            const d = new Date(dateVal);
-            if (config.part === 'month') valueToDraw = String(d.getMonth() + 1).padStart(2, '0');
-            if (config.part === 'day') valueToDraw = String(d.getDate()).padStart(2, '0');
-            if (config.part === 'year') valueToDraw = String(d.getFullYear());
-          }
-        } else if (config.type === 'check' || config.type === 'boolean-check') {
-           const actualVal = getSourceValue(config.source);
-           if (actualVal === config.value) {
-             valueToDraw = 'X';
-           }
-        }
+        const valueToDraw = resolveCoordinateValue(key, config, coordinateContext);
 
         if (valueToDraw) {
-          targetPage.drawText(String(valueToDraw), {
-            x: config.x,
-            y: config.y,
-            size: fontSize,
-            font: font,
-            color: rgb(0, 0, 0),
+          const fit = drawFittedText(targetPage, valueToDraw, config, { font, size: fontSize });
+          const drawn = fit.lines.join(' ');
+          filledFields.push({
+            name: `[${overlay.name}] ${key}`,
+            value: fit.fits ? valueToDraw : drawn,
+            type: 'coordinate',
+            draw: { page: pageIndex + 1, x: config.x, y: config.y, size: fit.size, lines: fit.lines },
           });
-          filledFields.push({ name: `[Part B] ${key}`, value: valueToDraw, type: 'coordinate' });
+
+          if (!fit.fits) {
+            log(`  ⚠️  ${key}: text does not fit its box at ${fit.size}pt (cut to "${drawn}")`);
+            overflows.push({
+              name: `[${overlay.name}] ${key}`,
+              value: String(valueToDraw),
+              drawn,
+              size: fit.size,
+            });
+          }
         }
 
       } catch (err) {
-        console.warn(`Error filling Part B field ${key}: ${err.message}`);
-        errors.push({ name: `Part B - ${key}`, error: err.message });
+        console.warn(`Error filling ${overlay.name} field ${key}: ${err.message}`);
+        errors.push({ name: `${overlay.name} - ${key}`, error: err.message });
       }
     }
-  } else {
-    console.warn('Warning: PDF has fewer than 2 pages. Skipping Part B coordinate filling.');
   }
 
+  // Cross-field consistency checks on the data and the values written
+  const violations = validateClaim(data, filledFields, formDef.fieldRules);
+
   // Preview mode - just print values
   if (options.preview) {
     log('\n=== PREVIEW MODE ===\n');
@@ -370,7 +437,7 @@ async function fillForm(runId, options = {}) {
 
     log('\n=== Filled Fields ===\n');
     filledFields.forEach(f => {
-      log(`  [${f.type}] ${f.name}: ${f.value}`);
+      log(`  [${f.type}] ${f.name}: ${String(f.value).substring(0, 50)}`);
     });
 
     if (skippedFields.length > 0) {
@@ -387,7 +454,21 @@ async function fillForm(runId, options = {}) {
       });
     }
 
-    return { data, filledFields, skippedFields, errors };
+    if (overflows.length > 0) {
+      log('\n=== Overflow Warnings ===\n');
+      overflows.forEach(o => {
+        log(`  ${o.name}: cut to ${o.size}pt "${o.drawn}"`);
+      });
+    }
+
+    if (violations.length > 0) {
+      log('\n=== Consistency Violations ===\n');
+      violations.forEach(v => {
+        log(`  [${v.rule}] ${v.message}`);
+      });
+    }
+
+    return { data, filledFields, skippedFields, conditionalFields, errors, overflows, violations };
   }
 
   // Flatten form if requested
@@ -410,12 +491,15 @@ async function fillForm(runId, options = {}) {
   log(`  Fields filled: ${filledFields.length}`);
   log(`  Fields skipped: ${skippedFields.length}`);
   log(`  Errors: ${errors.length}`);
+  log(`  Overflow warnings: ${overflows.length}`);
+  log(`  Consistency violations: ${violations.length}`);
   log(`\n  Output saved to: ${outputPath}`);
 
   // Save a report
   const reportPath = path.join(outputDir, `${runId}-report.json`);
   fs.writeFileSync(reportPath, JSON.stringify({
     runId,
+    form: formDef.id,
     generatedAt: new Date().toISOString(),
     claimant: data.claimant.fullName,
     employer: data.employer.name,
@@ -423,11 +507,23 @@ async function fillForm(runId, options = {}) {
     skippedFields: skippedFields.length,
     errors: errors.length,
     outputPath,
+    // How the form was filled, so a refill (claim-editor.js) fills it the same way
+    fillOptions: {
+      input: options.input || null,
+      injectFields: Boolean(options.injectFields),
+      flatten: Boolean(options.flatten),
+      allowTemplateMismatch: Boolean(options.allowTemplateMismatch),
+    },
+    filledDetails: filledFields,
+    skippedDetails: skippedFields,
+    conditionalFields,
+    overflows,
+    violations,
   }, null, 2));
 
   log(`  Report saved to: ${reportPath}\n`);
 
-  return { data, filledFields, skippedFields, errors, outputPath };
+  return { data, filledFields, skippedFields, conditionalFields, errors, overflows, violations, outputPath };
 }
 
 // CLI interface
@@ -435,6 +531,8 @@ async function main() {
   const args = process.argv.slice(2);
 
   if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    const formIds = listForms().map(f => f.id).join(', ');
+    const scenarioNames = Object.keys(Scenarios).join(', ');
     console.log(`
 NY DBL Form Filler
 
@@ -446,6 +544,19 @@ Arguments:
 
 Options:
   --output, -o <path>  Output PDF path (default: ./output/<run-id>.pdf)
+  --form <id>          Form to fill (default: ${DEFAULT_FORM_ID}; registered: ${formIds})
+  --scenario <names>   Scenario profile(s) for new runs, comma-separated
+                       (${scenarioNames})
+  --data-source <file> Fill from the CSV/JSON record with this run-id; missing values use faker
+  --columns <file>     Column mapping (JSON) for --data-source
+  --input <pdf>        Template to fill (default: the form's template), e.g. one
+                       saved by overlay-fields.js with Part B fields
+  --inject-fields      Add AcroForm fields for coordinate overlays (Part B) and fill
+                       them instead of drawing static text
+  --no-plan-cache      Compile the fill plan without reading or writing .cache/fill-plans
+  --allow-template-mismatch
+                       Fill even if the template's fields or pages differ from the
+                       form's recorded fingerprint (a warning instead of an error)
   --ai                 Enable AI generation for descriptions (requires callback)
   --flatten            Flatten form after filling
   --preview            Preview field values without creating PDF
@@ -455,6 +566,10 @@ Examples:
   node fill-form.js claim-001
   node fill-form.js claim-002 --preview
   node fill-form.js claim-003 --output ./filled-forms/claim-003.pdf --flatten
+  node fill-form.js claim-004 --form db-450
+  node fill-form.js claim-005 --scenario recovered,union
+  node fill-form.js persona-001 --data-source personas.csv --columns columns.json
+  node fill-form.js claim-006 --inject-fields
     `);
     process.exit(0);
   }
@@ -464,6 +579,9 @@ Examples:
     preview: args.includes('--preview'),
     flatten: args.includes('--flatten'),
     ai: args.includes('--ai'),
+    injectFields: args.includes('--inject-fields'),
+    planCache: !args.includes('--no-plan-cache'),
+    allowTemplateMismatch: args.includes('--allow-template-mismatch'),
   };
 
   // Parse output path
@@ -472,6 +590,31 @@ Examples:
     options.output = args[outputIndex + 1];
   }
 
+  const inputIndex = args.indexOf('--input');
+  if (inputIndex !== -1 && args[inputIndex + 1]) {
+    options.input = args[inputIndex + 1];
+  }
+
+  const formIndex = args.indexOf('--form');
+  if (formIndex !== -1 && args[formIndex + 1]) {
+    options.form = args[formIndex + 1];
+  }
+
+  const scenarioIndex = args.indexOf('--scenario');
+  if (scenarioIndex !== -1 && args[scenarioIndex + 1]) {
+    options.scenario = args[scenarioIndex + 1];
+  }
+
+  const dataSourceIndex = args.indexOf('--data-source');
+  if (dataSourceIndex !== -1 && args[dataSourceIndex + 1]) {
+    options.dataSource = args[dataSourceIndex + 1];
+  }
+
+  const columnsIndex = args.indexOf('--columns');
+  if (columnsIndex !== -1 && args[columnsIndex + 1]) {
+    options.columns = args[columnsIndex + 1];
+  }
+
   try {
     await fillForm(runId, options);
   } catch (err) {
@@ -481,7 +624,7 @@ Examples:
 }
 
 // Export for programmatic use
-module.exports = { fillForm };
+module.exports = { fillForm, getCheckboxOnValues, isYesNoCheckbox, DefaultMedicalDetails };
 
 // Run CLI if executed directly
 if (require.main === module) {
@@ -0,0 +1,391 @@
+/**
+ * Compiled Fill Plans
+ *
+ * Everything fillForm needs to know about a template that does not depend on
+ * the claim: which fields exist and in what order (continuations last), which
+ * are mapped, each text field's layout (rectangle, DA font and size, MaxLen),
+ * each checkbox's widget on-values and kind (yes/no pair, multi-widget,
+ * single), which overlays have injected fields, the pages the others are
+ * drawn on, and the template's fingerprint (see template-fingerprint.js).
+ *
+ * A plan is compiled once per template + form definition and cached:
+ *   - in memory, with the template bytes each fill loads its copy from
+ *   - on disk in .cache/fill-plans/, keyed by a fingerprint of the template
+ *     bytes, the mappings and overlays, so later processes (batch workers,
+ *     the server) skip compiling too
+ *
+ * With --inject-fields the augmented template (overlay fields added) is
+ * cached next to the plan, so fields are injected once rather than per fill.
+ * Any change to the template, mappings or overlays changes the fingerprint
+ * and the plan is recompiled.
+ *
+ * Usage:
+ *   node fill-plan.js [options]
+ *
+ * Options:
+ *   --form <id>          Registered form (default: db-450)
+ *   --input <pdf>        Template to compile (default: the form's template)
+ *   --inject-fields      Compile for the template with overlay fields injected
+ *   --clear              Delete every cached plan
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { getForm, resolvePageIndex } = require('./form-registry');
+const { getTextFieldLayout } = require('./pdf-fields');
+const { overlayFieldMappings, hasOverlayFields, injectOverlayFields } = require('./overlay-fields');
+const { fingerprintTemplate } = require('./template-fingerprint');
+
+// Bump when the plan layout or what is compiled into it changes
+const PLAN_VERSION = 2;
+const CACHE_DIR = path.join(__dirname, '.cache', 'fill-plans');
+
+const compiled = new Map(); // cache key -> { stamp, plan, mappings, bytes }
+
+// ===========================================
+// CHECKBOXES
+// ===========================================
+
+/**
+ * Get the on-values for each widget in a checkbox field.
+ * Returns an array of { widget: index, value: string } for each non-Off appearance state.
+ * Used to detect yes/no checkbox pairs.
+ */
+function getCheckboxOnValues(checkBox, pdfDoc) {
+  const acroField = checkBox.acroField;
+  const widgets = acroField.getWidgets();
+  const onValues = [];
+
+  widgets.forEach((widget, i) => {
+    const ap = widget.dict.get(PDFName.of('AP'));
+    if (ap) {
+      const apDict = pdfDoc.context.lookup(ap);
+      const normal = apDict?.get(PDFName.of('N'));
+      if (normal) {
+        const normalDict = pdfDoc.context.lookup(normal);
+        if (normalDict) {
+          normalDict.entries().forEach(([k]) => {
+            const keyStr = k.toString();
+            if (keyStr !== '/Off') {
+              onValues.push({ widget: i, value: keyStr.slice(1) }); // Remove leading /
+            }
+          });
+        }
+      }
+    }
+  });
+
+  return onValues;
+}
+
+/**
+ * Check if a checkbox is a yes/no pair (has separate Yes and No widgets).
+ */
+function isYesNoCheckbox(onValues) {
+  const hasYes = onValues.some(v => v.value === 'Yes');
+  const hasNo = onValues.some(v => v.value === 'No');
+  return hasYes && hasNo;
+}
+
+/**
+ * Check if a checkbox is a multi-widget checkbox (more than one distinct on-value).
+ */
+function isMultiWidgetCheckbox(onValues) {
+  return onValues.length > 1;
+}
+
+function checkboxKind(onValues) {
+  if (isYesNoCheckbox(onValues)) return 'yesno';
+  if (isMultiWidgetCheckbox(onValues)) return 'multi';
+  return 'single';
+}
+
+// ===========================================
+// COMPILING
+// ===========================================
+
+/**
+ * Order fields so each continuation field comes after the field it continues
+ * (mapping `continuation`), keeping the document order otherwise.
+ */
+function orderForContinuations(fields, mappings) {
+  const continues = {};
+  Object.entries(mappings).forEach(([name, mapping]) => {
+    if (mapping.continuation) continues[mapping.continuation] = name;
+  });
+
+  const depth = name => {
+    let d = 0;
+    for (let n = name; continues[n] && d < fields.length; n = continues[n]) d++;
+    return d;
+  };
+
+  return fields
+    .map((field, index) => ({ field, index, depth: depth(field.getName()) }))
+    .sort((a, b) => a.depth - b.depth || a.index - b.index)
+    .map(entry => entry.field);
+}
+
+// Merged mappings: the form's, plus one per injected overlay field
+function planMappings(formDef, fieldOverlays) {
+  const mappings = { ...formDef.mappings };
+  formDef.overlays
+    .filter(overlay => fieldOverlays.includes(overlay.name))
+    .forEach(overlay => Object.assign(mappings, overlayFieldMappings(overlay)));
+  return mappings;
+}
+
+/**
+ * Compile the fill plan for a loaded template (overlay fields already injected
+ * when wanted).
+ *
+ * @param {PDFDocument} pdfDoc - Loaded template
+ * @param {Object} formDef - Registered form definition
+ * @returns {{ plan: Object, mappings: Object }}
+ */
+function compilePlan(pdfDoc, formDef) {
+  const form = pdfDoc.getForm();
+  const fieldOverlays = formDef.overlays
+    .filter(overlay => hasOverlayFields(form, overlay))
+    .map(overlay => overlay.name);
+  const mappings = planMappings(formDef, fieldOverlays);
+
+  const fields = orderForContinuations(form.getFields(), mappings).map(field => {
+    const name = field.getName();
+    const entry = { name, type: field.constructor.name, mapped: Boolean(mappings[name]) };
+
+    if (!entry.mapped) return entry;
+
+    if (entry.type === 'PDFTextField') {
+      const { font, ...layout } = getTextFieldLayout(field);
+      entry.layout = layout;
+    } else if (entry.type === 'PDFCheckBox') {
+      entry.onValues = getCheckboxOnValues(field, pdfDoc);
+      entry.checkbox = checkboxKind(entry.onValues);
+    }
+    return entry;
+  });
+
+  const pageCount = pdfDoc.getPageCount();
+  const drawnOverlays = formDef.overlays
+    .filter(overlay => !fieldOverlays.includes(overlay.name))
+    .map(overlay => {
+      const pageIndex = resolvePageIndex(formDef, overlay.page);
+      return { name: overlay.name, pageIndex: pageIndex < pageCount ? pageIndex : null };
+    });
+
+  return {
+    plan: { version: PLAN_VERSION, form: formDef.id, fields, fieldOverlays, drawnOverlays },
+    mappings,
+  };
+}
+
+// ===========================================
+// CACHING
+// ===========================================
+
+// Functions in definitions (if any) are fingerprinted by their source
+function definitionReplacer(key, value) {
+  return typeof value === 'function' ? value.toString() : value;
+}
+
+function fingerprint(templateBytes, formDef, injectFields) {
+  return crypto.createHash('sha256')
+    .update(String(PLAN_VERSION))
+    .update(templateBytes)
+    .update(JSON.stringify({
+      mappings: formDef.mappings,
+      overlays: formDef.overlays,
+      pages: formDef.pages,
+      injectFields,
+    }, definitionReplacer))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function cachePaths(formDef, pdfPath, injectFields) {
+  const name = `${formDef.id}-${path.basename(pdfPath, '.pdf')}${injectFields ? '-fields' : ''}`;
+  return {
+    plan: path.join(CACHE_DIR, `${name}.json`),
+    template: path.join(CACHE_DIR, `${name}.pdf`),
+  };
+}
+
+// Write via a temp file so parallel workers never read a partial file
+function writeAtomic(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(temp, contents);
+  fs.renameSync(temp, file);
+}
+
+function readCachedPlan(paths, expected, injectFields) {
+  if (!fs.existsSync(paths.plan)) return null;
+  try {
+    const cached = JSON.parse(fs.readFileSync(paths.plan, 'utf-8'));
+    if (cached.fingerprint !== expected || cached.plan.version !== PLAN_VERSION) return null;
+    if (injectFields && !fs.existsSync(paths.template)) return null;
+    return cached.plan;
+  } catch (err) {
+    return null; // unreadable cache is recompiled
+  }
+}
+
+/**
+ * Get the fill plan for a form's template, compiling it on first use.
+ *
+ * @param {Object} formDef - Registered form definition
+ * @param {Object} options
+ * @param {string} options.input - Template to fill (default: the form's template)
+ * @param {boolean} options.injectFields - Inject overlay fields into the template
+ * @param {boolean} options.cache - Use the on-disk cache (default: true)
+ * @returns {Promise<{ plan, mappings, bytes, source: 'memory'|'disk'|'compiled' }>}
+ *   bytes is the (augmented) template each fill loads its own copy from
+ */
+async function getFillPlan(formDef, options = {}) {
+  const pdfPath = options.input || formDef.template;
+  const injectFields = Boolean(options.injectFields);
+  if (!fs.existsSync(pdfPath)) {
+    throw new Error(`PDF not found: ${pdfPath}`);
+  }
+
+  const key = `${formDef.id}|${path.resolve(pdfPath)}|${injectFields}`;
+  const stat = fs.statSync(pdfPath);
+  const stamp = `${stat.size}:${stat.mtimeMs}`;
+  const memo = compiled.get(key);
+  if (memo && memo.stamp === stamp && memo.definition === formDef) {
+    return { ...memo.entry, source: 'memory' };
+  }
+
+  const templateBytes = fs.readFileSync(pdfPath);
+  const expected = fingerprint(templateBytes, formDef, injectFields);
+  const paths = cachePaths(formDef, pdfPath, injectFields);
+  const useDisk = options.cache !== false;
+
+  let entry = null;
+  const cachedPlan = useDisk ? readCachedPlan(paths, expected, injectFields) : null;
+  if (cachedPlan) {
+    entry = {
+      plan: cachedPlan,
+      mappings: planMappings(formDef, cachedPlan.fieldOverlays),
+      bytes: injectFields ? fs.readFileSync(paths.template) : templateBytes,
+      source: 'disk',
+    };
+  } else {
+    const pdfDoc = await PDFDocument.load(templateBytes);
+    const templateFingerprint = fingerprintTemplate(pdfDoc, templateBytes, formDef);
+    let bytes = templateBytes;
+    if (injectFields) {
+      injectOverlayFields(pdfDoc, formDef);
+      bytes = Buffer.from(await pdfDoc.save());
+    }
+    const { plan, mappings } = compilePlan(pdfDoc, formDef);
+    plan.template = templateFingerprint;
+    entry = { plan, mappings, bytes, source: 'compiled' };
+
+    if (useDisk) {
+      if (injectFields) writeAtomic(paths.template, bytes);
+      writeAtomic(paths.plan, JSON.stringify({ fingerprint: expected, template: pdfPath, plan }, null, 2));
+    }
+  }
+
+  compiled.set(key, { stamp, definition: formDef, entry });
+  return entry;
+}
+
+/**
+ * Delete every cached plan (memory and disk).
+ *
+ * @returns {number} Number of files removed
+ */
+function clearFillPlans() {
+  compiled.clear();
+  if (!fs.existsSync(CACHE_DIR)) return 0;
+  const files = fs.readdirSync(CACHE_DIR);
+  files.forEach(file => fs.unlinkSync(path.join(CACHE_DIR, file)));
+  return files.length;
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Compiled Fill Plans
+
+Compiles the per-template fill plan used by fill-form.js (field order and
+types, text field layouts, checkbox on-values, overlay pages) and caches it
+in .cache/fill-plans/. Fills compile it on demand; run this to warm the cache
+or to clear it.
+
+Usage:
+  node fill-plan.js [options]
+
+Options:
+  --form <id>          Registered form (default: db-450)
+  --input <pdf>        Template to compile (default: the form's template)
+  --inject-fields      Compile for the template with overlay fields injected
+  --clear              Delete every cached plan
+
+Examples:
+  node fill-plan.js
+  node fill-plan.js --inject-fields
+  node fill-plan.js --clear
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  try {
+    if (args.includes('--clear')) {
+      const removed = clearFillPlans();
+      console.log(`✅ Removed ${removed} cached file(s) from ${CACHE_DIR}`);
+      return;
+    }
+
+    const formDef = getForm(getFlag('--form'));
+    const injectFields = args.includes('--inject-fields');
+    const started = Date.now();
+    const { plan, source } = await getFillPlan(formDef, { input: getFlag('--input'), injectFields });
+
+    const mapped = plan.fields.filter(f => f.mapped);
+    const byType = {};
+    mapped.forEach(f => { byType[f.type] = (byType[f.type] || 0) + 1; });
+
+    console.log(`\nFill plan: ${formDef.id} (${source === 'compiled' ? 'compiled' : 'cached'} in ${Date.now() - started}ms)`);
+    console.log(`  Fields: ${plan.fields.length} (${mapped.length} mapped)`);
+    Object.entries(byType).forEach(([type, n]) => console.log(`    ${type}: ${n}`));
+    if (plan.fieldOverlays.length > 0) {
+      console.log(`  Overlays as fields: ${plan.fieldOverlays.join(', ')}`);
+    }
+    plan.drawnOverlays.forEach(o => {
+      console.log(`  Overlay drawn: ${o.name} on ${o.pageIndex === null ? 'missing page' : `page ${o.pageIndex + 1}`}`);
+    });
+    console.log(`\n✅ Cached in ${path.relative(process.cwd(), CACHE_DIR) || CACHE_DIR}`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  PLAN_VERSION,
+  getFillPlan,
+  compilePlan,
+  clearFillPlans,
+  orderForContinuations,
+  getCheckboxOnValues,
+  isYesNoCheckbox,
+  isMultiWidgetCheckbox,
+};
+
+if (require.main === module) {
+  main();
+}
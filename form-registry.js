@@ -0,0 +1,160 @@
+/**
+ * Form Registry
+ *
+ * Each form definition bundles what the filler needs for one template:
+ * the template PDF, its AcroForm field mappings, coordinate overlays for
+ * sections without fields, and a page map naming the template's pages.
+ *
+ * Definition shape:
+ *   {
+ *     id: 'db-450',
+ *     title: 'Claim for Disability Benefits',
+ *     template: '/path/to/template.pdf',
+ *     mappings: { '<pdf field name>': { type, ... } },
+ *     pages: { partA: 3, partB: 4 },
+ *     overlays: [{ name: 'Part B', page: 'partB', coordinates: {...}, fontSize: 10 }],
+ *     fieldRules: [...],  // consistency rules on written values (claim-validator.js)
+ *     fingerprint: { sha256, pageCount, fieldCount, fields },  // the template the
+ *                         // mappings were written for (template-fingerprint.js)
+ *   }
+ *
+ * A definition may set `extends: '<id>'` to inherit from a registered form,
+ * e.g. a carrier-branded DB-450 that only swaps the template and a few
+ * mappings. Mappings and pages are merged; other keys replace the parent's.
+ * A child that swaps the template without its own fingerprint has none, so
+ * the parent's fingerprint is not checked against the other template.
+ *
+ * Additional definitions are loaded from ./forms/*.js (each module exports a
+ * definition or an array of definitions).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FieldMappings } = require('./field-mapping');
+const { PartBCoordinates } = require('./part-b-fields');
+const { FieldRules } = require('./claim-validator');
+
+const DEFAULT_FORM_ID = 'db-450';
+const FORMS_DIR = path.join(__dirname, 'forms');
+
+const registry = new Map();
+let formsDirLoaded = false;
+
+function registerForm(definition) {
+  if (!definition || !definition.id) {
+    throw new Error('Form definition requires an id');
+  }
+
+  let resolved = { ...definition };
+
+  if (definition.extends) {
+    const parent = registry.get(definition.extends);
+    if (!parent) {
+      throw new Error(`Form ${definition.id} extends unknown form: ${definition.extends}`);
+    }
+    resolved = {
+      ...parent,
+      ...definition,
+      mappings: { ...parent.mappings, ...(definition.mappings || {}) },
+      pages: { ...parent.pages, ...(definition.pages || {}) },
+    };
+    if (definition.template && definition.template !== parent.template && !definition.fingerprint) {
+      delete resolved.fingerprint;
+    }
+  }
+
+  if (!resolved.template) {
+    throw new Error(`Form ${definition.id} has no template`);
+  }
+
+  registry.set(resolved.id, {
+    title: resolved.id,
+    mappings: {},
+    pages: {},
+    overlays: [],
+    fieldRules: [],
+    ...resolved,
+  });
+
+  return registry.get(resolved.id);
+}
+
+// Load user-provided form definitions from ./forms once
+function loadFormsDirectory(dir = FORMS_DIR) {
+  if (formsDirLoaded) return;
+  formsDirLoaded = true;
+
+  if (!fs.existsSync(dir)) return;
+
+  fs.readdirSync(dir)
+    .filter(f => f.endsWith('.js'))
+    .sort()
+    .forEach(f => {
+      const exported = require(path.join(dir, f));
+      const definitions = Array.isArray(exported) ? exported : [exported];
+      definitions.forEach(registerForm);
+    });
+}
+
+function getForm(id = DEFAULT_FORM_ID) {
+  loadFormsDirectory();
+
+  const form = registry.get(id);
+  if (!form) {
+    throw new Error(`Unknown form: ${id} (registered: ${[...registry.keys()].join(', ')})`);
+  }
+  return form;
+}
+
+function listForms() {
+  loadFormsDirectory();
+  return [...registry.values()];
+}
+
+/**
+ * Resolve an overlay/page reference (page-map name or 0-based index) to a page index.
+ */
+function resolvePageIndex(form, page) {
+  if (typeof page === 'number') return page;
+  if (form.pages[page] === undefined) {
+    throw new Error(`Form ${form.id} has no page named: ${page}`);
+  }
+  return form.pages[page];
+}
+
+// ===========================================
+// BUILT-IN FORMS
+// ===========================================
+
+registerForm({
+  id: 'db-450',
+  title: 'NY DBL Claim for Disability Benefits (DB-450)',
+  template: path.join(__dirname, 'DBLNYC84.pdf'),
+  mappings: FieldMappings,
+  pages: {
+    partA: 3,
+    partB: 4, // Part A items 13-15 share this page with Part B
+    partC: 5,
+    employerSignature: 6,
+    supplement: 7,
+    directDeposit: 8,
+  },
+  overlays: [
+    { name: 'Part B', page: 'partB', coordinates: PartBCoordinates, fontSize: 10 },
+  ],
+  fieldRules: FieldRules,
+  fingerprint: {
+    sha256: '029078df48e2f80a',
+    pageCount: 9,
+    fieldCount: 181,
+    fields: '32ce4ab324561eed',
+  },
+});
+
+module.exports = {
+  DEFAULT_FORM_ID,
+  registerForm,
+  getForm,
+  listForms,
+  resolvePageIndex,
+};
@@ -0,0 +1,203 @@
+/**
+ * Batch Ground Truth
+ *
+ * Records every value a batch actually wrote, for scoring document-intake and
+ * OCR systems against the filled forms. One row per claim with:
+ *
+ *   runId, outputPath, success
+ *   fields   PDF field name -> value written (text as fitted, checkbox states,
+ *            radio options, Part B overlay values)
+ *   data     Semantic data path -> value (e.g. claimant.lastName,
+ *            dates.disabilityStart#month, checkboxes.unionMember)
+ *
+ * Part B overlay entries are keyed by the field name they get when injected
+ * (see overlay-fields.js), whether they were drawn or filled as fields.
+ * Values without a data path (static text, faker-only values) appear under
+ * fields only. When several fields write the same path, the first one wins.
+ *
+ * Written as:
+ *   <base>.jsonl   One JSON object per claim ({ runId, outputPath, success, fields, data })
+ *   <base>.csv     One row per claim; columns runId, outputPath, success, then
+ *                  "field:<name>" and "data:<path>" for every value in the batch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getForm } = require('./form-registry');
+const { getBinding } = require('./extract-data');
+const { overlayFieldMappings } = require('./overlay-fields');
+
+// ===========================================
+// SEMANTIC PATHS
+// ===========================================
+
+function overlayFieldName(overlay, key, config) {
+  return config.field || `${overlay.name} - ${key}`;
+}
+
+function isChoice(config) {
+  return config.type === 'check' || config.type === 'boolean-check';
+}
+
+// Option a checkbox entry selects in its radio group (see overlay-fields.js)
+function choiceOption(config) {
+  if (config.type === 'boolean-check') return config.value ? 'Yes' : 'No';
+  return String(config.value);
+}
+
+// Data paths for an overlay entry's written value
+function overlayEntryData(config, value) {
+  if (!config.source) return {};
+  if (config.type === 'date-part') return { [`${config.source}#${config.part}`]: value };
+  if (isChoice(config)) return { [config.source]: config.value };
+  return { [config.source]: value };
+}
+
+// Written checkbox state -> boolean (multi-option values are kept as written)
+function checkboxState(value) {
+  if (value === 'Yes' || value === 'checked') return true;
+  if (value === 'No' || value === 'unchecked') return false;
+  return value;
+}
+
+// Data paths for an AcroForm field's written value, via extract-data's bindings
+function mappedFieldData(fieldName, mapping, value) {
+  const binding = getBinding(fieldName, mapping);
+  if (!binding) return {};
+
+  if (binding.decode) return binding.decode(String(value));
+  if (binding.checkbox) return { [`checkboxes.${binding.checkbox}`]: checkboxState(value) };
+  if (binding.date) return { [binding.part ? `${binding.date}#${binding.part}` : binding.date]: value };
+  if (binding.path) return { [binding.path]: mapping.type === 'checkbox' ? checkboxState(value) : value };
+  return {};
+}
+
+/**
+ * Index a form's written field names (filledFields `name`) to the PDF field
+ * name and data paths they stand for.
+ *
+ * Drawn checkbox marks are reported as the option they select, as when the
+ * overlay is filled through injected radio groups.
+ *
+ * @returns {Function} (filledField) => { field, value, data }
+ */
+function createResolver(formDef) {
+  const drawn = new Map();    // "[Part B] key" -> { overlay, key, config }
+  const injected = new Map(); // "Part B 1 - Last Name" -> { overlay, keys }
+
+  formDef.overlays.forEach(overlay => {
+    Object.entries(overlay.coordinates).forEach(([key, config]) => {
+      if (config.type) drawn.set(`[${overlay.name}] ${key}`, { overlay, key, config });
+    });
+    Object.entries(overlayFieldMappings(overlay)).forEach(([name, mapping]) => {
+      injected.set(name, { overlay, keys: mapping.keys });
+    });
+  });
+
+  return (filled) => {
+    const entry = drawn.get(filled.name);
+    if (entry) {
+      return {
+        field: overlayFieldName(entry.overlay, entry.key, entry.config),
+        value: isChoice(entry.config) ? choiceOption(entry.config) : filled.value,
+        data: overlayEntryData(entry.config, filled.value),
+      };
+    }
+
+    const overlayField = injected.get(filled.name);
+    if (overlayField) {
+      // Radio groups: the selected option identifies the entry
+      const configs = overlayField.keys.map(key => overlayField.overlay.coordinates[key]);
+      const config = configs.length === 1 ? configs[0] : configs.find(c => choiceOption(c) === filled.value);
+      return { field: filled.name, value: filled.value, data: config ? overlayEntryData(config, filled.value) : {} };
+    }
+
+    const mapping = formDef.mappings[filled.name];
+    return {
+      field: filled.name,
+      value: filled.value,
+      data: mapping ? mappedFieldData(filled.name, mapping, filled.value) : {},
+    };
+  };
+}
+
+// ===========================================
+// ROWS
+// ===========================================
+
+/**
+ * Ground-truth row for one batch result (needs its filledFields).
+ */
+function groundTruthRow(result, resolve) {
+  const fields = {};
+  const data = {};
+
+  (result.filledFields || []).forEach(filled => {
+    const resolved = resolve(filled);
+    fields[resolved.field] = resolved.value;
+    Object.entries(resolved.data).forEach(([dataPath, value]) => {
+      if (!(dataPath in data)) data[dataPath] = value;
+    });
+  });
+
+  return { runId: result.runId, outputPath: result.outputPath, success: result.success, fields, data };
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(rows) {
+  const fieldColumns = [];
+  const dataColumns = [];
+  const seen = new Set();
+  rows.forEach(row => {
+    Object.keys(row.fields).forEach(name => {
+      if (!seen.has(`field:${name}`)) { seen.add(`field:${name}`); fieldColumns.push(name); }
+    });
+    Object.keys(row.data).forEach(dataPath => {
+      if (!seen.has(`data:${dataPath}`)) { seen.add(`data:${dataPath}`); dataColumns.push(dataPath); }
+    });
+  });
+
+  const header = ['runId', 'outputPath', 'success',
+    ...fieldColumns.map(n => `field:${n}`), ...dataColumns.map(p => `data:${p}`)];
+  const lines = rows.map(row => [
+    row.runId, row.outputPath, row.success,
+    ...fieldColumns.map(n => row.fields[n]),
+    ...dataColumns.map(p => row.data[p]),
+  ].map(csvCell).join(','));
+
+  return [header.map(csvCell).join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Write a batch's ground truth as <base>.jsonl and <base>.csv. Claims that
+ * produced no PDF are left out.
+ *
+ * @param {Array} results - batchFill results (with filledFields)
+ * @param {Object} options - { output: base path without extension, form }
+ * @returns {{ jsonl: string, csv: string, rows: number }}
+ */
+function writeGroundTruth(results, options = {}) {
+  const resolve = createResolver(getForm(options.form));
+  const rows = results.filter(r => r.outputPath).map(r => groundTruthRow(r, resolve));
+
+  const base = options.output;
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  const jsonl = `${base}.jsonl`;
+  const csv = `${base}.csv`;
+  fs.writeFileSync(jsonl, rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''));
+  fs.writeFileSync(csv, toCSV(rows));
+
+  return { jsonl, csv, rows: rows.length };
+}
+
+module.exports = {
+  writeGroundTruth,
+  groundTruthRow,
+  createResolver,
+  toCSV,
+};
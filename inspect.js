@@ -0,0 +1,311 @@
+/**
+ * Template Inspector
+ *
+ * Describes every AcroForm field of a template PDF (the DB-450 template, a
+ * revised template, or a fillable template from overlay-fields.js):
+ *
+ *   type                PDFTextField, PDFCheckBox, PDFRadioGroup, ...
+ *   page                0-based page index of the first widget
+ *   widgets             each widget's page, rectangle and on-value
+ *   onValues            checkbox/radio on-values (appearance states other than Off)
+ *   options             dropdown/option list choices
+ *   maxLength           MaxLen of text fields
+ *   flags               field flags (Ff) by name, e.g. Multiline, ReadOnly, Comb
+ *   defaultAppearance   font resource and size from the DA string (size 0 = auto)
+ *   mapping             the mapping the selected form binds to the field, or null
+ *
+ * With --write-form-fields the DB-450 template's fields (all of them, with
+ * the db-450 mappings) are also written to form-fields.json.
+ *
+ * Usage:
+ *   node inspect.js [template.pdf] [options]
+ *
+ * Options:
+ *   --form <id>            Form whose mappings are shown (default: db-450);
+ *                          its template is inspected when no path is given
+ *   --page <n,...>         Only fields on these pages (0-based page index)
+ *   --type <type,...>      Only these field types (text, checkbox, radio, ...)
+ *   --name <pattern>       Only fields whose name matches (case-insensitive regex)
+ *   --json                 Print the fields as JSON
+ *   --write-form-fields    Regenerate form-fields.json (DB-450 template only)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { DEFAULT_FORM_ID, getForm } = require('./form-registry');
+const { parseDefaultAppearance } = require('./pdf-fields');
+
+const FORM_FIELDS_PATH = path.join(__dirname, 'form-fields.json');
+
+// Short names accepted by --type
+const TypeAliases = {
+  text: 'PDFTextField',
+  checkbox: 'PDFCheckBox',
+  radio: 'PDFRadioGroup',
+  dropdown: 'PDFDropdown',
+  list: 'PDFOptionList',
+  button: 'PDFButton',
+  signature: 'PDFSignature',
+};
+
+// Field flag bits (PDF 32000-1, 12.7.3.1 and 12.7.4), by field type
+const COMMON_FLAGS = { ReadOnly: 1, Required: 2, NoExport: 3 };
+const FieldFlags = {
+  PDFTextField: { ...COMMON_FLAGS, Multiline: 13, Password: 14, FileSelect: 21, DoNotSpellCheck: 23, DoNotScroll: 24, Comb: 25, RichText: 26 },
+  PDFCheckBox: { ...COMMON_FLAGS, NoToggleToOff: 15, RadiosInUnison: 26 },
+  PDFRadioGroup: { ...COMMON_FLAGS, NoToggleToOff: 15, Radio: 16, RadiosInUnison: 26 },
+  PDFButton: { ...COMMON_FLAGS, PushButton: 17 },
+  PDFDropdown: { ...COMMON_FLAGS, Combo: 18, Edit: 19, Sort: 20, DoNotSpellCheck: 23, CommitOnSelChange: 27 },
+  PDFOptionList: { ...COMMON_FLAGS, Sort: 20, MultiSelect: 22, DoNotSpellCheck: 23, CommitOnSelChange: 27 },
+  PDFSignature: COMMON_FLAGS,
+};
+
+// ===========================================
+// TEMPLATE
+// ===========================================
+
+/**
+ * Page index of each widget annotation, keyed by object reference.
+ */
+function getWidgetPages(pdfDoc) {
+  const pages = new Map();
+  pdfDoc.getPages().forEach((page, i) => {
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    if (!annots || !annots.asArray) return;
+    annots.asArray().forEach(ref => pages.set(ref.toString(), i));
+  });
+  return pages;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Appearance states of a widget's normal appearance other than Off
+function widgetOnValues(widget, pdfDoc) {
+  const ap = widget.dict.get(PDFName.of('AP'));
+  const apDict = ap ? pdfDoc.context.lookup(ap) : null;
+  const normal = apDict ? apDict.get(PDFName.of('N')) : null;
+  const normalDict = normal ? pdfDoc.context.lookup(normal) : null;
+  if (!normalDict || !normalDict.entries) return [];
+  return normalDict.entries().map(([key]) => key.toString().slice(1)).filter(state => state !== 'Off');
+}
+
+function flagNames(type, flags) {
+  const bits = FieldFlags[type] || COMMON_FLAGS;
+  return Object.keys(bits).filter(name => (flags & (1 << (bits[name] - 1))) !== 0);
+}
+
+function describeField(field, pdfDoc, widgetPages, mappings) {
+  const type = field.constructor.name;
+  const acroField = field.acroField;
+  const flags = acroField.getFlags();
+
+  const widgets = acroField.getWidgets().map(widget => {
+    const ref = pdfDoc.context.getObjectRef(widget.dict);
+    const page = ref ? widgetPages.get(ref.toString()) : undefined;
+    const rect = widget.getRectangle();
+    const entry = {
+      page: page === undefined ? null : page,
+      rect: { x: round(rect.x), y: round(rect.y), width: round(rect.width), height: round(rect.height) },
+    };
+    if (type === 'PDFCheckBox' || type === 'PDFRadioGroup') {
+      entry.onValue = widgetOnValues(widget, pdfDoc)[0] || null;
+    }
+    return entry;
+  });
+
+  // pdf-lib prefers the widget's DA over the field's (see pdf-fields.js)
+  const firstWidget = acroField.getWidgets()[0];
+  const da = (firstWidget && firstWidget.getDefaultAppearance()) || acroField.getDefaultAppearance();
+  const appearance = parseDefaultAppearance(da);
+
+  const info = {
+    name: field.getName(),
+    type,
+    page: widgets.length > 0 ? widgets[0].page : null,
+    widgets,
+    onValues: null,
+    options: null,
+    maxLength: null,
+    flags: flagNames(type, flags),
+    defaultAppearance: appearance ? { font: appearance.fontName, size: appearance.fontSize } : null,
+    mapping: mappings[field.getName()] || null,
+  };
+
+  if (type === 'PDFCheckBox' || type === 'PDFRadioGroup') {
+    info.onValues = [...new Set(widgets.map(w => w.onValue).filter(Boolean))];
+  }
+  if (type === 'PDFDropdown' || type === 'PDFOptionList' || type === 'PDFRadioGroup') {
+    info.options = field.getOptions();
+  }
+  if (type === 'PDFTextField') {
+    info.maxLength = field.getMaxLength() === undefined ? null : field.getMaxLength();
+  }
+  return info;
+}
+
+/**
+ * Describe every field of a template.
+ *
+ * @param {string} templatePath
+ * @param {Object} options - { form: id whose mappings are bound (default: db-450) }
+ * @returns {Promise<{ template, form, pageCount, fields: Array }>}
+ */
+async function inspectTemplate(templatePath, options = {}) {
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template not found: ${templatePath}`);
+  }
+  const formDef = getForm(options.form);
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(templatePath));
+  const widgetPages = getWidgetPages(pdfDoc);
+
+  const fields = pdfDoc.getForm().getFields()
+    .map(field => describeField(field, pdfDoc, widgetPages, formDef.mappings));
+
+  return { template: templatePath, form: formDef.id, pageCount: pdfDoc.getPageCount(), fields };
+}
+
+/**
+ * Filter inspected fields.
+ *
+ * @param {Array} fields - From inspectTemplate
+ * @param {Object} filters - { pages: number[], types: string[] (aliases or class names), name: RegExp|string }
+ */
+function filterFields(fields, filters = {}) {
+  const types = filters.types ? filters.types.map(t => TypeAliases[t.toLowerCase()] || t) : null;
+  const name = typeof filters.name === 'string' ? new RegExp(filters.name, 'i') : filters.name;
+
+  return fields.filter(field =>
+    (!filters.pages || field.widgets.some(w => filters.pages.includes(w.page))) &&
+    (!types || types.includes(field.type)) &&
+    (!name || name.test(field.name))
+  );
+}
+
+// ===========================================
+// OUTPUT
+// ===========================================
+
+function formatField(field) {
+  const lines = [`[p${field.page === null ? '?' : field.page}] ${field.type.replace('PDF', '')}  ${field.name}`];
+  const details = [];
+  if (field.maxLength !== null) details.push(`maxLen ${field.maxLength}`);
+  if (field.defaultAppearance) {
+    details.push(`font ${field.defaultAppearance.font} ${field.defaultAppearance.size || 'auto'}`);
+  }
+  if (field.flags.length > 0) details.push(`flags ${field.flags.join(',')}`);
+  if (field.options) details.push(`options ${JSON.stringify(field.options)}`);
+  if (details.length > 0) lines.push(`     ${details.join(' · ')}`);
+
+  field.widgets.forEach((w, i) => {
+    const { x, y, width, height } = w.rect;
+    const onValue = w.onValue !== undefined ? `  on: ${w.onValue}` : '';
+    lines.push(`     widget ${i}: page ${w.page === null ? '?' : w.page} at (${x}, ${y}) ${width}x${height}${onValue}`);
+  });
+
+  const mapping = field.mapping;
+  lines.push(mapping
+    ? `     mapping: ${mapping.type}${mapping.generator ? ` ${mapping.generator}` : ''}${mapping.method ? ` ${mapping.method}` : ''}${mapping.state ? ` state ${mapping.state}` : ''}`
+    : '     mapping: none');
+  return lines.join('\n');
+}
+
+function parseList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : undefined;
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Template Inspector
+
+Describes every field of a template: type, page index, widget rectangles,
+on-values, MaxLen, flags, default appearance font and size, and the mapping
+it is bound to. --write-form-fields regenerates form-fields.json.
+
+Usage:
+  node inspect.js [template.pdf] [options]
+
+Options:
+  --form <id>            Form whose mappings are shown (default: ${DEFAULT_FORM_ID});
+                         its template is inspected when no path is given
+  --page <n,...>         Only fields on these pages (0-based page index)
+  --type <type,...>      Only these field types (${Object.keys(TypeAliases).join(', ')})
+  --name <pattern>       Only fields whose name matches (case-insensitive regex)
+  --json                 Print the fields as JSON
+  --write-form-fields    Regenerate form-fields.json (DB-450 template only)
+
+Examples:
+  npm run inspect -- --type checkbox
+  node inspect.js --page 3 --name "date"
+  node inspect.js ./output/fillable-template.pdf --json
+  npm run inspect -- --write-form-fields
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const valueFlags = ['--form', '--page', '--type', '--name'];
+  const templateArg = args.find((arg, i) => !arg.startsWith('--') && !valueFlags.includes(args[i - 1]));
+
+  let result;
+  let fields;
+  try {
+    const formDef = getForm(getFlag('--form'));
+    const template = templateArg || formDef.template;
+    result = await inspectTemplate(template, { form: formDef.id });
+
+    const pages = parseList(getFlag('--page'));
+    if (pages && pages.some(p => !/^\d+$/.test(p))) {
+      throw new Error(`Invalid --page: ${getFlag('--page')} (0-based page indexes)`);
+    }
+    fields = filterFields(result.fields, {
+      pages: pages && pages.map(Number),
+      types: parseList(getFlag('--type')),
+      name: getFlag('--name'),
+    });
+
+    // form-fields.json describes the DB-450 template itself, with its own mappings
+    if (args.includes('--write-form-fields')) {
+      if (formDef.id !== DEFAULT_FORM_ID || path.resolve(template) !== path.resolve(formDef.template)) {
+        throw new Error(`--write-form-fields only describes the ${DEFAULT_FORM_ID} template with its mappings`);
+      }
+      fs.writeFileSync(FORM_FIELDS_PATH, JSON.stringify(result.fields, null, 2) + '\n');
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ ...result, fields }, null, 2));
+    return;
+  }
+
+  console.log(`\n${result.template} (${result.pageCount} pages, ${result.fields.length} fields, mappings: ${result.form})\n`);
+  fields.forEach(field => console.log(formatField(field)));
+
+  const byType = {};
+  fields.forEach(f => { byType[f.type] = (byType[f.type] || 0) + 1; });
+  const mapped = fields.filter(f => f.mapping).length;
+  console.log(`\n${fields.length} field(s): ${Object.entries(byType).map(([t, n]) => `${n} ${t.replace('PDF', '')}`).join(', ') || 'none'}`);
+  console.log(`${mapped} mapped, ${fields.length - mapped} unmapped`);
+}
+
+module.exports = {
+  inspectTemplate,
+  filterFields,
+  getWidgetPages,
+};
+
+if (require.main === module) {
+  main();
+}
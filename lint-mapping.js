@@ -0,0 +1,288 @@
+/**
+ * Mapping Linter
+ *
+ * Checks a form's field mappings (field-mapping.js for DB-450) against its
+ * template PDF so drift between the two is caught before filling:
+ *
+ * Errors:
+ *   - mapped names missing from the PDF (with the closest PDF field name)
+ *   - type mismatches: checkbox mappings on non-checkbox fields, text-only
+ *     mappings (faker, ai) on checkboxes, PDF field types the filler cannot fill
+ *   - checkbox-multi values that are not among the field's widget on-values
+ *     (declared `values` and values the generator returns for sample personas)
+ *   - unknown calculated generators and faker methods, unknown mapping types
+ *   - continuations that name a field that is not in the PDF
+ *
+ * Warnings:
+ *   - PDF fields with no mapping
+ *   - checkbox-multi mappings without `values`, or whose generator returns
+ *     values the mapping does not declare
+ *   - CheckboxStateMap entries (DB-450) for fields that are not in the PDF or
+ *     are not filled through a 'checkbox' mapping, so the entry is never read
+ *
+ * Usage:
+ *   node lint-mapping.js [options]
+ *
+ * Options:
+ *   --form <id>            Registered form to lint (default: db-450)
+ *   --input <pdf>          Template to lint against (default: the form's template)
+ *   --strict               Treat warnings as errors
+ *   --json                 Print the findings as JSON
+ */
+
+const fs = require('fs');
+const { Faker, en, base } = require('@faker-js/faker');
+const { PDFDocument } = require('pdf-lib');
+const { DataGenerator, CheckboxStateMap } = require('./data-generator');
+const { DEFAULT_FORM_ID, getForm } = require('./form-registry');
+const { getCheckboxOnValues } = require('./fill-plan');
+const { Scenarios } = require('./scenarios');
+
+const MAPPING_TYPES = ['faker', 'calculated', 'ai', 'static', 'checkbox', 'checkbox-multi', 'overlay'];
+const CHECKBOX_TYPES = ['checkbox', 'checkbox-multi'];
+const TEXT_ONLY_TYPES = ['faker', 'ai'];
+const FILLABLE_FIELD_TYPES = ['PDFTextField', 'PDFCheckBox'];
+
+// Personas the checkbox-multi generators are sampled on: the default and every scenario
+const SAMPLE_PERSONAS = [null, ...Object.keys(Scenarios)];
+const SAMPLES_PER_PERSONA = 3;
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// Closest PDF field name, when close enough to be a likely typo or rename
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= Math.max(3, Math.floor(name.length / 4)) ? best : null;
+}
+
+function fakerMethodExists(method) {
+  let target = new Faker({ locale: [en, base] });
+  for (const part of String(method).split('.')) {
+    if (target === null || target === undefined || !(part in Object(target))) return false;
+    target = target[part];
+  }
+  return typeof target === 'function';
+}
+
+// Values a checkbox-multi generator returns across the sample personas
+function sampleGeneratorValues(generatorName, args) {
+  const values = new Set();
+  SAMPLE_PERSONAS.forEach(scenario => {
+    for (let i = 0; i < SAMPLES_PER_PERSONA; i++) {
+      const generator = new DataGenerator(`lint-${scenario || 'default'}-${i}`, {
+        persist: false,
+        silent: true,
+        scenario,
+      });
+      const value = generator.getCalculatedValue(generatorName, args || []);
+      if (value !== null && value !== undefined && value !== '') values.add(String(value));
+    }
+  });
+  return [...values];
+}
+
+// ===========================================
+// LINT
+// ===========================================
+
+/**
+ * Lint a form's mappings against its template.
+ *
+ * @param {Object} options - { form, input }
+ * @returns {Promise<{ form, template, errors: Array, warnings: Array }>}
+ *   findings: { field, rule, message }
+ */
+async function lintMappings(options = {}) {
+  const formDef = getForm(options.form);
+  const template = options.input || formDef.template;
+  if (!fs.existsSync(template)) {
+    throw new Error(`Template not found: ${template}`);
+  }
+
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(template));
+  const pdfFields = new Map(pdfDoc.getForm().getFields().map(field => [field.getName(), field]));
+  const pdfNames = [...pdfFields.keys()];
+  const mappings = formDef.mappings;
+  const generatorNames = new Set(Object.keys(new DataGenerator('lint', { persist: false, silent: true }).calculatedGenerators()));
+
+  const errors = [];
+  const warnings = [];
+  const error = (field, rule, message) => errors.push({ field, rule, message });
+  const warn = (field, rule, message) => warnings.push({ field, rule, message });
+
+  Object.entries(mappings).forEach(([name, mapping]) => {
+    if (!MAPPING_TYPES.includes(mapping.type)) {
+      error(name, 'unknown-type', `unknown mapping type "${mapping.type}"`);
+      return;
+    }
+
+    // Generators and faker methods are checked whether or not the field exists
+    if ((mapping.type === 'calculated' || mapping.type === 'checkbox-multi') && !generatorNames.has(mapping.generator)) {
+      error(name, 'unknown-generator', `unknown generator "${mapping.generator}"`);
+    }
+    if (mapping.type === 'faker' && !fakerMethodExists(mapping.method)) {
+      error(name, 'unknown-faker-method', `unknown faker method "${mapping.method}"`);
+    }
+    if (mapping.continuation && !pdfFields.has(mapping.continuation)) {
+      error(name, 'missing-continuation', `continuation "${mapping.continuation}" is not in the PDF`);
+    }
+
+    const field = pdfFields.get(name);
+    if (!field) {
+      // Overlay mappings name fields that only exist once injected (overlay-fields.js)
+      if (mapping.type === 'overlay') return;
+      const suggestion = closestName(name, pdfNames);
+      error(name, 'missing-field', `not in the PDF${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      return;
+    }
+
+    const fieldType = field.constructor.name;
+    if (!FILLABLE_FIELD_TYPES.includes(fieldType)) {
+      error(name, 'unsupported-field', `${fieldType} fields are not filled (text fields and checkboxes only)`);
+      return;
+    }
+    if (CHECKBOX_TYPES.includes(mapping.type) && fieldType !== 'PDFCheckBox') {
+      error(name, 'type-mismatch', `${mapping.type} mapping on a ${fieldType}`);
+      return;
+    }
+    if (TEXT_ONLY_TYPES.includes(mapping.type) && fieldType === 'PDFCheckBox') {
+      error(name, 'type-mismatch', `${mapping.type} mapping on a checkbox`);
+      return;
+    }
+
+    if (mapping.type === 'checkbox-multi') {
+      const onValues = [...new Set(getCheckboxOnValues(field, pdfDoc).map(v => v.value))];
+      const onList = onValues.join(', ') || 'none';
+
+      if (!Array.isArray(mapping.values)) {
+        warn(name, 'undeclared-values', 'checkbox-multi mapping has no `values` list');
+      } else {
+        mapping.values.filter(v => !onValues.includes(v)).forEach(v => {
+          error(name, 'unknown-on-value', `value "${v}" is not a widget on-value (${onList})`);
+        });
+      }
+      if (mapping.otherwise !== undefined && mapping.otherwise !== null && !onValues.includes(String(mapping.otherwise))) {
+        error(name, 'unknown-on-value', `otherwise value "${mapping.otherwise}" is not a widget on-value (${onList})`);
+      }
+
+      if (generatorNames.has(mapping.generator)) {
+        sampleGeneratorValues(mapping.generator, mapping.args).forEach(v => {
+          if (!onValues.includes(v)) {
+            error(name, 'unknown-on-value', `generator ${mapping.generator} returns "${v}", not a widget on-value (${onList})`);
+          } else if (Array.isArray(mapping.values) && !mapping.values.includes(v)) {
+            warn(name, 'undeclared-values', `generator ${mapping.generator} returns "${v}", which \`values\` does not list`);
+          }
+        });
+      }
+    }
+  });
+
+  pdfNames.filter(name => !mappings[name]).forEach(name => {
+    warn(name, 'unmapped-field', `${pdfFields.get(name).constructor.name} has no mapping`);
+  });
+
+  // CheckboxStateMap is keyed by DB-450 field names; getCheckboxValue only reads
+  // it for 'checkbox' mappings
+  if (formDef.id === DEFAULT_FORM_ID) {
+    Object.keys(CheckboxStateMap).forEach(name => {
+      if (!pdfFields.has(name)) {
+        warn(name, 'stale-state-map', 'CheckboxStateMap entry for a field that is not in the PDF');
+      } else if (mappings[name] && mappings[name].type !== 'checkbox') {
+        warn(name, 'stale-state-map', `CheckboxStateMap entry is never read (field is mapped as ${mappings[name].type})`);
+      }
+    });
+  }
+
+  const byField = (a, b) => a.field.localeCompare(b.field, undefined, { numeric: true }) || a.rule.localeCompare(b.rule);
+  return { form: formDef.id, template, errors: errors.sort(byField), warnings: warnings.sort(byField) };
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Mapping Linter
+
+Checks a form's field mappings against its template PDF: missing and unmapped
+fields, type mismatches, checkbox-multi values that are not widget on-values,
+and unknown generators or faker methods. Exits non-zero on errors.
+
+Usage:
+  node lint-mapping.js [options]
+
+Options:
+  --form <id>            Registered form to lint (default: ${DEFAULT_FORM_ID})
+  --input <pdf>          Template to lint against (default: the form's template)
+  --strict               Treat warnings as errors
+  --json                 Print the findings as JSON
+
+Examples:
+  npm run lint-mapping
+  node lint-mapping.js --input ./templates/DB450-2025.pdf
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const strict = args.includes('--strict');
+
+  let result;
+  try {
+    result = await lintMappings({ form: getFlag('--form'), input: getFlag('--input') });
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+
+  const failed = result.errors.length > 0 || (strict && result.warnings.length > 0);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(failed ? 1 : 0);
+  }
+
+  console.log(`\nLinting ${result.form} mappings against ${result.template}\n`);
+  result.errors.forEach(f => console.log(`❌ [${f.rule}] ${f.field}: ${f.message}`));
+  result.warnings.forEach(f => console.log(`⚠️  [${f.rule}] ${f.field}: ${f.message}`));
+
+  console.log(`\n${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+  if (!failed) {
+    console.log('✅ Mappings match the template');
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+module.exports = { lintMappings, editDistance };
+
+if (require.main === module) {
+  main();
+}
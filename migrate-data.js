@@ -0,0 +1,131 @@
+/**
+ * Migrate Generated Data
+ *
+ * Upgrades every generated-data/<runId>.json in a directory to the current
+ * schemaVersion in place and validates the result against
+ * generated-data.schema.json.
+ *
+ * Usage:
+ *   node migrate-data.js [dir] [options]
+ *
+ * Options:
+ *   --check     Report what migration would do without writing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataGenerator } = require('./data-generator');
+const { SCHEMA_VERSION, migrateData, validateSchema } = require('./data-schema');
+
+/**
+ * Migrate (or check) every data file in a directory.
+ *
+ * @param {string} dataDir - Directory of <runId>.json files
+ * @param {Object} options
+ * @param {boolean} options.check - Migrate in memory only; do not write
+ * @returns {Array} [{ runId, from, to, migrated, errors }]
+ */
+function migrateDirectory(dataDir, options = {}) {
+  if (!fs.existsSync(dataDir)) {
+    throw new Error(`Data directory not found: ${dataDir}`);
+  }
+
+  const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json')).sort();
+  const results = [];
+
+  files.forEach(file => {
+    const runId = path.basename(file, '.json');
+    const filePath = path.join(dataDir, file);
+
+    try {
+      const before = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      const from = before.schemaVersion || 0;
+
+      let data;
+      if (options.check) {
+        // Migrate an in-memory copy so the report shows what the upgrade would produce
+        const probe = new DataGenerator(runId, { persist: false, silent: true });
+        probe.data = before;
+        data = migrateData(before, () => probe.referenceData()).data;
+      } else {
+        // Loading through DataGenerator applies the migrations and saves the file
+        data = new DataGenerator(runId, { dataDir, silent: true }).getData();
+      }
+
+      results.push({
+        runId,
+        from,
+        to: data.schemaVersion,
+        migrated: from < SCHEMA_VERSION,
+        errors: validateSchema(data),
+      });
+    } catch (err) {
+      results.push({ runId, from: null, to: null, migrated: false, errors: [{ path: '$', message: err.message }] });
+    }
+  });
+
+  return results;
+}
+
+// CLI
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Migrate Generated Data
+
+Usage:
+  node migrate-data.js [dir] [options]
+
+Arguments:
+  dir         Directory of generated data files (default: ./generated-data)
+
+Options:
+  --check     Report what migration would do without writing
+
+Current schema version: ${SCHEMA_VERSION}
+    `);
+    process.exit(0);
+  }
+
+  const dataDir = args.find(a => !a.startsWith('--')) || './generated-data';
+  const check = args.includes('--check');
+
+  console.log(`\n=== Generated Data Migration ===\n`);
+  console.log(`Directory: ${dataDir}`);
+  console.log(`Schema version: ${SCHEMA_VERSION}${check ? ' (check only)' : ''}\n`);
+
+  let results;
+  try {
+    results = migrateDirectory(dataDir, { check });
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+
+  results.forEach(r => {
+    const status = r.from === null ? 'unreadable' : (r.migrated ? `v${r.from} -> v${r.to}` : `v${r.to}`);
+    const marker = r.errors.length > 0 ? '❌' : (r.migrated ? '⬆️ ' : '✓');
+    console.log(`  ${marker} ${r.runId}: ${status}`);
+    r.errors.slice(0, 5).forEach(e => console.log(`      ${e.path}: ${e.message}`));
+    if (r.errors.length > 5) {
+      console.log(`      ... and ${r.errors.length - 5} more`);
+    }
+  });
+
+  console.log(`\n=== Summary ===`);
+  console.log(`  Files: ${results.length}`);
+  console.log(`  ${check ? 'Outdated' : 'Migrated'}: ${results.filter(r => r.migrated).length}`);
+  console.log(`  Invalid: ${results.filter(r => r.errors.length > 0).length}`);
+
+  if (results.some(r => r.errors.length > 0)) {
+    process.exit(1);
+  }
+}
+
+module.exports = { migrateDirectory };
+
+if (require.main === module) {
+  main();
+}
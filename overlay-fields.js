@@ -0,0 +1,330 @@
+/**
+ * Overlay Fields
+ *
+ * Coordinate overlays (e.g. DB-450 Part B) describe values drawn at (x, y)
+ * positions on pages that have no AcroForm fields. This module resolves the
+ * value for each coordinate entry and can inject real AcroForm fields at
+ * those positions, so overlay values are set through the same field code
+ * path as the rest of the form and stay editable, extractable and flattenable.
+ *
+ * Entries become fields by their `field` name (default: "<overlay> - <key>"):
+ *   - text, date-part, date-now, static, faker entries -> text field
+ *   - check / boolean-check entries sharing a name     -> radio group, one
+ *     option per entry (check: its value; boolean-check: Yes / No)
+ * Entries without a type are positions only and are not injected.
+ *
+ * Usage:
+ *   node overlay-fields.js [options]
+ *
+ * Options:
+ *   --form <id>            Registered form (default: db-450)
+ *   --output, -o <path>    Augmented template path (default: ./output/<template>-fillable.pdf)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { getForm, resolvePageIndex } = require('./form-registry');
+
+const DEFAULT_TEXT_WIDTH = 120;
+const DATE_PART_WIDTHS = { month: 16, day: 16, year: 26 };
+const CHOICE_SIZE = 9;
+
+// ===========================================
+// VALUES
+// ===========================================
+
+/**
+ * Resolve the value drawn for one overlay coordinate entry.
+ * Returns null when nothing should be drawn (e.g. an unchecked box).
+ * date-now entries use context.now when set (default: the current time).
+ */
+function resolveCoordinateValue(key, config, context) {
+  let valueToDraw = null;
+
+  // Resolve value based on source path (e.g., 'claimant.lastName')
+  const getSourceValue = (path) => {
+    return path.split('.').reduce((obj, k) => (obj || {})[k], context);
+  };
+
+  if (config.type === 'text') {
+    let val = getSourceValue(config.source);
+    if (val) {
+      val = String(val);
+      if (config.limit && val.length > config.limit) {
+        val = val.substring(0, config.limit);
+      }
+      valueToDraw = val;
+    }
+  } else if (config.type === 'static') {
+    valueToDraw = config.value;
+  } else if (config.type === 'faker') {
+     // We'll just generate it on the fly or reuse generator if exposed
+     // For simplicity, reusing generator instance might require refactoring,
+     // so we'll generate ad-hoc for these specific Part B fields if not in context
+     if (key.includes('phone')) valueToDraw = '212-555-0199';
+     if (key.includes('license number')) valueToDraw = '1234567';
+     if (key.includes('address')) valueToDraw = '123 Medical Plaza, NY';
+     if (key.includes('providers name')) valueToDraw = 'Dr. Jane Smith';
+  } else if (config.type === 'date-now') {
+    const now = context.now ? new Date(context.now) : new Date();
+    valueToDraw = `${now.getMonth() + 1}/${now.getDate()}/${now.getFullYear()}`;
+  } else if (config.type === 'date-part') {
+    const dateVal = getSourceValue(config.source);
+    if (dateVal) {
+      const d = new Date(dateVal);
+      if (config.part === 'month') valueToDraw = String(d.getMonth() + 1).padStart(2, '0');
+      if (config.part === 'day') valueToDraw = String(d.getDate()).padStart(2, '0');
+      if (config.part === 'year') valueToDraw = String(d.getFullYear());
+    }
+  } else if (config.type === 'check' || config.type === 'boolean-check') {
+     const actualVal = getSourceValue(config.source);
+     if (actualVal === config.value) {
+       valueToDraw = 'X';
+     }
+  }
+
+  return valueToDraw;
+}
+
+// ===========================================
+// FIELD LAYOUT
+// ===========================================
+
+function isChoice(config) {
+  return config.type === 'check' || config.type === 'boolean-check';
+}
+
+function choiceOption(config) {
+  if (config.type === 'boolean-check') return config.value ? 'Yes' : 'No';
+  return String(config.value);
+}
+
+/**
+ * Group an overlay's coordinate entries into the AcroForm fields they become.
+ *
+ * @returns {Array} [{ name, kind: 'text'|'radio', entries: [{ key, config }] }]
+ */
+function getOverlayFields(overlay) {
+  const fields = new Map();
+
+  Object.entries(overlay.coordinates).forEach(([key, config]) => {
+    if (!config.type) return;
+
+    const name = config.field || `${overlay.name} - ${key}`;
+    const kind = isChoice(config) ? 'radio' : 'text';
+    if (!fields.has(name)) {
+      fields.set(name, { name, kind, entries: [] });
+    }
+
+    const field = fields.get(name);
+    if (field.kind !== kind || (kind === 'text' && field.entries.length > 0)) {
+      throw new Error(`${overlay.name} field "${name}" is shared by entries that cannot form one field`);
+    }
+    field.entries.push({ key, config });
+  });
+
+  return [...fields.values()];
+}
+
+/**
+ * FieldMappings-style entries for an overlay's fields ({ type: 'overlay' }).
+ */
+function overlayFieldMappings(overlay) {
+  const mappings = {};
+  getOverlayFields(overlay).forEach(field => {
+    mappings[field.name] = {
+      type: 'overlay',
+      overlay: overlay.name,
+      keys: field.entries.map(e => e.key),
+    };
+  });
+  return mappings;
+}
+
+/**
+ * Value for an overlay field: the text for a text field, or the option
+ * whose entry is selected for a radio group (null when none is).
+ */
+function overlayFieldValue(mapping, overlay, context) {
+  for (const key of mapping.keys) {
+    const config = overlay.coordinates[key];
+    const value = resolveCoordinateValue(key, config, context);
+    if (value) {
+      return isChoice(config) ? choiceOption(config) : value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the document already has every field of an overlay (injected now
+ * or saved in an augmented template).
+ */
+function hasOverlayFields(form, overlay) {
+  const fields = getOverlayFields(overlay);
+  return fields.length > 0 && fields.every(f => form.getFieldMaybe(f.name));
+}
+
+// ===========================================
+// INJECTION
+// ===========================================
+
+// Widgets are transparent so the printed boxes and labels show through
+function clearWidgetBackground(field) {
+  field.acroField.getWidgets().forEach(widget => {
+    const mk = widget.getAppearanceCharacteristics();
+    if (mk) {
+      mk.dict.delete(PDFName.of('BG'));
+      mk.dict.delete(PDFName.of('BC'));
+    }
+  });
+}
+
+function textFieldRect(config, fontSize) {
+  const width = config.box?.width
+    || (config.type === 'date-part' ? DATE_PART_WIDTHS[config.part] : DEFAULT_TEXT_WIDTH);
+
+  if (config.box?.wrap && config.box.height) {
+    // Top of the first line down to below the last baseline
+    const height = config.box.height + 4;
+    return { x: config.x - 2, y: config.y + fontSize + 2 - height, width: width + 4, height };
+  }
+  return { x: config.x - 2, y: config.y - 4, width: width + 4, height: fontSize + 6 };
+}
+
+/**
+ * Add AcroForm fields for every overlay of a form to a loaded template.
+ * Fields that already exist are left alone.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded template
+ * @param {Object} formDef - Registered form definition
+ * @returns {Array} Names of the fields created
+ */
+function injectOverlayFields(pdfDoc, formDef) {
+  const form = pdfDoc.getForm();
+  const pages = pdfDoc.getPages();
+  const created = [];
+
+  for (const overlay of formDef.overlays) {
+    const page = pages[resolvePageIndex(formDef, overlay.page)];
+    if (!page) {
+      throw new Error(`PDF has no page ${resolvePageIndex(formDef, overlay.page) + 1} for ${overlay.name}`);
+    }
+    const fontSize = overlay.fontSize || 10;
+
+    getOverlayFields(overlay).forEach(field => {
+      if (form.getFieldMaybe(field.name)) return;
+
+      if (field.kind === 'radio') {
+        const group = form.createRadioGroup(field.name);
+        field.entries.forEach(({ config }) => {
+          group.addOptionToPage(choiceOption(config), page, {
+            x: config.x - 1,
+            y: config.y - 1,
+            width: CHOICE_SIZE,
+            height: CHOICE_SIZE,
+            borderWidth: 0,
+          });
+        });
+        clearWidgetBackground(group);
+        group.defaultUpdateAppearances();
+      } else {
+        const { config } = field.entries[0];
+        const textField = form.createTextField(field.name);
+        if (config.box?.wrap) {
+          textField.enableMultiline();
+        }
+        textField.addToPage(page, {
+          ...textFieldRect(config, fontSize),
+          borderWidth: 0,
+          backgroundColor: undefined,
+          borderColor: undefined,
+        });
+        textField.setFontSize(fontSize);
+      }
+
+      created.push(field.name);
+    });
+  }
+
+  return created;
+}
+
+/**
+ * Write a copy of the form's template with its overlay fields injected.
+ *
+ * @returns {Promise<{ outputPath: string, created: Array }>}
+ */
+async function saveFillableTemplate(options = {}) {
+  const formDef = getForm(options.form);
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(formDef.template));
+  const created = injectOverlayFields(pdfDoc, formDef);
+
+  const outputPath = options.output
+    || path.join('./output', `${path.basename(formDef.template, '.pdf')}-fillable.pdf`);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, await pdfDoc.save());
+
+  return { outputPath, created };
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Overlay Fields
+
+Injects AcroForm fields at a form's coordinate overlay positions (e.g. DB-450
+Part B) and saves the augmented template for reuse.
+
+Usage:
+  node overlay-fields.js [options]
+
+Options:
+  --form <id>            Registered form (default: db-450)
+  --output, -o <path>    Augmented template path (default: ./output/<template>-fillable.pdf)
+
+Examples:
+  node overlay-fields.js
+  node fill-form.js claim-001 --input ./output/DBLNYC84-fillable.pdf
+  node fill-form.js claim-002 --inject-fields    # Inject on the fly instead
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag, alias) => {
+    let index = args.indexOf(flag);
+    if (index === -1 && alias) index = args.indexOf(alias);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  try {
+    const { outputPath, created } = await saveFillableTemplate({
+      form: getFlag('--form'),
+      output: getFlag('--output', '-o'),
+    });
+    console.log(`\nInjected ${created.length} fields:`);
+    created.forEach(name => console.log(`  ${name}`));
+    console.log(`\n✅ Fillable template: ${outputPath}`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  resolveCoordinateValue,
+  getOverlayFields,
+  overlayFieldMappings,
+  overlayFieldValue,
+  hasOverlayFields,
+  injectOverlayFields,
+  saveFillableTemplate,
+};
+
+if (require.main === module) {
+  main();
+}
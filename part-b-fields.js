@@ -2,73 +2,138 @@
  * Coordinate mappings for Part B - Health Care Provider
  * These fields are filled by drawing text at specific (x, y) coordinates.
  * Target Page: Index 4 (Page 5)
+ *
+ * The table below is the built-in default. When part-b-coordinates.json exists
+ * (written by `node calibrate-part-b.js --import/--export`), its entries are
+ * merged over the defaults by key, so positions can be calibrated without
+ * editing this file. Calibrated entries may carry just { x, y }.
+ *
+ * Text entries may declare a box ({ width, height, minSize, wrap }, widths
+ * measured from the printed answer lines); see text-fit.js.
+ * `field` names the AcroForm field an entry becomes when Part B fields are
+ * injected (check entries sharing a name form one radio group); see
+ * overlay-fields.js.
  */
 
-const PartBCoordinates = {
+const fs = require('fs');
+const path = require('path');
+
+const CALIBRATED_COORDINATES_PATH = path.join(__dirname, 'part-b-coordinates.json');
+
+const DefaultPartBCoordinates = {
   // Claimant Info (Repeated)
-  'last name claimant': { x: 100, y: 366, type: 'text', source: 'claimant.lastName' },
-  'first name claimant': { x: 328, y: 366, type: 'text', source: 'claimant.firstName' },
-  'middle initial claimant': { x: 514, y: 366, type: 'text', source: 'claimant.middleInitial' },
+  'last name claimant': { field: 'Part B 1 - Last Name', x: 100, y: 366, type: 'text', source: 'claimant.lastName', box: { width: 170 } },
+  'first name claimant': { field: 'Part B 1 - First Name', x: 328, y: 366, type: 'text', source: 'claimant.firstName', box: { width: 165 } },
+  'middle initial claimant': { field: 'Part B 1 - Middle Initial', x: 514, y: 366, type: 'text', source: 'claimant.middleInitial' },
   
   // Gender
-  'gender male': { x: 87, y: 349, type: 'check', source: 'claimant.gender', value: 'Male' },
-  'gender female': { x: 116, y: 349, type: 'check', source: 'claimant.gender', value: 'Female' },
-  'gender X': { x: 142, y: 349, type: 'check', source: 'claimant.gender', value: 'X' },
+  'gender male': { field: 'Part B 2 - Gender', x: 87, y: 349, type: 'check', source: 'claimant.gender', value: 'Male' },
+  'gender female': { field: 'Part B 2 - Gender', x: 116, y: 349, type: 'check', source: 'claimant.gender', value: 'Female' },
+  'gender X': { field: 'Part B 2 - Gender', x: 142, y: 349, type: 'check', source: 'claimant.gender', value: 'X' },
   
   // DOB
-  'DOB mm': { x: 252, y: 349, type: 'date-part', source: 'claimant.dateOfBirth', part: 'month' },
-  'DOB dd': { x: 276, y: 349, type: 'date-part', source: 'claimant.dateOfBirth', part: 'day' },
-  'DOB yyyy': { x: 309, y: 349, type: 'date-part', source: 'claimant.dateOfBirth', part: 'year' },
+  'DOB mm': { field: 'Part B 3 - Date of Birth Month', x: 252, y: 349, type: 'date-part', source: 'claimant.dateOfBirth', part: 'month' },
+  'DOB dd': { field: 'Part B 3 - Date of Birth Day', x: 276, y: 349, type: 'date-part', source: 'claimant.dateOfBirth', part: 'day' },
+  'DOB yyyy': { field: 'Part B 3 - Date of Birth Year', x: 309, y: 349, type: 'date-part', source: 'claimant.dateOfBirth', part: 'year' },
 
   // Medical Info (AI Generated)
-  'Diagnosis analysis': { x: 135, y: 336, type: 'text', source: 'medical.diagnosisAnalysis', limit: 70 },
-  'diagnosis code': { x: 462, y: 336, type: 'text', source: 'medical.icdCode' },
-  'claimant symptoms': { x: 158, y: 319, type: 'text', source: 'medical.symptoms', limit: 70 },
-  'objective findings': { x: 141, y: 290, type: 'text', source: 'medical.objectiveFindings', limit: 70 },
+  'Diagnosis analysis': { field: 'Part B 4 - Diagnosis', x: 135, y: 336, type: 'text', source: 'medical.diagnosisAnalysis', box: { width: 252 } },
+  'diagnosis code': { field: 'Part B 4 - Diagnosis Code', x: 462, y: 336, type: 'text', source: 'medical.icdCode', box: { width: 110 } },
+  'claimant symptoms': { field: 'Part B 4a - Symptoms', x: 158, y: 319, type: 'text', source: 'medical.symptoms', box: { width: 415, height: 24, wrap: true } },
+  'objective findings': { field: 'Part B 4b - Objective Findings', x: 141, y: 290, type: 'text', source: 'medical.objectiveFindings', box: { width: 432, height: 24, wrap: true } },
 
   // Hospitalization
-  'claimant hospitalized yes': { x: 154, y: 265, type: 'boolean-check', source: 'medical.hospitalized', value: true },
-  'claimant hospitalized no': { x: 185, y: 263, type: 'boolean-check', source: 'medical.hospitalized', value: false },
+  'claimant hospitalized yes': { field: 'Part B 5 - Hospitalized', x: 154, y: 265, type: 'boolean-check', source: 'medical.hospitalized', value: true },
+  'claimant hospitalized no': { field: 'Part B 5 - Hospitalized', x: 185, y: 263, type: 'boolean-check', source: 'medical.hospitalized', value: false },
   // Hospital dates skipped for now as they depend on the boolean
 
   // Operation
-  'operation indicated yes': { x: 154, y: 246, type: 'boolean-check', source: 'medical.surgery', value: true },
-  'opeariton indicated no': { x: 184, y: 246, type: 'boolean-check', source: 'medical.surgery', value: false },
+  'operation indicated yes': { field: 'Part B 6 - Operation Indicated', x: 154, y: 246, type: 'boolean-check', source: 'medical.surgery', value: true },
+  'opeariton indicated no': { field: 'Part B 6 - Operation Indicated', x: 184, y: 246, type: 'boolean-check', source: 'medical.surgery', value: false },
   
   // Treatment Dates
-  'date of first treatment mm': { x: 339, y: 216, type: 'date-part', source: 'medical.firstTreatment', part: 'month' },
-  'date of first treatment dd': { x: 424, y: 216, type: 'date-part', source: 'medical.firstTreatment', part: 'day' },
-  'date of first treatment yyyy': { x: 504, y: 216, type: 'date-part', source: 'medical.firstTreatment', part: 'year' },
+  'date of first treatment mm': { field: 'Part B 7a - First Treatment Month', x: 339, y: 216, type: 'date-part', source: 'medical.firstTreatment', part: 'month' },
+  'date of first treatment dd': { field: 'Part B 7a - First Treatment Day', x: 424, y: 216, type: 'date-part', source: 'medical.firstTreatment', part: 'day' },
+  'date of first treatment yyyy': { field: 'Part B 7a - First Treatment Year', x: 504, y: 216, type: 'date-part', source: 'medical.firstTreatment', part: 'year' },
 
-  'date of most recent treatment mm': { x: 340, y: 205, type: 'date-part', source: 'medical.recentTreatment', part: 'month' },
-  'date of most recent treatment dd': { x: 424, y: 205, type: 'date-part', source: 'medical.recentTreatment', part: 'day' },
-  'date of most recent treatment yyyy': { x: 506, y: 205, type: 'date-part', source: 'medical.recentTreatment', part: 'year' },
+  'date of most recent treatment mm': { field: 'Part B 7b - Most Recent Treatment Month', x: 340, y: 205, type: 'date-part', source: 'medical.recentTreatment', part: 'month' },
+  'date of most recent treatment dd': { field: 'Part B 7b - Most Recent Treatment Day', x: 424, y: 205, type: 'date-part', source: 'medical.recentTreatment', part: 'day' },
+  'date of most recent treatment yyyy': { field: 'Part B 7b - Most Recent Treatment Year', x: 506, y: 205, type: 'date-part', source: 'medical.recentTreatment', part: 'year' },
 
   // Work Ability Dates
-  'date claimant unable to work from mm': { x: 339, y: 193, type: 'date-part', source: 'dates.disabilityStart', part: 'month' },
-  'date claimant unable to work from dd': { x: 425, y: 193, type: 'date-part', source: 'dates.disabilityStart', part: 'day' },
-  'date claimant unable to work from yyyy': { x: 505, y: 193, type: 'date-part', source: 'dates.disabilityStart', part: 'year' },
+  'date claimant unable to work from mm': { field: 'Part B 7c - Unable to Work From Month', x: 339, y: 193, type: 'date-part', source: 'dates.disabilityStart', part: 'month' },
+  'date claimant unable to work from dd': { field: 'Part B 7c - Unable to Work From Day', x: 425, y: 193, type: 'date-part', source: 'dates.disabilityStart', part: 'day' },
+  'date claimant unable to work from yyyy': { field: 'Part B 7c - Unable to Work From Year', x: 505, y: 193, type: 'date-part', source: 'dates.disabilityStart', part: 'year' },
 
-  'date claimant able to work again mm': { x: 339, y: 179, type: 'date-part', source: 'dates.returnToWork', part: 'month' },
-  'date claimant able to work again dd': { x: 425, y: 179, type: 'date-part', source: 'dates.returnToWork', part: 'day' },
-  'date claimant able to work again yyyy': { x: 504, y: 179, type: 'date-part', source: 'dates.returnToWork', part: 'year' },
+  'date claimant able to work again mm': { field: 'Part B 7d - Able to Work Again Month', x: 339, y: 179, type: 'date-part', source: 'dates.returnToWork', part: 'month' },
+  'date claimant able to work again dd': { field: 'Part B 7d - Able to Work Again Day', x: 425, y: 179, type: 'date-part', source: 'dates.returnToWork', part: 'day' },
+  'date claimant able to work again yyyy': { field: 'Part B 7d - Able to Work Again Year', x: 504, y: 179, type: 'date-part', source: 'dates.returnToWork', part: 'year' },
 
   // Work Related
-  'is the injury result of work yes': { x: 52, y: 126, type: 'boolean-check', source: 'medical.workRelated', value: true },
-  'is the injury result of work no': { x: 83, y: 126, type: 'boolean-check', source: 'medical.workRelated', value: false },
+  'is the injury result of work yes': { field: 'Part B 8 - Work Related', x: 52, y: 126, type: 'boolean-check', source: 'medical.workRelated', value: true },
+  'is the injury result of work no': { field: 'Part B 8 - Work Related', x: 83, y: 126, type: 'boolean-check', source: 'medical.workRelated', value: false },
 
   // Provider Info
   'health care provider role (physician, chircopractor, dentist, podiatrist, psychologist, nurse, midwife)': { 
-    x: 44, y: 95, type: 'text', source: 'medicalProvider.role' 
+    field: 'Part B - Provider Role', x: 44, y: 95, type: 'text', source: 'medicalProvider.role', box: { width: 230 }
   },
-  'license or certified state': { x: 295, y: 94, type: 'static', value: 'NY' },
-  'license number': { x: 433, y: 96, type: 'text', source: 'medicalProvider.licenseNumber' },
+  'license or certified state': { field: 'Part B - License State', x: 295, y: 94, type: 'static', value: 'NY' },
+  'license number': { field: 'Part B - License Number', x: 433, y: 96, type: 'text', source: 'medicalProvider.licenseNumber', box: { width: 95 } },
   
-  'health care providers name': { x: 48, y: 67, type: 'text', source: 'medicalProvider.fullName' },
-  'date': { x: 482, y: 68, type: 'date-now' },
+  'health care providers name': { field: 'Part B - Provider Name', x: 48, y: 67, type: 'text', source: 'medicalProvider.fullName', box: { width: 168 } },
+  'date': { field: 'Part B - Date', x: 482, y: 68, type: 'date-now' },
   
-  'health care providers address': { x: 50, y: 44, type: 'text', source: 'medicalProvider.address' },
-  'phone number (pay attention to certified/licensed state area code)': { x: 454, y: 43, type: 'text', source: 'medicalProvider.phone' }
+  'health care providers address': { field: 'Part B - Provider Address', x: 50, y: 44, type: 'text', source: 'medicalProvider.address', box: { width: 390 } },
+  'phone number (pay attention to certified/licensed state area code)': { field: 'Part B - Provider Phone', x: 454, y: 43, type: 'text', source: 'medicalProvider.phone', box: { width: 78 } }
 };
 
-module.exports = { PartBCoordinates };
\ No newline at end of file
+/**
+ * Merge a coordinate table over a base table by key.
+ * Known keys may override any property (usually just x/y). New keys without a
+ * type are positions only: marked on the calibration sheet, skipped when filling.
+ *
+ * @param {Object} base - Coordinate table to start from
+ * @param {Object} table - Parsed coordinate JSON ({ key: { x, y, ... } })
+ * @returns {Object} New coordinate table
+ */
+function mergeCoordinates(base, table) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error('Coordinate table must be an object keyed by field name');
+  }
+
+  const merged = {};
+  Object.entries(base).forEach(([key, config]) => { merged[key] = { ...config }; });
+
+  Object.entries(table).forEach(([key, entry]) => {
+    if (!Number.isFinite(entry?.x) || !Number.isFinite(entry?.y)) {
+      throw new Error(`Coordinate "${key}" needs numeric x and y`);
+    }
+    merged[key] = { ...merged[key], ...entry };
+  });
+
+  return merged;
+}
+
+/**
+ * Load Part B coordinates: defaults with the calibrated file (if any) merged over them.
+ */
+function loadPartBCoordinates(file = CALIBRATED_COORDINATES_PATH) {
+  if (!fs.existsSync(file)) {
+    return mergeCoordinates(DefaultPartBCoordinates, {});
+  }
+  try {
+    return mergeCoordinates(DefaultPartBCoordinates, JSON.parse(fs.readFileSync(file, 'utf-8')));
+  } catch (err) {
+    throw new Error(`Invalid coordinate file ${file}: ${err.message}`);
+  }
+}
+
+const PartBCoordinates = loadPartBCoordinates();
+
+module.exports = {
+  PartBCoordinates,
+  DefaultPartBCoordinates,
+  CALIBRATED_COORDINATES_PATH,
+  mergeCoordinates,
+  loadPartBCoordinates,
+};
\ No newline at end of file
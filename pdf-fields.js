@@ -0,0 +1,154 @@
+/**
+ * AcroForm Text Field Fitting
+ *
+ * Fits values into the template's text fields instead of letting viewers
+ * clip them. Each field's layout is read from the PDF - widget rectangle,
+ * border, MaxLen and the font/size in its default appearance (DA) - and the
+ * value is measured with that standard font:
+ *
+ *   - fits at the DA size          -> written as is
+ *   - mapping declares continuation -> split at the DA size; the rest is
+ *                                      carried into the continuation field
+ *   - otherwise                     -> font shrunk down to the minimum size
+ *                                      (wrapping in multiline fields); still
+ *                                      too long is reported as an overflow
+ *
+ * See `continuation` and `minFontSize` in field-mapping.js.
+ */
+
+const { StandardFontEmbedder, StandardFonts } = require('pdf-lib');
+const { fitText, splitToFit } = require('./text-fit');
+
+// DA resource names used by Acrobat-authored forms -> standard fonts
+const DA_FONTS = {
+  Helv: StandardFonts.Helvetica,
+  HeBo: StandardFonts.HelveticaBold,
+  HeOb: StandardFonts.HelveticaOblique,
+  TiRo: StandardFonts.TimesRoman,
+  TiBo: StandardFonts.TimesRomanBold,
+  Cour: StandardFonts.Courier,
+  CoBo: StandardFonts.CourierBold,
+};
+
+const AUTO_FONT_SIZE = 12; // DA size 0 means "auto"; start from here
+const DEFAULT_MIN_FONT_SIZE = 6;
+const TEXT_PADDING = 1; // pdf-lib's text field appearance inset, inside the border
+const TF_PATTERN = /\/([^\s/]+)\s+([\d.]+)\s+Tf/;
+
+const measuringFonts = new Map();
+
+function getMeasuringFont(daFontName) {
+  const name = DA_FONTS[daFontName] || StandardFonts.Helvetica;
+  if (!measuringFonts.has(name)) {
+    measuringFonts.set(name, StandardFontEmbedder.for(name));
+  }
+  return measuringFonts.get(name);
+}
+
+function parseDefaultAppearance(da) {
+  const match = da ? da.match(TF_PATTERN) : null;
+  return match ? { fontName: match[1], fontSize: parseFloat(match[2]) } : null;
+}
+
+/**
+ * Read the layout of a text field from its first widget.
+ *
+ * @param {PDFTextField} textField
+ * @returns {{ width, height, fontSize, fontName, font, maxLength, multiline }}
+ */
+function getTextFieldLayout(textField) {
+  const acroField = textField.acroField;
+  const widget = acroField.getWidgets()[0];
+  const rect = widget.getRectangle();
+  const border = widget.getBorderStyle()?.getWidth() ?? 0;
+  const inset = (border + TEXT_PADDING) * 2;
+
+  // pdf-lib prefers the widget's DA over the field's, so read it the same way
+  const appearance = parseDefaultAppearance(widget.getDefaultAppearance())
+    || parseDefaultAppearance(acroField.getDefaultAppearance())
+    || { fontName: 'Helv', fontSize: 0 };
+
+  return {
+    width: rect.width - inset,
+    height: rect.height - inset,
+    fontSize: appearance.fontSize || Math.min(AUTO_FONT_SIZE, rect.height - inset),
+    fontName: appearance.fontName,
+    font: getMeasuringFont(appearance.fontName),
+    maxLength: textField.getMaxLength(),
+    multiline: textField.isMultiline(),
+  };
+}
+
+/**
+ * Set the font size in every DA of a text field (field and widgets).
+ */
+function setTextFieldFontSize(textField, size) {
+  const targets = [textField.acroField, ...textField.acroField.getWidgets()];
+  let updated = false;
+
+  targets.forEach(target => {
+    const da = target.getDefaultAppearance();
+    if (da && TF_PATTERN.test(da)) {
+      target.setDefaultAppearance(da.replace(TF_PATTERN, (m, font) => `/${font} ${size} Tf`));
+      updated = true;
+    }
+  });
+
+  if (!updated) {
+    textField.acroField.setDefaultAppearance(`/Helv ${size} Tf 0 g`);
+  }
+}
+
+/**
+ * Fit a value into a text field's layout.
+ *
+ * @param {string} text - Value to write
+ * @param {Object} layout - From getTextFieldLayout() (or a cached copy without `font`)
+ * @param {Object} options
+ * @param {boolean} options.split - Split at the DA size and return the rest (continuation)
+ * @param {number} options.minSize - Smallest font size when shrinking
+ * @returns {{ text: string, rest: string, size: number, fits: boolean }}
+ */
+function fitFieldValue(text, layout, options = {}) {
+  const value = String(text).replace(/\s+/g, ' ').trim();
+  const font = layout.font || getMeasuringFont(layout.fontName);
+  const box = {
+    width: layout.width,
+    height: layout.height,
+    wrap: layout.multiline,
+    minSize: options.minSize || DEFAULT_MIN_FONT_SIZE,
+  };
+
+  let head = value;
+  let rest = '';
+  if (layout.maxLength !== undefined && head.length > layout.maxLength) {
+    rest = head.slice(layout.maxLength);
+    head = head.slice(0, layout.maxLength);
+  }
+
+  const fit = fitText(head, font, { ...box, minSize: layout.fontSize }, layout.fontSize);
+  if (fit.fits && !rest) {
+    return { text: head, rest: '', size: layout.fontSize, fits: true };
+  }
+
+  if (options.split) {
+    const split = splitToFit(value, font, box, layout.fontSize);
+    head = split.head;
+    rest = split.rest;
+    if (layout.maxLength !== undefined && head.length > layout.maxLength) {
+      rest = `${head.slice(layout.maxLength)} ${rest}`.trim();
+      head = head.slice(0, layout.maxLength);
+    }
+    return { text: head, rest, size: layout.fontSize, fits: true };
+  }
+
+  const shrunk = fitText(head, font, box, layout.fontSize);
+  return { text: head, rest: '', size: shrunk.size, fits: shrunk.fits && !rest };
+}
+
+module.exports = {
+  parseDefaultAppearance,
+  getTextFieldLayout,
+  setTextFieldFontSize,
+  fitFieldValue,
+};
@@ -0,0 +1,336 @@
+/**
+ * Golden-File Regression Suite
+ *
+ * Fills a fixed set of runIds and compares everything that lands in the PDF
+ * with golden files in ./regression/, so refactors of the generator, the fill
+ * plan or the Part B overlay cannot silently change the output.
+ *
+ * Each case is filled from scratch (fresh data in a temporary directory) with
+ * MockProvider as the AI and a frozen clock (FROZEN_NOW, UTC), so runs are
+ * reproducible on any machine. An extractFrom case fills its source case, reads
+ * the PDF back with extract-data.js and refills the extracted data, covering
+ * the extract -> refill round trip. A golden file records:
+ *   fields   Every AcroForm field read back from the saved PDF: text values,
+ *            and the appearance state (AS) of each checkbox/radio widget
+ *   draws    Part B draw operations (page, x, y, font size, lines drawn)
+ *
+ * A changed value fails the suite with a diff per runId:
+ *   ~ fields."1 - Last Name": "Smith" -> "Smyth"
+ *   + draws."[Part B] icd code": {...}
+ *   - fields."17 - Gender"[2]: "Off"
+ *
+ * When a change is intended, rewrite the goldens with --update and commit them.
+ *
+ * Usage:
+ *   node regression.js [options]
+ *
+ * Options:
+ *   --update               Rewrite the golden files from the current output
+ *   --case <runId,...>     Only run these cases
+ *   --list                 List the cases
+ */
+
+process.env.TZ = 'UTC';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { fillForm } = require('./fill-form');
+const { extractFormData } = require('./extract-data');
+const { validateSchema } = require('./data-schema');
+const { createAICallback, MockProvider } = require('./ai-integration');
+
+const GOLDEN_DIR = path.join(__dirname, 'regression');
+const FROZEN_NOW = '2025-03-14T15:00:00.000Z';
+const MAX_DIFF_LINES = 40;
+
+// Fixed cases: runIds seed the data, so renaming a case changes its golden
+const RegressionCases = [
+  { runId: 'regression-default' },
+  { runId: 'regression-pregnancy', scenario: 'pregnancy' },
+  { runId: 'regression-post-surgery', scenario: 'post-surgery' },
+  { runId: 'regression-recovered', scenario: 'recovered,wages-continued' },
+  { runId: 'regression-union', scenario: 'union,prior-benefits' },
+  { runId: 'regression-terminated', scenario: 'terminated-employee,workers-comp-offset' },
+  { runId: 'regression-injected', injectFields: true },
+  { runId: 'regression-extracted', extractFrom: 'regression-union' },
+];
+
+// ===========================================
+// SNAPSHOTS
+// ===========================================
+
+function appearanceState(widget) {
+  const as = widget.dict.get(PDFName.of('AS'));
+  return as instanceof PDFName ? as.toString().slice(1) : null;
+}
+
+/**
+ * Every field of a filled PDF: text values (unset text fields are left out)
+ * and widget appearance states for checkboxes and radio groups.
+ */
+async function readPdfFields(pdfPath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath));
+  const fields = {};
+
+  pdfDoc.getForm().getFields().forEach(field => {
+    const name = field.getName();
+    const type = field.constructor.name;
+
+    if (type === 'PDFTextField') {
+      const text = field.getText();
+      if (text !== undefined && text !== '') fields[name] = text;
+    } else if (type === 'PDFCheckBox' || type === 'PDFRadioGroup') {
+      fields[name] = field.acroField.getWidgets().map(appearanceState);
+    } else if (type === 'PDFDropdown' || type === 'PDFOptionList') {
+      fields[name] = field.getSelected();
+    }
+  });
+
+  return sortKeys(fields);
+}
+
+function sortKeys(obj) {
+  return Object.fromEntries(Object.keys(obj).sort().map(key => [key, obj[key]]));
+}
+
+function fillCase(testCase, scratch) {
+  return fillForm(testCase.runId, {
+    silent: true,
+    form: testCase.form,
+    scenario: testCase.scenario,
+    injectFields: testCase.injectFields,
+    ai: true,
+    aiCallback: createAICallback(new MockProvider()),
+    now: FROZEN_NOW,
+    dataDir: path.join(scratch, 'data'),
+    outputDir: path.join(scratch, 'output'),
+  });
+}
+
+/**
+ * Fill an extractFrom case's source, extract the PDF and save it as the
+ * case's data, which must validate against the schema.
+ */
+async function extractCase(testCase, scratch) {
+  const source = RegressionCases.find(c => c.runId === testCase.extractFrom);
+  if (!source) {
+    throw new Error(`${testCase.runId}: unknown extractFrom case ${testCase.extractFrom}`);
+  }
+
+  const filled = await fillCase(source, scratch);
+  const { data } = await extractFormData(filled.outputPath, {
+    runId: testCase.runId,
+    form: testCase.form,
+    now: FROZEN_NOW,
+  });
+
+  const errors = validateSchema(data);
+  if (errors.length > 0) {
+    throw new Error(`${testCase.runId}: extracted data is invalid - ${errors.map(e => `${e.path}: ${e.message}`).join(', ')}`);
+  }
+  fs.writeFileSync(path.join(scratch, 'data', `${testCase.runId}.json`), JSON.stringify(data, null, 2));
+}
+
+/**
+ * Fill one case in a scratch directory and snapshot the result.
+ */
+async function runCase(testCase) {
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'db450-regression-'));
+  try {
+    if (testCase.extractFrom) {
+      await extractCase(testCase, scratch);
+    }
+    const result = await fillCase(testCase, scratch);
+
+    const draws = {};
+    result.filledFields.filter(f => f.draw).forEach(f => { draws[f.name] = f.draw; });
+
+    return {
+      runId: testCase.runId,
+      case: testCase,
+      now: FROZEN_NOW,
+      fields: await readPdfFields(result.outputPath),
+      draws: sortKeys(draws),
+    };
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+// ===========================================
+// DIFF
+// ===========================================
+
+// { fields: { "17 - Gender": ["Off", "X"] } } -> { 'fields."17 - Gender"[1]': '"X"', ... }
+function flatten(value, prefix, out) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, out));
+    if (value.length === 0) out[prefix] = '[]';
+  } else if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      flatten(child, /^[A-Za-z_$][\w$]*$/.test(key) ? `${prefix}.${key}` : `${prefix}.${JSON.stringify(key)}`, out);
+    });
+  } else {
+    out[prefix] = JSON.stringify(value);
+  }
+  return out;
+}
+
+/**
+ * Readable differences between a golden snapshot and the current one.
+ * @returns {string[]} One line per added (+), removed (-) or changed (~) value
+ */
+function diffSnapshots(golden, current) {
+  const before = {};
+  const after = {};
+  ['fields', 'draws'].forEach(section => {
+    flatten(golden[section] || {}, section, before);
+    flatten(current[section] || {}, section, after);
+  });
+
+  const lines = [];
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  keys.forEach(key => {
+    if (!(key in after)) lines.push(`- ${key}: ${before[key]}`);
+    else if (!(key in before)) lines.push(`+ ${key}: ${after[key]}`);
+    else if (before[key] !== after[key]) lines.push(`~ ${key}: ${before[key]} -> ${after[key]}`);
+  });
+  return lines;
+}
+
+function goldenPath(runId) {
+  return path.join(GOLDEN_DIR, `${runId}.json`);
+}
+
+/**
+ * Run the suite.
+ *
+ * @param {Object} options - { update, cases: runIds to run (default: all) }
+ * @returns {Promise<Array>} [{ runId, status: 'pass'|'fail'|'missing'|'updated', diff }]
+ */
+async function runRegression(options = {}) {
+  const selected = options.cases
+    ? RegressionCases.filter(c => options.cases.includes(c.runId))
+    : RegressionCases;
+  if (options.cases) {
+    const unknown = options.cases.filter(id => !RegressionCases.some(c => c.runId === id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown case(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  const outcomes = [];
+  for (const testCase of selected) {
+    const current = await runCase(testCase);
+    const file = goldenPath(testCase.runId);
+
+    if (options.update) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(current, null, 2) + '\n');
+      outcomes.push({ runId: testCase.runId, status: 'updated', diff: [] });
+      continue;
+    }
+
+    if (!fs.existsSync(file)) {
+      outcomes.push({ runId: testCase.runId, status: 'missing', diff: [] });
+      continue;
+    }
+
+    const diff = diffSnapshots(JSON.parse(fs.readFileSync(file, 'utf-8')), current);
+    outcomes.push({ runId: testCase.runId, status: diff.length === 0 ? 'pass' : 'fail', diff });
+  }
+  return outcomes;
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Golden-File Regression Suite
+
+Fills fixed runIds with MockProvider and a frozen clock (${FROZEN_NOW}) and
+compares every field value, checkbox appearance state and Part B draw
+operation with the golden files in ./regression/.
+
+Usage:
+  node regression.js [options]
+
+Options:
+  --update               Rewrite the golden files from the current output
+  --case <runId,...>     Only run these cases
+  --list                 List the cases
+
+Examples:
+  npm test
+  node regression.js --case regression-union
+  npm run test:update
+    `);
+    process.exit(0);
+  }
+
+  if (args.includes('--list')) {
+    RegressionCases.forEach(c => {
+      const details = [
+        c.scenario && `scenario: ${c.scenario}`,
+        c.injectFields && 'inject fields',
+        c.extractFrom && `extracted from ${c.extractFrom}`,
+      ].filter(Boolean);
+      console.log(`${c.runId}${details.length ? `  (${details.join(', ')})` : ''}`);
+    });
+    return;
+  }
+
+  const caseIndex = args.indexOf('--case');
+  const cases = caseIndex !== -1 && args[caseIndex + 1]
+    ? args[caseIndex + 1].split(',').map(s => s.trim()).filter(Boolean)
+    : undefined;
+  const update = args.includes('--update');
+
+  let outcomes;
+  try {
+    outcomes = await runRegression({ update, cases });
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+
+  outcomes.forEach(outcome => {
+    if (outcome.status === 'updated') {
+      console.log(`✅ ${outcome.runId}: golden updated`);
+    } else if (outcome.status === 'pass') {
+      console.log(`✅ ${outcome.runId}`);
+    } else if (outcome.status === 'missing') {
+      console.log(`⚠️  ${outcome.runId}: no golden file (run with --update)`);
+    } else {
+      console.log(`❌ ${outcome.runId}: ${outcome.diff.length} difference(s)`);
+      outcome.diff.slice(0, MAX_DIFF_LINES).forEach(line => console.log(`     ${line}`));
+      if (outcome.diff.length > MAX_DIFF_LINES) {
+        console.log(`     ... ${outcome.diff.length - MAX_DIFF_LINES} more`);
+      }
+    }
+  });
+
+  const failed = outcomes.filter(o => o.status === 'fail' || o.status === 'missing');
+  console.log(`\n${outcomes.length - failed.length}/${outcomes.length} case(s) ${update ? 'updated' : 'passed'}`);
+  if (failed.length > 0) {
+    console.log('If the changes are intended, rewrite the goldens with: npm run test:update');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  RegressionCases,
+  FROZEN_NOW,
+  runRegression,
+  runCase,
+  readPdfFields,
+  diffSnapshots,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,513 @@
+/**
+ * Mapping Scaffolder
+ *
+ * Drafts a field mapping module for a new or revised AcroForm template, in
+ * place of hand-writing entries from inspect.js output.
+ *
+ * For every field in the template it guesses a mapping:
+ *   - text fields: a calculated generator from field-name keywords (name,
+ *     address, city, state, zip, phone, email, SSN, FEIN, dates, wages,
+ *     days worked, ...). Runs of fields that split one value (SSN 3 parts,
+ *     FEIN 2 parts, MM/DD/YYYY dates) get one part each; the weekly wage
+ *     table gets week numbers in order
+ *   - yes/no checkboxes (Yes and No on-values): a checkbox mapping, bound to a
+ *     checkbox state when the name suggests one
+ *   - multi-option checkboxes: a checkbox-multi mapping listing the on-values
+ *   - everything else: a blank static entry to fill in
+ *
+ * Each entry carries a confidence comment (high, medium, low, none) with the
+ * reason for the guess, and entries are grouped by page and section (numbered
+ * items restart at each section). Review every entry, then check the draft
+ * with lint-mapping.js.
+ *
+ * The draft exports a form definition (see form-registry.js); once reviewed it
+ * can go in ./forms/ to be registered.
+ *
+ * Usage:
+ *   node scaffold-mapping.js <template.pdf> [options]
+ *
+ * Options:
+ *   --output <file>        Write the draft module here (default: print it)
+ *   --id <id>              Form id for the definition (default: from the file name)
+ *   --title <title>        Form title (default: the id)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { getCheckboxOnValues, isYesNoCheckbox } = require('./fill-plan');
+const { getWidgetPages } = require('./inspect');
+
+// ===========================================
+// GUESS RULES
+// ===========================================
+
+// Who a field is about, from words in its name
+const RoleKeywords = {
+  employer: /employer|company|business|firm|trade name|carrier|policy/i,
+  provider: /physician|doctor|provider|practitioner|chiropractor|podiatrist|license/i,
+};
+
+/**
+ * Text field rules, first match wins. A rule gives a generator per role
+ * (`generators`), or `parts` for runs of consecutive fields that split one value.
+ * Rules with a `table` key are numbered by row (weekly wage table); `ai` rules
+ * become AI descriptions continued across their run of fields; `weak` rules are
+ * never more than low confidence.
+ */
+const TextRules = [
+  { key: 'ssn', match: /social\s*sec|\bsocial\b|\bssn\b/i, parts: ['ssnPart1', 'ssnPart2', 'ssnPart3'] },
+  { key: 'fein', match: /fein|federal employer|employer identification/i, parts: ['employerFEIN1', 'employerFEIN2'] },
+  { key: 'dob', match: /birth|\bdob\b/i, parts: ['dobMonth', 'dobDay', 'dobYear'] },
+  { key: 'disabilityStart', match: /became dis|became dia|disability (began|start)/i, parts: ['disabilityStartMonth', 'disabilityStartDay', 'disabilityStartYear'] },
+  { key: 'returnToWork', match: /return(ed)? to work/i, parts: ['returnToWorkMonth', 'returnToWorkDay', 'returnToWorkYear'] },
+  { key: 'description', match: /describe|description/i, ai: 'disability_description' },
+  { key: 'weekEnd', match: /week end|week ending|last day worked|last worked/i, table: 'weekEndDate', generators: { claimant: 'lastDayWorked', employer: 'lastDayWorked' } },
+  { key: 'daysWorked', match: /days worked/i, table: 'daysWorkedWeek' },
+  { key: 'averageWage', match: /average.*wage|wage.*average/i, generators: { claimant: 'averageWeeklyWage', employer: 'averageWeeklyWage' } },
+  { key: 'wage', match: /gross|wage|amount paid/i, table: 'weeklyWage' },
+  { key: 'hireDate', match: /first day|hire|employment (began|start)|date employed/i, generators: { claimant: 'hireDate', employer: 'hireDate' } },
+  { key: 'signatureDate', match: /date signed|signature date|date of signature/i, generators: { claimant: 'signatureDate', employer: 'employerSignatureDate' } },
+  { key: 'terminationDate', match: /terminat/i, generators: { claimant: 'terminationDate', employer: 'terminationDate' } },
+  { key: 'nameAndTitle', match: /name\s+and\s+title/i, generators: { employer: 'employerSignatoryNameTitle' } },
+  { key: 'contactName', match: /contact name/i, generators: { employer: 'employerContactName' } },
+  { key: 'contactPhone', match: /contact phone/i, generators: { employer: 'employerContactPhone' } },
+  { key: 'lastName', match: /last name|surname|family name/i, generators: { claimant: 'lastName' } },
+  { key: 'firstName', match: /first name|given name/i, generators: { claimant: 'firstName' } },
+  { key: 'middleInitial', match: /middle|initial\b|\bmi\b/i, generators: { claimant: 'middleInitial' } },
+  { key: 'union', match: /union/i, generators: { claimant: 'unionName' } },
+  { key: 'occupation', match: /occupation|job|position/i, generators: { claimant: 'occupation' } },
+  { key: 'email', match: /e-?mail/i, generators: { claimant: 'claimantEmail', employer: 'employerEmail' } },
+  { key: 'phone', match: /phone|telephone|\btel\b/i, generators: { claimant: 'claimantPhone', employer: 'employerPhone' } },
+  { key: 'cityStateZip', match: /city.*state.*zip/i, generators: { employer: 'employerCityStateZip' } },
+  { key: 'zip', match: /^(zip|postal)|\b(zip|zip code|postal code)$/i, generators: { claimant: 'claimantZip', employer: 'employerCityStateZip' } },
+  { key: 'state', match: /^state\b|\bstate$/i, generators: { claimant: 'claimantState', employer: 'employerCityStateZip' } },
+  { key: 'city', match: /^(city|town)\b|\b(city|town)$/i, generators: { claimant: 'claimantCity', employer: 'employerCityStateZip' } },
+  { key: 'address', match: /address|street/i, generators: { claimant: 'claimantAddress', employer: 'employerAddress' } },
+  { key: 'policy', match: /policy/i, generators: { employer: 'policyNumber' } },
+  { key: 'name', match: /\bname\b/i, generators: { employer: 'employerBusinessName' } },
+  { key: 'date', match: /\bdate\b|mm\s*dd\s*yy/i, generators: { claimant: 'signatureDate', employer: 'employerSignatureDate' }, weak: true },
+];
+
+// Yes/no question keywords -> checkbox state (see CheckboxStateMap in data-generator.js)
+const CheckboxStateRules = [
+  { match: /work that day/i, state: 'didWorkOnDisabilityDay' },
+  { match: /recovered/i, state: 'hasRecovered' },
+  { match: /worked for wages|since worked/i, state: 'workedForWages' },
+  { match: /union/i, state: 'unionMember' },
+  { match: /unemploy/i, state: 'unemploymentBenefits' },
+  { match: /family leave|\bpfl\b/i, state: 'paidFamilyLeave' },
+  { match: /workers.? comp/i, state: 'workersComp' },
+  { match: /no.?fault/i, state: 'noFaultAccident' },
+  { match: /third party/i, state: 'thirdPartyInjury' },
+  { match: /social security/i, state: 'longTermDisability' },
+  { match: /reimburse/i, state: 'reimbursementRequested' },
+  { match: /wages.*continued|continued.*wages/i, state: 'wagesContinued' },
+  { match: /receiving wages|salary|separation pay/i, state: 'receivingWages' },
+  { match: /still in your employ|still employed/i, state: 'stillEmployed' },
+  { match: /contribute/i, state: 'employeeContributes' },
+  { match: /other periods of disability/i, state: 'priorDisability' },
+];
+
+// Multi-option checkboxes recognised by their on-values
+const MultiOptionRules = [
+  { match: (values) => values.some(v => /^(male|m)$/i.test(v)) && values.some(v => /^(female|f)$/i.test(v)), generator: 'genderSelection', reason: 'gender options' },
+  { match: (values) => values.includes('Received') && values.includes('Claimed'), generator: 'receivedOrClaimed', reason: 'received/claimed options' },
+];
+
+// ===========================================
+// TEMPLATE
+// ===========================================
+
+// '14 - Date of Birth' -> { item: 14, label: 'Date of Birth' }
+function parseFieldName(name) {
+  const match = name.match(/^(\d+)\s*[a-z]?\s*-?\s*(.*)$/i);
+  return match ? { item: Number(match[1]), label: match[2].trim() } : { item: null, label: name.trim() };
+}
+
+/**
+ * Read the template's fields with their page (1-based), position and checkbox
+ * on-values.
+ */
+async function readTemplate(templatePath) {
+  const pdfDoc = await PDFDocument.load(fs.readFileSync(templatePath));
+  const pages = getWidgetPages(pdfDoc);
+
+  const fields = pdfDoc.getForm().getFields().map(field => {
+    const name = field.getName();
+    const type = field.constructor.name;
+    const widgets = field.acroField.getWidgets();
+    const ref = widgets.length > 0 ? pdfDoc.context.getObjectRef(widgets[0].dict) : null;
+    const pageIndex = ref ? pages.get(ref.toString()) : undefined;
+
+    const rect = widgets.length > 0 ? widgets[0].getRectangle() : { x: 0, y: 0 };
+    const entry = {
+      name,
+      type,
+      page: pageIndex === undefined ? null : pageIndex + 1,
+      x: rect.x,
+      y: rect.y,
+      ...parseFieldName(name),
+    };
+    if (type === 'PDFCheckBox') {
+      entry.onValues = getCheckboxOnValues(field, pdfDoc);
+    }
+    return entry;
+  });
+
+  return { fields, pageCount: pdfDoc.getPageCount() };
+}
+
+// Reading order: rows top to bottom (within ROW_TOLERANCE points), left to right
+const ROW_TOLERANCE = 6;
+// Item numbers dropping by more than this start a new section (smaller drops are
+// columns read across)
+const SECTION_RESTART = 5;
+
+function byPosition(a, b) {
+  if (Math.abs(a.y - b.y) > ROW_TOLERANCE) return b.y - a.y;
+  return a.x - b.x;
+}
+
+/**
+ * Group fields by page, then into sections: numbered items restart at each
+ * section (Part A 1-80, Part C 1-35, ...). Fields are listed by item number
+ * within a section, in reading order otherwise.
+ */
+function groupSections(fields) {
+  const pages = new Map();
+  fields.forEach(field => {
+    if (!pages.has(field.page)) pages.set(field.page, []);
+    pages.get(field.page).push(field);
+  });
+
+  const sections = [];
+  [...pages.keys()].sort((a, b) => (a === null) - (b === null) || a - b).forEach(page => {
+    let current = null;
+    let lastItem = null;
+    pages.get(page).sort(byPosition).forEach(field => {
+      const restarts = field.item !== null && lastItem !== null && field.item < lastItem - SECTION_RESTART;
+      if (!current || restarts) {
+        current = { page, number: sections.filter(s => s.page === page).length + 1, fields: [] };
+        sections.push(current);
+        lastItem = null;
+      }
+      current.fields.push(field);
+      if (field.item !== null) lastItem = Math.max(lastItem === null ? field.item : lastItem, field.item);
+    });
+  });
+
+  sections.forEach(section => {
+    const order = new Map(section.fields.map((f, i) => [f, i]));
+    section.fields.sort((a, b) => {
+      if (a.item !== null && b.item !== null && a.item !== b.item) return a.item - b.item;
+      return order.get(a) - order.get(b);
+    });
+    const items = section.fields.map(f => f.item).filter(n => n !== null);
+    section.items = items.length > 0 ? [Math.min(...items), Math.max(...items)] : null;
+  });
+  return sections;
+}
+
+function fieldRole(name) {
+  return Object.keys(RoleKeywords).find(role => RoleKeywords[role].test(name)) || null;
+}
+
+// Fields a few items after one that names its role (e.g. the address after
+// "Firm or Trade Name") are about the same party
+const ROLE_REACH = 5;
+
+function assignRoles(fields) {
+  let anchor = null;
+  fields.forEach(field => {
+    const own = fieldRole(field.name);
+    if (own) {
+      anchor = { role: own, item: field.item };
+      field.role = own;
+      field.roleFrom = 'name';
+    } else if (anchor && field.item !== null && anchor.item !== null && field.item - anchor.item <= ROLE_REACH && !/\byour?\b|claimant/i.test(field.label)) {
+      field.role = anchor.role;
+      field.roleFrom = 'nearby';
+    } else {
+      field.role = 'claimant';
+      field.roleFrom = 'default';
+    }
+  });
+}
+
+// ===========================================
+// GUESSING
+// ===========================================
+
+function guessCheckbox(field) {
+  const values = [...new Set(field.onValues.map(v => v.value))];
+
+  if (isYesNoCheckbox(field.onValues)) {
+    const rule = CheckboxStateRules.find(r => r.match.test(field.label));
+    if (rule) {
+      return { mapping: { type: 'checkbox', state: rule.state }, confidence: 'medium', reason: `yes/no, "${field.label}" suggests ${rule.state}` };
+    }
+    return { mapping: { type: 'checkbox', probability: 0.2 }, confidence: 'low', reason: 'yes/no; bind to a checkbox state' };
+  }
+
+  if (values.length > 1) {
+    const rule = MultiOptionRules.find(r => r.match(values));
+    if (rule) {
+      return { mapping: { type: 'checkbox-multi', generator: rule.generator, values }, confidence: 'high', reason: rule.reason };
+    }
+    return {
+      mapping: { type: 'static', value: values[0] },
+      confidence: 'low',
+      reason: `options ${values.join(', ')}; always selects "${values[0]}" - use a checkbox-multi generator`,
+    };
+  }
+
+  return { mapping: { type: 'checkbox', probability: 0.5 }, confidence: 'low', reason: 'single checkbox' };
+}
+
+function roleGenerator(rule, role) {
+  if (!rule.generators) return null;
+  if (rule.generators[role]) return { generator: rule.generators[role], exact: true };
+  const fallback = rule.generators.claimant || Object.values(rule.generators)[0];
+  return fallback ? { generator: fallback, exact: false } : null;
+}
+
+/**
+ * Guess a mapping for every field of a section.
+ *
+ * @returns {Array} [{ field, mapping, confidence, reason }]
+ */
+function guessSection(section) {
+  const guesses = [];
+  const fields = section.fields;
+  assignRoles(fields);
+
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+
+    if (field.type === 'PDFCheckBox') {
+      guesses.push({ field, ...guessCheckbox(field) });
+      continue;
+    }
+    if (field.type !== 'PDFTextField') {
+      guesses.push({ field, mapping: { type: 'static', value: '' }, confidence: 'none', reason: `${field.type} fields are not filled` });
+      continue;
+    }
+
+    const rule = TextRules.find(r => r.match.test(field.label));
+    if (!rule) {
+      guesses.push({ field, mapping: { type: 'static', value: '' }, confidence: 'none', reason: 'no keyword match' });
+      continue;
+    }
+
+    // AI descriptions: the first field of the run, continued into the next ones
+    if (rule.ai) {
+      let end = i;
+      while (end + 1 < fields.length && fields[end + 1].type === 'PDFTextField' && rule.match.test(fields[end + 1].label)) end++;
+      fields.slice(i, end + 1).forEach((part, p, run) => {
+        const mapping = p === 0
+          ? { type: 'ai', prompt: `Generate a brief answer (1-2 sentences) for: ${field.label}`, category: rule.ai }
+          : { type: 'static', value: '' };
+        if (p < run.length - 1) mapping.continuation = run[p + 1].name;
+        guesses.push({ field: part, mapping, confidence: 'medium', reason: p === 0 ? 'description (AI)' : 'continues the description above' });
+      });
+      i = end;
+      continue;
+    }
+
+    // Split values: a run of consecutive fields matching the same rule
+    if (rule.parts) {
+      let end = i;
+      while (end + 1 < fields.length && fields[end + 1].type === 'PDFTextField' && rule.match.test(fields[end + 1].label)) end++;
+      const run = fields.slice(i, end + 1);
+      const complete = run.length === rule.parts.length;
+      run.forEach((part, p) => {
+        const generator = rule.parts[Math.min(p, rule.parts.length - 1)];
+        guesses.push({
+          field: part,
+          mapping: { type: 'calculated', generator },
+          confidence: complete ? 'high' : 'low',
+          reason: complete
+            ? `${rule.key} part ${p + 1} of ${rule.parts.length}`
+            : `${rule.key} split over ${run.length} field(s), expected ${rule.parts.length}`,
+        });
+      });
+      i = end;
+      continue;
+    }
+
+    // Weekly wage table: rows are numbered by the "days worked" columns seen so far
+    const isTableRow = rule.table && fields.filter(f => /days worked/i.test(f.label)).length > 1;
+    if (isTableRow) {
+      const daysSeen = fields.slice(0, i).filter(f => /days worked/i.test(f.label)).length;
+      const row = rule.key === 'wage' ? Math.max(daysSeen, 1) : daysSeen + 1;
+      if (row <= 8 && (rule.key !== 'weekEnd' || (fields[i + 1] && /days worked/i.test(fields[i + 1].label)))) {
+        guesses.push({ field, mapping: { type: 'calculated', generator: rule.table, args: [row] }, confidence: 'medium', reason: `wage table week ${row}` });
+        continue;
+      }
+    }
+
+    const role = field.role;
+    const chosen = roleGenerator(rule, role);
+    if (!chosen) {
+      guesses.push({ field, mapping: { type: 'static', value: '' }, confidence: 'none', reason: `"${rule.key}" has no generator here` });
+      continue;
+    }
+
+    let confidence = 'low';
+    if (chosen.exact && !rule.weak) confidence = field.roleFrom === 'nearby' ? 'medium' : 'high';
+    guesses.push({
+      field,
+      mapping: { type: 'calculated', generator: chosen.generator },
+      confidence,
+      reason: `${rule.key}${role !== 'claimant' ? ` (${role}${field.roleFrom === 'nearby' ? ' by nearby fields' : ''})` : ''}`
+        + `${chosen.exact ? '' : `, no ${role} generator`}${rule.weak ? ', generic date' : ''}`,
+    });
+  }
+
+  return guesses;
+}
+
+// ===========================================
+// OUTPUT
+// ===========================================
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  return String(value);
+}
+
+function formatMapping(mapping) {
+  return `{ ${Object.entries(mapping).map(([k, v]) => `${k}: ${formatValue(v)}`).join(', ')} }`;
+}
+
+function sectionTitle(section) {
+  const items = section.items ? ` (items ${section.items[0]}-${section.items[1]})` : '';
+  const page = section.page === null ? 'NO PAGE' : `PAGE ${section.page}`;
+  return `${page} - SECTION ${section.number}${items}`;
+}
+
+/**
+ * Build the draft mapping module for a template.
+ *
+ * @param {string} templatePath
+ * @param {Object} options - { id, title, output (where the module will live) }
+ * @returns {Promise<{ source: string, stats: Object }>}
+ */
+async function scaffoldMapping(templatePath, options = {}) {
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template not found: ${templatePath}`);
+  }
+
+  const { fields, pageCount } = await readTemplate(templatePath);
+  if (fields.length === 0) {
+    throw new Error(`${templatePath} has no AcroForm fields`);
+  }
+
+  const id = options.id || path.basename(templatePath, path.extname(templatePath)).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const title = options.title || id;
+  const moduleDir = options.output ? path.dirname(path.resolve(options.output)) : process.cwd();
+  const templateRef = path.relative(moduleDir, path.resolve(templatePath)).split(path.sep).join('/');
+
+  const stats = { fields: fields.length, high: 0, medium: 0, low: 0, none: 0 };
+  const lines = [];
+  const seen = new Set();
+
+  groupSections(fields).forEach(section => {
+    lines.push('', '  // ===========================================', `  // ${sectionTitle(section)}`, '  // ===========================================', '');
+    guessSection(section).forEach(({ field, mapping, confidence, reason }) => {
+      stats[confidence]++;
+      if (seen.has(field.name)) return;
+      seen.add(field.name);
+      lines.push(`  ${formatValue(field.name)}: ${formatMapping(mapping)}, // confidence: ${confidence} - ${reason}`);
+    });
+  });
+
+  const source = `/**
+ * Draft Field Mappings for ${path.basename(templatePath)}
+ *
+ * Generated by scaffold-mapping.js on ${new Date().toISOString().slice(0, 10)} (${fields.length} fields, ${pageCount} pages).
+ * Every entry is a guess marked with its confidence (high, medium, low, none);
+ * review each one, then check the draft with:
+ *   node lint-mapping.js --form ${id}
+ *
+ * Once reviewed, place this module in ./forms/ to register the form.
+ */
+
+const path = require('path');
+
+const FieldMappings = {${lines.join('\n')}
+};
+
+module.exports = {
+  id: ${formatValue(id)},
+  title: ${formatValue(title)},
+  template: path.join(__dirname, ${formatValue(templateRef)}),
+  mappings: FieldMappings,
+};
+`;
+
+  return { source, stats };
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+Mapping Scaffolder
+
+Drafts a field mapping module for an AcroForm template. Generators are guessed
+from field-name keywords, checkboxes from their on-values, and every entry is
+marked with a confidence comment for review.
+
+Usage:
+  node scaffold-mapping.js <template.pdf> [options]
+
+Options:
+  --output <file>        Write the draft module here (default: print it)
+  --id <id>              Form id for the definition (default: from the file name)
+  --title <title>        Form title (default: the id)
+
+Examples:
+  node scaffold-mapping.js ./DB450-2026.pdf --output ./db450-2026.draft.js --id db-450-2026
+  node lint-mapping.js --form db-450-2026    (after moving the reviewed draft to ./forms/)
+    `);
+    process.exit(0);
+  }
+
+  const getFlag = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const template = args[0];
+  const output = getFlag('--output');
+
+  try {
+    const { source, stats } = await scaffoldMapping(template, { id: getFlag('--id'), title: getFlag('--title'), output });
+
+    if (!output) {
+      process.stdout.write(source);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, source);
+    console.log(`✅ Draft mapping for ${stats.fields} fields written to ${output}`);
+    console.log(`   Confidence: ${stats.high} high, ${stats.medium} medium, ${stats.low} low, ${stats.none} none`);
+    if (stats.low + stats.none > 0) {
+      console.log(`⚠️  ${stats.low + stats.none} entries need a closer look (low/none)`);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { scaffoldMapping, readTemplate, groupSections, guessSection };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,102 @@
+/**
+ * Scenario Profiles
+ *
+ * Named profiles that pin parts of a generated claim so a specific branch of
+ * the form can be produced on demand instead of searching runIds. Each
+ * profile may declare:
+ *
+ * - checkboxStates:  Checkbox states to pin (keys of data.checkboxes)
+ * - claimant:        Claimant fields to pin (e.g. gender)
+ * - conditionalData: Conditional answers to pin (e.g. receivedOrClaimed)
+ * - dates:           Ranges replacing generateBaseData()'s default offsets
+ *                    (disabilityStartDaysAgo, employmentYears, returnToWorkDaysAgo,
+ *                    returnToWorkDaysAhead, priorBenefitMonthsAgo, terminationDaysAfterLastDay)
+ * - conditions:      Disability description categories to choose from
+ *                    (see SampleDisabilityDescriptions)
+ *
+ * Several profiles can be combined with commas (e.g. 'recovered,union');
+ * later profiles override earlier ones.
+ */
+
+const Scenarios = {
+  pregnancy: {
+    description: 'Pregnancy-related disability, not yet recovered',
+    checkboxStates: { hasRecovered: false, didWorkOnDisabilityDay: false, workedForWages: false },
+    claimant: { gender: 'Female' },
+    dates: { disabilityStartDaysAgo: { min: 7, max: 14 }, returnToWorkDaysAhead: { min: 42, max: 56 } },
+    conditions: ['pregnancy'],
+  },
+  'post-surgery': {
+    description: 'Recovery following surgery, return to work estimated weeks out',
+    checkboxStates: { hasRecovered: false, workedForWages: false },
+    dates: { returnToWorkDaysAhead: { min: 28, max: 56 } },
+    conditions: ['post-surgical'],
+  },
+  recovered: {
+    description: 'Claimant has recovered and returned to work',
+    checkboxStates: { hasRecovered: true },
+    dates: { disabilityStartDaysAgo: { min: 14, max: 21 }, returnToWorkDaysAgo: { min: 0, max: 5 } },
+  },
+  union: {
+    description: 'Claimant is a union member',
+    checkboxStates: { unionMember: true },
+  },
+  'prior-benefits': {
+    description: 'Prior disability and Paid Family Leave in the last 52 weeks (items 14/15)',
+    checkboxStates: { priorDisability: true, priorPFL: true, priorLeave: true },
+  },
+  'wages-continued': {
+    description: 'Employer continued wages during disability and requests reimbursement',
+    checkboxStates: { wagesContinued: true, receivingWages: true, reimbursementRequested: true },
+  },
+  'workers-comp-offset': {
+    description: 'Workers compensation claimed for the same injury (item 13)',
+    checkboxStates: { workersComp: true },
+    conditions: ['injury'],
+  },
+  'terminated-employee': {
+    description: 'Employment terminated after the last day worked',
+    checkboxStates: { stillEmployed: false, wagesContinued: false, reimbursementRequested: false },
+    dates: { terminationDaysAfterLastDay: { min: 1, max: 7 } },
+  },
+};
+
+/**
+ * Resolve a scenario selection into a single merged profile.
+ *
+ * @param {string|Object|null} scenario - Profile name(s) ('recovered,union') or a profile object
+ * @returns {Object|null} { name, checkboxStates, claimant, conditionalData, dates, conditions }
+ */
+function resolveScenario(scenario) {
+  if (!scenario) return null;
+
+  if (typeof scenario === 'object') {
+    return {
+      name: scenario.name || 'custom',
+      checkboxStates: { ...scenario.checkboxStates },
+      claimant: { ...scenario.claimant },
+      conditionalData: { ...scenario.conditionalData },
+      dates: { ...scenario.dates },
+      conditions: scenario.conditions || null,
+    };
+  }
+
+  const names = scenario.split(',').map(n => n.trim()).filter(Boolean);
+  const merged = { name: names.join(','), checkboxStates: {}, claimant: {}, conditionalData: {}, dates: {}, conditions: null };
+
+  names.forEach(name => {
+    const profile = Scenarios[name];
+    if (!profile) {
+      throw new Error(`Unknown scenario: ${name} (available: ${Object.keys(Scenarios).join(', ')})`);
+    }
+    Object.assign(merged.checkboxStates, profile.checkboxStates);
+    Object.assign(merged.claimant, profile.claimant);
+    Object.assign(merged.conditionalData, profile.conditionalData);
+    Object.assign(merged.dates, profile.dates);
+    if (profile.conditions) merged.conditions = profile.conditions;
+  });
+
+  return merged;
+}
+
+module.exports = { Scenarios, resolveScenario };
@@ -0,0 +1,585 @@
+/**
+ * Local HTTP API
+ *
+ * Serves filled forms on demand to other services in a test environment,
+ * on top of fillForm, DataGenerator and batchFill. Listens on localhost only.
+ *
+ * Endpoints:
+ *   POST /claims                  Create (fill) a claim
+ *                                   { runId?, form?, scenario?, overrides?, flatten?, injectFields?, ai? }
+ *                                   overrides: data-model values, nested or dotted
+ *                                   ({ "claimant.firstName": "Ana" }), validated like --data-source
+ *   GET  /claims/:runId/pdf       Filled PDF
+ *   GET  /claims/:runId/data      Generated data (generated-data/<runId>.json)
+ *   GET  /claims/:runId/report    Fill report, including every field written (filledDetails)
+ *   POST /batches                 Start a batch job (runs in the background, one at a time)
+ *                                   { count, prefix?, form?, scenario?, coverage?, strict?,
+ *                                     concurrency?, force?, ai? }
+ *                                   concurrency is capped at the server's CPU count
+ *   GET  /batches                 List batch jobs
+ *   GET  /batches/:id             Job status and progress; results once done
+ *   GET  /health                  Liveness check
+ *
+ * Review UI (see claim-editor.js):
+ *   GET  /                        Browser UI to review, edit and refill generated claims
+ *   GET  /runs                    Runs with generated data
+ *   GET  /claims/:runId/editor    Editor sections with current values and field types
+ *   PUT  /claims/:runId/data      Save data-model edits ({ "claimant.firstName": "Ana" })
+ *                                   and refill; 400 with { errors: [{ path, message }] }
+ *                                   when invalid (nothing is saved)
+ *   GET  /claims/:runId/pages     Page count of the filled PDF
+ *   GET  /claims/:runId/pages/:n  Page n of the filled PDF as a single-page PDF
+ *
+ * Errors are JSON: { error: "message" } with a 4xx/5xx status.
+ *
+ * Usage:
+ *   node server.js [options]
+ *
+ * Options:
+ *   --port <n>             Port to listen on (default: 3450)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { fillForm } = require('./fill-form');
+const { batchFill } = require('./batch-fill');
+const { DataGenerator } = require('./data-generator');
+const { getForm, listForms } = require('./form-registry');
+const { Scenarios } = require('./scenarios');
+const { buildRecord, flattenRecord, formatRecordErrors } = require('./data-source');
+const { createGroqCallback } = require('./ai-integration');
+const { listRuns, getEditorModel, saveClaimEdits, getPageCount, renderPage } = require('./claim-editor');
+
+const HOST = '127.0.0.1';
+const DEFAULT_PORT = 3450;
+const OUTPUT_DIR = './output';
+const DATA_DIR = './generated-data';
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_BATCH_COUNT = 1000;
+const MAX_BATCH_CONCURRENCY = os.cpus().length;
+const RUN_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+const REVIEW_UI = path.join(__dirname, 'review-ui.html');
+
+// ===========================================
+// HTTP HELPERS
+// ===========================================
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+  });
+  res.end(json);
+}
+
+function sendBytes(res, bytes, contentType) {
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': bytes.length,
+    'Cache-Control': 'no-store',
+  });
+  res.end(Buffer.from(bytes));
+}
+
+function sendFile(res, filePath, contentType) {
+  const stat = fs.statSync(filePath);
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': stat.size,
+    'Content-Disposition': `inline; filename="${path.basename(filePath)}"`,
+  });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf-8').trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          return reject(httpError(400, 'Request body must be a JSON object'));
+        }
+        resolve(body);
+      } catch (err) {
+        reject(httpError(400, `Invalid JSON: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+
+function checkRunId(runId) {
+  if (!RUN_ID_PATTERN.test(String(runId))) {
+    throw httpError(400, `Invalid runId "${runId}" (letters, digits, '.', '_' and '-'; up to 100 characters)`);
+  }
+  return String(runId);
+}
+
+function checkForm(form) {
+  if (form === undefined) return undefined;
+  try {
+    return getForm(form).id;
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+}
+
+function checkScenario(scenario) {
+  if (scenario === undefined || scenario === null) return undefined;
+  const names = Array.isArray(scenario) ? scenario : String(scenario).split(',');
+  const unknown = names.map(n => String(n).trim()).filter(n => !Scenarios[n]);
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown scenario(s): ${unknown.join(', ')} (available: ${Object.keys(Scenarios).join(', ')})`);
+  }
+  return names.map(n => String(n).trim()).join(',');
+}
+
+function checkAI(ai) {
+  if (ai && !process.env.GROQ_API_KEY) {
+    throw httpError(400, 'AI generation requires GROQ_API_KEY on the server');
+  }
+  return Boolean(ai);
+}
+
+// Overrides become a data-source record, so they are validated the same way
+function buildOverrideRecord(runId, overrides) {
+  if (overrides === undefined || overrides === null) return null;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw httpError(400, 'overrides must be an object of data-model values');
+  }
+
+  const record = buildRecord(flattenRecord(overrides), 0, {}, runId);
+  record.runId = runId;
+  record.ignored.forEach(key => {
+    record.errors.push({ column: key, path: key, message: 'not a data model path' });
+  });
+  if (record.errors.length > 0) {
+    throw httpError(400, `Invalid overrides: ${formatRecordErrors(record)}`);
+  }
+  return record;
+}
+
+function newRunId() {
+  return `api-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// ===========================================
+// CLAIMS
+// ===========================================
+
+async function createClaim(body) {
+  const runId = body.runId === undefined ? newRunId() : checkRunId(body.runId);
+  const record = buildOverrideRecord(runId, body.overrides);
+  const ai = checkAI(body.ai);
+
+  const result = await fillForm(runId, {
+    silent: true,
+    form: checkForm(body.form),
+    scenario: checkScenario(body.scenario),
+    record,
+    flatten: Boolean(body.flatten),
+    injectFields: Boolean(body.injectFields),
+    ai,
+    aiCallback: ai ? createGroqCallback(process.env.GROQ_API_KEY) : null,
+  });
+
+  return {
+    runId,
+    claimant: result.data.claimant.fullName,
+    employer: result.data.employer.name,
+    filledFields: result.filledFields.length,
+    skippedFields: result.skippedFields.length,
+    errors: result.errors,
+    overflows: result.overflows,
+    violations: result.violations,
+    links: claimLinks(runId),
+  };
+}
+
+function claimLinks(runId) {
+  return {
+    pdf: `/claims/${runId}/pdf`,
+    data: `/claims/${runId}/data`,
+    report: `/claims/${runId}/report`,
+  };
+}
+
+function claimFile(runId, kind) {
+  const files = {
+    pdf: path.join(OUTPUT_DIR, `${runId}.pdf`),
+    report: path.join(OUTPUT_DIR, `${runId}-report.json`),
+    data: path.join(DATA_DIR, `${runId}.json`),
+  };
+  if (!fs.existsSync(files[kind])) {
+    throw httpError(404, `No ${kind} for claim ${runId}`);
+  }
+  return files[kind];
+}
+
+// Generated data through DataGenerator, so older files come back migrated
+function readClaimData(runId) {
+  claimFile(runId, 'data');
+  return new DataGenerator(runId, { silent: true }).getData();
+}
+
+// ===========================================
+// REVIEW
+// ===========================================
+
+async function saveEdits(runId, changes) {
+  claimFile(runId, 'data');
+  const result = await saveClaimEdits(runId, changes);
+  if (!result.saved) {
+    const err = httpError(400, `Invalid edits: ${result.errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+    err.errors = result.errors;
+    throw err;
+  }
+  return { runId, ...result, links: claimLinks(runId) };
+}
+
+function checkPage(runId, page) {
+  claimFile(runId, 'pdf');
+  const n = Number(page);
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, `Invalid page "${page}"`);
+  return n;
+}
+
+// ===========================================
+// BATCH JOBS
+// ===========================================
+
+const jobs = new Map();
+const jobQueue = [];
+let jobRunning = false;
+
+function jobSummary(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    request: job.request,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    error: job.error,
+  };
+}
+
+function createBatchJob(body) {
+  const count = body.coverage ? null : parseInt(body.count, 10);
+  if (!body.coverage && (isNaN(count) || count < 1 || count > MAX_BATCH_COUNT)) {
+    throw httpError(400, `count must be a number from 1 to ${MAX_BATCH_COUNT}`);
+  }
+  if (body.coverage && !['each', 'pairwise'].includes(body.coverage)) {
+    throw httpError(400, 'coverage must be "each" or "pairwise"');
+  }
+  const concurrency = body.concurrency === undefined ? 1 : parseInt(body.concurrency, 10);
+  if (isNaN(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+    throw httpError(400, `concurrency must be a number from 1 to ${MAX_BATCH_CONCURRENCY}`);
+  }
+
+  const request = {
+    count,
+    prefix: body.prefix === undefined ? undefined : checkRunId(body.prefix),
+    form: checkForm(body.form),
+    scenario: checkScenario(body.scenario),
+    coverage: body.coverage || null,
+    strict: Boolean(body.strict),
+    force: Boolean(body.force),
+    concurrency,
+    ai: checkAI(body.ai),
+  };
+
+  const id = `batch-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  const job = {
+    id,
+    status: 'queued',
+    request,
+    createdAt: new Date().toISOString(),
+    progress: { done: 0, total: count, succeeded: 0, failed: 0 },
+    results: null,
+  };
+  jobs.set(id, job);
+  jobQueue.push(job);
+  runNextJob();
+  return job;
+}
+
+// Jobs run one at a time; claims within a job may use workers (concurrency)
+async function runNextJob() {
+  if (jobRunning || jobQueue.length === 0) return;
+  jobRunning = true;
+
+  const job = jobQueue.shift();
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    const { request } = job;
+    const results = await batchFill(request.count, request.prefix || 'batch', {
+      form: request.form,
+      scenario: request.scenario,
+      coverage: request.coverage,
+      strict: request.strict,
+      force: request.force,
+      concurrency: request.concurrency,
+      useAI: request.ai,
+      onResult: (result, done, total) => {
+        job.progress.done = done;
+        job.progress.total = total;
+        job.progress[result.success ? 'succeeded' : 'failed']++;
+      },
+    });
+
+    job.results = results.map(r => ({
+      runId: r.runId,
+      success: r.success,
+      status: r.status,
+      claimant: r.claimant,
+      employer: r.employer,
+      violations: (r.violations || []).length,
+      overflows: (r.overflows || []).length,
+      error: r.error,
+      links: r.outputPath ? claimLinks(r.runId) : undefined,
+    }));
+    job.status = 'done';
+  } catch (err) {
+    job.status = 'failed';
+    job.error = err.message;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    jobRunning = false;
+    runNextJob();
+  }
+}
+
+// ===========================================
+// ROUTING
+// ===========================================
+
+const routes = [
+  ['GET', /^\/health$/, () => ({
+    status: 'ok',
+    forms: listForms().map(f => f.id),
+    jobs: { queued: jobQueue.length, running: jobRunning },
+  })],
+
+  ['POST', /^\/claims$/, async (req, res) => {
+    const claim = await createClaim(await readJsonBody(req));
+    sendJson(res, 201, claim);
+  }],
+
+  ['GET', /^\/claims\/([^/]+)\/pdf$/, (req, res, runId) => {
+    sendFile(res, claimFile(checkRunId(runId), 'pdf'), 'application/pdf');
+  }],
+
+  ['GET', /^\/claims\/([^/]+)\/data$/, (req, res, runId) => readClaimData(checkRunId(runId))],
+
+  ['GET', /^\/claims\/([^/]+)\/report$/, (req, res, runId) => {
+    return JSON.parse(fs.readFileSync(claimFile(checkRunId(runId), 'report'), 'utf-8'));
+  }],
+
+  ['GET', /^\/$/, (req, res) => {
+    sendFile(res, REVIEW_UI, 'text/html; charset=utf-8');
+  }],
+
+  ['GET', /^\/runs$/, () => ({ runs: listRuns() })],
+
+  ['GET', /^\/claims\/([^/]+)\/editor$/, (req, res, runId) => {
+    checkRunId(runId);
+    claimFile(runId, 'data');
+    return getEditorModel(runId);
+  }],
+
+  ['PUT', /^\/claims\/([^/]+)\/data$/, async (req, res, runId) => {
+    return saveEdits(checkRunId(runId), await readJsonBody(req));
+  }],
+
+  ['GET', /^\/claims\/([^/]+)\/pages$/, async (req, res, runId) => {
+    claimFile(checkRunId(runId), 'pdf');
+    return { runId, pages: await getPageCount(runId) };
+  }],
+
+  ['GET', /^\/claims\/([^/]+)\/pages\/([^/]+)$/, async (req, res, runId, page) => {
+    const n = checkPage(checkRunId(runId), page);
+    const pages = await getPageCount(runId);
+    if (n > pages) throw httpError(404, `Claim ${runId} has ${pages} page(s)`);
+    sendBytes(res, await renderPage(runId, n), 'application/pdf');
+  }],
+
+  ['POST', /^\/batches$/, async (req, res) => {
+    const job = createBatchJob(await readJsonBody(req));
+    res.setHeader('Location', `/batches/${job.id}`);
+    sendJson(res, 202, { ...jobSummary(job), links: { status: `/batches/${job.id}` } });
+  }],
+
+  ['GET', /^\/batches$/, () => ({ jobs: [...jobs.values()].map(jobSummary) })],
+
+  ['GET', /^\/batches\/([^/]+)$/, (req, res, id) => {
+    const job = jobs.get(id);
+    if (!job) throw httpError(404, `No batch job ${id}`);
+    return { ...jobSummary(job), results: job.results };
+  }],
+];
+
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, `http://${HOST}`);
+  const segments = pathname.split('/').map(s => {
+    try {
+      return decodeURIComponent(s);
+    } catch (err) {
+      return s;
+    }
+  });
+  const decodedPath = segments.join('/');
+
+  try {
+    const matching = routes.filter(([, pattern]) => pattern.test(decodedPath));
+    if (matching.length === 0) {
+      throw httpError(404, `No route for ${pathname}`);
+    }
+    const route = matching.find(([method]) => method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matching.map(([method]) => method).join(', '));
+      throw httpError(405, `${req.method} not allowed on ${pathname}`);
+    }
+
+    const [, pattern, handler] = route;
+    const body = await handler(req, res, ...decodedPath.match(pattern).slice(1));
+    if (body !== undefined && !res.headersSent) {
+      sendJson(res, 200, body);
+    }
+  } catch (err) {
+    const status = err.status || 500;
+    if (status >= 500) {
+      console.error(`${req.method} ${pathname}: ${err.stack || err.message}`);
+    }
+    if (!res.headersSent) {
+      sendJson(res, status, err.errors ? { error: err.message, errors: err.errors } : { error: err.message });
+    } else {
+      res.destroy(err);
+    }
+  }
+}
+
+/**
+ * Create the API server (not yet listening).
+ *
+ * @returns {http.Server}
+ */
+function createServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+}
+
+/**
+ * Start the API on localhost.
+ *
+ * @param {Object} options - { port } (0 picks a free port)
+ * @returns {Promise<http.Server>}
+ */
+function startServer(options = {}) {
+  const port = options.port === undefined ? DEFAULT_PORT : options.port;
+  const server = createServer();
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, HOST, () => resolve(server));
+  });
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Local HTTP API
+
+Fills claims and runs batches on request. Listens on ${HOST} only.
+
+Usage:
+  node server.js [options]
+
+Options:
+  --port <n>    Port to listen on (default: ${DEFAULT_PORT})
+
+Endpoints:
+  POST /claims                 { runId?, form?, scenario?, overrides?, flatten?, injectFields?, ai? }
+  GET  /claims/:runId/pdf      Filled PDF
+  GET  /claims/:runId/data     Generated data
+  GET  /claims/:runId/report   Fill report (every field written)
+  POST /batches                { count, prefix?, form?, scenario?, coverage?, strict?, concurrency?, force?, ai? }
+  GET  /batches                List batch jobs
+  GET  /batches/:id            Job status, progress and results
+  GET  /health                 Liveness check
+
+Review UI:
+  GET  /                       Review, edit and refill generated claims in the browser
+  GET  /runs                   Runs with generated data
+  GET  /claims/:runId/editor   Editor sections and current values
+  PUT  /claims/:runId/data     Save edits ({ "path": value }) and refill
+  GET  /claims/:runId/pages    Page count of the filled PDF
+  GET  /claims/:runId/pages/:n Page n as a single-page PDF
+
+Examples:
+  node server.js
+  curl -X POST localhost:${DEFAULT_PORT}/claims -d '{"scenario":"pregnancy","overrides":{"claimant.firstName":"Ana"}}'
+  curl -o claim.pdf localhost:${DEFAULT_PORT}/claims/<runId>/pdf
+  curl -X POST localhost:${DEFAULT_PORT}/batches -d '{"count":10,"prefix":"load"}'
+    `);
+    process.exit(0);
+  }
+
+  const portIndex = args.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1], 10) : DEFAULT_PORT;
+  if (isNaN(port) || port < 0 || port > 65535) {
+    console.error('Error: --port must be a port number');
+    process.exit(1);
+  }
+
+  try {
+    const server = await startServer({ port });
+    console.log(`✅ DB-450 API listening on http://${HOST}:${server.address().port}`);
+    console.log(`   Review UI: http://${HOST}:${server.address().port}/`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createServer, startServer };
+
+if (require.main === module) {
+  main();
+}
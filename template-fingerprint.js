@@ -0,0 +1,94 @@
+/**
+ * Template Fingerprints
+ *
+ * A form definition records a fingerprint of the template its mappings were
+ * written for:
+ *
+ *   fingerprint: {
+ *     sha256: '<template bytes, 16 hex>',
+ *     pageCount: 9,
+ *     fieldCount: 181,
+ *     fields: '<sorted field name/type set, 16 hex>',
+ *   }
+ *
+ * fillForm compares the template it is given with the recorded fingerprint:
+ *   - same bytes                        -> match
+ *   - other bytes, same fields/pages    -> modified (a warning; e.g. re-saved
+ *                                          or augmented with overlay fields)
+ *   - other fields or page count        -> mismatch: the fill is refused, since
+ *                                          mappings for renamed or removed
+ *                                          fields would silently be skipped
+ *
+ * Fields injected for coordinate overlays (overlay-fields.js) are left out of
+ * the field set, so augmented templates still match their form.
+ *
+ * Print the fingerprint to record for a template with:
+ *   node diff-templates.js --fingerprint <template.pdf>
+ * and see what changed between revisions with:
+ *   node diff-templates.js <old.pdf> <new.pdf>
+ */
+
+const crypto = require('crypto');
+const { overlayFieldMappings } = require('./overlay-fields');
+
+function shortHash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+}
+
+// Field names injected for the form's overlays
+function overlayFieldNames(formDef) {
+  const names = new Set();
+  ((formDef && formDef.overlays) || []).forEach(overlay => {
+    Object.keys(overlayFieldMappings(overlay)).forEach(name => names.add(name));
+  });
+  return names;
+}
+
+/**
+ * Fingerprint a loaded template.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded template
+ * @param {Buffer|Uint8Array} templateBytes - The bytes it was loaded from
+ * @param {Object} formDef - Form definition, for its overlay field names (optional)
+ * @returns {{ sha256, pageCount, fieldCount, fields }}
+ */
+function fingerprintTemplate(pdfDoc, templateBytes, formDef) {
+  const overlayNames = overlayFieldNames(formDef);
+  const fieldSet = pdfDoc.getForm().getFields()
+    .filter(field => !overlayNames.has(field.getName()))
+    .map(field => `${field.getName()}\t${field.constructor.name}`)
+    .sort();
+
+  return {
+    sha256: shortHash(templateBytes),
+    pageCount: pdfDoc.getPageCount(),
+    fieldCount: fieldSet.length,
+    fields: shortHash(fieldSet.join('\n')),
+  };
+}
+
+/**
+ * Compare a template's fingerprint with the one recorded on a form.
+ *
+ * @param {Object} recorded - formDef.fingerprint (may be undefined)
+ * @param {Object} actual - From fingerprintTemplate
+ * @returns {{ status: 'match'|'modified'|'mismatch'|'unrecorded', differences: string[] }}
+ */
+function checkTemplateFingerprint(recorded, actual) {
+  if (!recorded) return { status: 'unrecorded', differences: [] };
+  if (recorded.sha256 === actual.sha256) return { status: 'match', differences: [] };
+
+  const differences = [];
+  if (recorded.pageCount !== actual.pageCount) {
+    differences.push(`page count ${recorded.pageCount} -> ${actual.pageCount}`);
+  }
+  if (recorded.fields !== actual.fields) {
+    differences.push(`field names/types differ, ${recorded.fieldCount} -> ${actual.fieldCount} fields`);
+  }
+  return { status: differences.length > 0 ? 'mismatch' : 'modified', differences };
+}
+
+module.exports = {
+  fingerprintTemplate,
+  checkTemplateFingerprint,
+};
@@ -0,0 +1,166 @@
+/**
+ * Text Fitting for Coordinate Overlays
+ *
+ * Fits a value into the box declared on a coordinate entry by measuring it
+ * with the embedded font: shrink from the overlay font size down to the
+ * box's minimum, wrap onto further lines when the box allows it, and report
+ * when the text still does not fit. Text that does not fit is drawn at the
+ * minimum size, cut at a word boundary with "...". splitToFit() instead
+ * returns what does not fit, for answers that continue in another field.
+ *
+ * Box (on a coordinate entry, e.g. PartBCoordinates):
+ *   box: { width, height, minSize, wrap }
+ *     width     Available width to the right of x, in points (required)
+ *     height    Vertical space for all lines, from the first line down (default: one line)
+ *     minSize   Smallest font size to try (default: 6)
+ *     wrap      Allow wrapping onto further lines within height (default: false)
+ *
+ * Entries without a box are drawn on one line at the overlay font size.
+ */
+
+const { rgb } = require('pdf-lib');
+
+const LINE_HEIGHT = 1.15;
+const SIZE_STEP = 0.5;
+const DEFAULT_MIN_SIZE = 6;
+const ELLIPSIS = '...';
+
+/**
+ * Break text into lines no wider than width. Words wider than a whole line
+ * are broken between characters.
+ */
+function wrapWords(text, font, size, width) {
+  const measure = s => font.widthOfTextAtSize(s, size);
+  const lines = [];
+  let line = '';
+
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measure(candidate) <= width) {
+      line = candidate;
+      return;
+    }
+    if (line) lines.push(line);
+
+    line = word;
+    while (measure(line) > width && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && measure(line.slice(0, cut)) > width) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  });
+
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Shorten text to fit width, preferring a word boundary, and mark the cut.
+ */
+function truncateToWidth(text, font, size, width) {
+  const measure = s => font.widthOfTextAtSize(s, size);
+  if (measure(text) <= width) return text;
+
+  let cut = text.length;
+  while (cut > 0 && measure(text.slice(0, cut).trimEnd() + ELLIPSIS) > width) cut--;
+
+  const space = text.lastIndexOf(' ', cut);
+  if (space > cut / 2) cut = space;
+  return text.slice(0, cut).trimEnd() + ELLIPSIS;
+}
+
+function maxLinesAt(box, size) {
+  if (!box.wrap) return 1;
+  const height = box.height || size * LINE_HEIGHT;
+  return Math.max(1, Math.floor(height / (size * LINE_HEIGHT)));
+}
+
+/**
+ * Fit text into a box.
+ *
+ * @param {string} text - Value to draw
+ * @param {PDFFont} font - Embedded font used for measuring
+ * @param {Object} box - { width, height, minSize, wrap }
+ * @param {number} maxSize - Starting (overlay) font size
+ * @returns {{ lines: string[], size: number, lineHeight: number, fits: boolean }}
+ */
+function fitText(text, font, box, maxSize) {
+  const value = String(text).replace(/\s+/g, ' ').trim();
+  const minSize = Math.min(box.minSize || DEFAULT_MIN_SIZE, maxSize);
+
+  for (let size = maxSize; size >= minSize; size -= SIZE_STEP) {
+    const lines = box.wrap ? wrapWords(value, font, size, box.width) : [value];
+    const fitsWidth = lines.every(l => font.widthOfTextAtSize(l, size) <= box.width);
+    if (fitsWidth && lines.length <= maxLinesAt(box, size)) {
+      return { lines, size, lineHeight: size * LINE_HEIGHT, fits: true };
+    }
+  }
+
+  // Still too long at the minimum size: keep what fits and cut the last line
+  const size = minSize;
+  const maxLines = maxLinesAt(box, size);
+  const wrapped = box.wrap ? wrapWords(value, font, size, box.width) : [value];
+  const lines = wrapped.slice(0, maxLines);
+  const rest = wrapped.slice(maxLines - 1).join(' ');
+  lines[lines.length - 1] = truncateToWidth(rest, font, size, box.width);
+
+  return { lines, size, lineHeight: size * LINE_HEIGHT, fits: false };
+}
+
+/**
+ * Split text at a fixed size into the words that fit the box and the rest,
+ * e.g. to continue an answer in the next field.
+ *
+ * @returns {{ head: string, rest: string }}
+ */
+function splitToFit(text, font, box, size) {
+  const words = String(text).replace(/\s+/g, ' ').trim().split(' ');
+  const maxLines = maxLinesAt(box, size);
+  const fits = candidate => {
+    const lines = box.wrap ? wrapWords(candidate, font, size, box.width) : [candidate];
+    return lines.length <= maxLines && lines.every(l => font.widthOfTextAtSize(l, size) <= box.width);
+  };
+
+  let count = 0;
+  while (count < words.length && fits(words.slice(0, count + 1).join(' '))) count++;
+
+  return { head: words.slice(0, count).join(' '), rest: words.slice(count).join(' ') };
+}
+
+/**
+ * Draw a value at a coordinate entry, fitted to its box when it declares one.
+ *
+ * @param {PDFPage} page - Target page
+ * @param {string} text - Value to draw
+ * @param {Object} config - Coordinate entry ({ x, y, box })
+ * @param {Object} options - { font, size, color }
+ * @returns {{ lines: string[], size: number, lineHeight: number, fits: boolean }}
+ */
+function drawFittedText(page, text, config, options) {
+  const { font, size } = options;
+  const fit = config.box
+    ? fitText(text, font, config.box, size)
+    : { lines: [String(text)], size, lineHeight: size * LINE_HEIGHT, fits: true };
+
+  fit.lines.forEach((line, i) => {
+    page.drawText(line, {
+      x: config.x,
+      y: config.y - i * fit.lineHeight,
+      size: fit.size,
+      font,
+      color: options.color || rgb(0, 0, 0),
+    });
+  });
+
+  return fit;
+}
+
+module.exports = {
+  DEFAULT_MIN_SIZE,
+  fitText,
+  splitToFit,
+  drawFittedText,
+  wrapWords,
+  truncateToWidth,
+};